@@ -1,23 +1,36 @@
-import React, { useRef, useEffect } from 'react';
-import { View, Text, Pressable, StyleSheet, Modal, Animated } from 'react-native';
+import React, { useRef, useEffect, useState } from 'react';
+import { View, Text, TextInput, Pressable, StyleSheet, Modal, Animated } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from './comp/ThemeContext';
+import { t } from './utils/i18n';
 
 const AlertModal = ({ 
   visible = false,
   type = 'info',
   title = 'Alert',
   message = '',
-  confirmText = 'OK',
-  cancelText = 'Cancel',
+  confirmText = t('common.ok'),
+  cancelText = t('common.cancel'),
   onConfirm,
   onCancel,
-  showCancel = true
+  showCancel = true,
+  destructive = false,
+  // Shows a text field; onConfirm then receives its value
+  showInput = false,
+  defaultValue = '',
+  placeholder = ''
 }) => {
+  const { colors, reduceMotion } = useTheme();
+  const [inputValue, setInputValue] = useState(defaultValue);
   const scaleValue = useRef(new Animated.Value(0)).current;
   const fadeValue = useRef(new Animated.Value(0)).current;
 
   useEffect(() => {
-    if (visible) {
+    if (visible) setInputValue(defaultValue);
+    if (reduceMotion) {
+      fadeValue.setValue(visible ? 1 : 0);
+      scaleValue.setValue(visible ? 1 : 0);
+    } else if (visible) {
       Animated.parallel([
         Animated.timing(fadeValue, {
           toValue: 1,
@@ -48,33 +61,34 @@ const AlertModal = ({
 
   const getIcon = () => {
     const icons = {
-      success: { name: 'checkmark-circle', color: '#10b981' },
-      error: { name: 'close-circle', color: '#ef4444' },
-      warning: { name: 'warning', color: '#f59e0b' },
-      confirm: { name: 'help-circle', color: '#3b82f6' },
-      info: { name: 'information-circle', color: '#6366f1' }
+      success: 'checkmark-circle',
+      error: 'close-circle',
+      warning: 'warning',
+      confirm: 'help-circle',
+      info: 'information-circle'
     };
-    const icon = icons[type] || icons.info;
-    return <Ionicons name={icon.name} size={48} color={icon.color} />;
+    return <Ionicons name={icons[type] || icons.info} size={48} color={getColor()} />;
   };
 
   const getColor = () => {
-    const colors = {
-      success: '#10b981',
-      error: '#ef4444',
-      warning: '#f59e0b',
-      confirm: '#3b82f6',
-      info: '#6366f1'
+    const typeColors = {
+      success: colors.lowPriority,
+      error: colors.danger,
+      warning: colors.warning,
+      confirm: colors.primary,
+      info: colors.primary
     };
-    return colors[type] || colors.info;
+    if (destructive) return colors.danger;
+    return typeColors[type] || typeColors.info;
   };
 
   return (
-    <Modal transparent visible={visible} animationType="none">
+    <Modal transparent visible={visible} animationType="none" onRequestClose={onCancel}>
       <Animated.View style={[styles.backdrop, { opacity: fadeValue }]}>
-        <Animated.View style={[
+        <Animated.View accessibilityViewIsModal style={[
           styles.modal, 
           { 
+            backgroundColor: colors.card,
             transform: [{ scale: scaleValue }],
             shadowColor: getColor(),
           }
@@ -83,21 +97,34 @@ const AlertModal = ({
             {getIcon()}
           </View>
           
-          <Text style={styles.title}>{title}</Text>
+          <Text style={[styles.title, { color: colors.text }]} accessibilityRole="header">{title}</Text>
           
-          {message && <Text style={styles.message}>{message}</Text>}
+          {!!message && <Text style={[styles.message, { color: colors.subtext }]}>{message}</Text>}
+          
+          {showInput && (
+            <TextInput
+              style={[styles.input, { color: colors.text, borderColor: colors.border, backgroundColor: colors.background }]}
+              value={inputValue}
+              onChangeText={setInputValue}
+              placeholder={placeholder}
+              placeholderTextColor={colors.subtext}
+              accessibilityLabel={placeholder || title}
+              onSubmitEditing={() => onConfirm(inputValue)}
+              autoFocus
+            />
+          )}
           
           <View style={styles.buttons}>
             {showCancel && (
               <Pressable 
                 style={({ pressed }) => [
                   styles.button, 
-                  styles.cancelButton,
+                  { backgroundColor: colors.border },
                   pressed && styles.pressed
                 ]}
                 onPress={onCancel}
               >
-                <Text style={styles.cancelText}>{cancelText}</Text>
+                <Text style={[styles.cancelText, { color: colors.text }]}>{cancelText}</Text>
               </Pressable>
             )}
             
@@ -107,9 +134,9 @@ const AlertModal = ({
                 { backgroundColor: getColor() },
                 pressed && styles.pressed
               ]}
-              onPress={onConfirm}
+              onPress={() => onConfirm(showInput ? inputValue : undefined)}
             >
-              <Text style={styles.confirmText}>{confirmText}</Text>
+              <Text style={[styles.confirmText, { color: colors.onPrimary }]}>{confirmText}</Text>
             </Pressable>
           </View>
         </Animated.View>
@@ -128,7 +155,6 @@ const styles = StyleSheet.create({
   },
   modal: {
     width: '100%',
-    backgroundColor: '#1e293b',
     borderRadius: 24,
     padding: 24,
     alignItems: 'center',
@@ -143,17 +169,24 @@ const styles = StyleSheet.create({
   title: {
     fontSize: 20,
     fontWeight: 'bold',
-    color: 'white',
     textAlign: 'center',
     marginBottom: 8,
   },
   message: {
     fontSize: 16,
-    color: '#94a3b8',
     textAlign: 'center',
     marginBottom: 24,
     lineHeight: 24,
   },
+  input: {
+    width: '100%',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 12,
+    fontSize: 16,
+    marginBottom: 20,
+  },
   buttons: {
     flexDirection: 'row',
     justifyContent: 'center',
@@ -167,11 +200,7 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
-  cancelButton: {
-    backgroundColor: '#334155',
-  },
   cancelText: {
-    color: 'white',
     fontWeight: '600',
     fontSize: 16,
   },
@@ -1,91 +1,204 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { View, Text, StyleSheet, TextInput, Pressable, Alert, ScrollView, Animated, Keyboard, StatusBar, TouchableOpacity, Dimensions, Switch, Modal, PanResponder, TouchableWithoutFeedback } from 'react-native';
+import { View, Text, StyleSheet, TextInput, Pressable, ScrollView, Animated, Keyboard, StatusBar, TouchableOpacity, Dimensions, Switch, PanResponder, Share, useColorScheme } from 'react-native';
 import { Ionicons, MaterialIcons, Feather, FontAwesome, AntDesign } from '@expo/vector-icons';
 import TaskItem from './comp/TaskItem';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import AlertModal from './AlertModal';
+import CategoryManager from './comp/CategoryManager';
+import RecurrencePicker from './comp/RecurrencePicker';
+import ReminderPicker from './comp/ReminderPicker';
+import UndoSnackbar from './comp/UndoSnackbar';
+import TrashView from './comp/TrashView';
+import BackupModal from './comp/BackupModal';
+import SortPicker from './comp/SortPicker';
+import DraggableTaskList from './comp/DraggableTaskList';
+import TaskSectionList from './comp/TaskSectionList';
+import SelectionBar from './comp/SelectionBar';
 import DateTimePicker from '@react-native-community/datetimepicker';
+import { NavigationContainer, createNavigationContainerRef, DarkTheme, DefaultTheme } from '@react-navigation/native';
+import { createNativeStackNavigator } from '@react-navigation/native-stack';
+import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
+import TaskDetailScreen from './screens/TaskDetailScreen';
+import CalendarScreen from './screens/CalendarScreen';
+import StatsScreen from './screens/StatsScreen';
+import SettingsScreen from './screens/SettingsScreen';
 import ConfettiCannon from 'react-native-confetti-cannon';
-import * as Haptics from 'expo-haptics';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-
-// Color schemes - moved to top of file
-const darkColors = {
-  background: '#0f172a',
-  card: '#1e293b',
-  text: 'white',
-  subtext: '#94a3b8',
-  primary: '#6366f1',
-  border: '#334155',
-  highPriority: '#ef4444',
-  mediumPriority: '#f59e0b',
-  lowPriority: '#10b981',
-  warning: '#f97316',
-  danger: '#dc2626'
+import * as Haptics from './utils/haptics';
+import { setHapticsEnabled } from './utils/haptics';
+import { STORAGE_KEYS, loadTasks, saveTasks, loadJSON, saveJSON, loadItem, saveItem, reviveTask, reviveCategory } from './utils/storage';
+import { createCategory, findCategory } from './utils/categories';
+import { attachRecurrence, completeOccurrence, reopenOccurrence, skipOccurrence } from './utils/recurrence';
+import { nextFreeId } from './utils/ids';
+import { getSubtaskProgress, resetSubtasks } from './utils/subtasks';
+import { createReminderService } from './utils/reminders';
+import { isAllDay, toDueDate, withTime, formatDueDate } from './utils/dates';
+import { emptyHistory, createEntry, record, undo, redo, canUndo, canRedo, reviveHistory } from './utils/history';
+import { DEFAULT_TRASH_RETENTION, isTrashed, moveToTrash, restoreFromTrash, purgeExpired, autoClearCompleted } from './utils/trash';
+import { recordCompletions, reviveCompletions } from './utils/analytics';
+import { serializeBackup, applyImport } from './utils/backup';
+import { parseQuery, matchesQuery, getHighlightTerms, addRecentSearch } from './utils/search';
+import { DEFAULT_SORT, sortTasks, getSortLabel } from './utils/sort';
+import { moveTaskById } from './utils/reorder';
+import { groupByDue } from './utils/sections';
+import { toggleSelection, pruneSelection, isAllSelected, updateSelected } from './utils/selection';
+import { parseQuickAdd } from './utils/quickAdd';
+import { describeRule } from './utils/recurrence';
+import pushScheduler from './utils/pushScheduler';
+import { linking, getTaskLink, parseTaskId } from './utils/links';
+import { moveDueToDay } from './utils/calendar';
+import { DEFAULT_PREFERENCES, revivePreferences } from './utils/preferences';
+import { DEFAULT_THEME_MODE, THEME_MODES, buildTheme } from './utils/theme';
+import { ThemeProvider } from './comp/ThemeContext';
+import DialogHost from './comp/DialogHost';
+import * as dialog from './utils/dialog';
+import { MAX_FONT_SCALE, useReduceMotion, announce } from './utils/accessibility';
+import { t, setLanguage } from './utils/i18n';
+import { SYNC_STATUS, normalizeEndpoint, useSync } from './utils/sync';
+
+const { width } = Dimensions.get('window');
+
+// Preview chip icons for the kinds of quick add fragments
+const QUICK_ADD_ICONS = {
+  date: 'calendar',
+  priority: 'flag',
+  category: 'tag',
+  recurrence: 'repeat'
 };
 
-const lightColors = {
-  background: '#f8fafc',
-  card: 'white',
-  text: '#0f172a',
-  subtext: '#64748b',
-  primary: '#6366f1',
-  border: '#e2e8f0',
-  highPriority: '#dc2626',
-  mediumPriority: '#d97706',
-  lowPriority: '#059669',
-  warning: '#ea580c',
-  danger: '#b91c1c'
+// Header sync indicator, by status; 'pending' is idle with unsent changes
+const SYNC_ICONS = {
+  idle: 'cloud-done-outline',
+  pending: 'cloud-upload-outline',
+  syncing: 'sync-outline',
+  offline: 'cloud-offline-outline',
+  error: 'warning-outline'
 };
 
-const { width } = Dimensions.get('window');
+// Navigation: the tabs sit in a stack so task details cover the tab bar
+const Stack = createNativeStackNavigator();
+const Tab = createBottomTabNavigator();
+const navigationRef = createNavigationContainerRef();
+
+const TAB_ICONS = {
+  Tasks: 'checkmark-done-circle',
+  Calendar: 'calendar',
+  Stats: 'stats-chart',
+  Settings: 'settings'
+};
+
+// Task of a tapped notification, kept until navigation is ready
+let pendingTaskId = null;
+
+const openPendingTask = () => {
+  if (pendingTaskId === null || !navigationRef.isReady()) return;
+  navigationRef.navigate('TaskDetail', { taskId: pendingTaskId });
+  pendingTaskId = null;
+};
+
+// Notification data can come back with the id as a string
+const openNotifiedTask = (data) => {
+  if (data.taskId === undefined) return;
+  pendingTaskId = parseTaskId(String(data.taskId));
+  openPendingTask();
+};
+
+// Reminder scheduling, configured once outside of the component lifecycle
+const reminders = createReminderService(pushScheduler);
+pushScheduler.configure(reminders.handleAction, openNotifiedTask);
 
 function MainApp() {
   // State management
   const [tasks, setTasks] = useState([]);
   const [newTask, setNewTask] = useState('');
-  const [modalVisible, setModalVisible] = useState(false);
-  const [taskToDelete, setTaskToDelete] = useState(null);
   const [activeFilter, setActiveFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
-  const [isDarkMode, setIsDarkMode] = useState(true);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [isSearchFocused, setIsSearchFocused] = useState(false);
+  const [themeMode, setThemeMode] = useState(DEFAULT_THEME_MODE);
   const [showDatePicker, setShowDatePicker] = useState(false);
-  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [selectedAllDay, setSelectedAllDay] = useState(true);
   const [priority, setPriority] = useState('medium');
-  const [showStats, setShowStats] = useState(false);
   const [showConfetti, setShowConfetti] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
+  const [tasksLoaded, setTasksLoaded] = useState(false);
+  const [categories, setCategories] = useState([]);
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [showCategoryPicker, setShowCategoryPicker] = useState(false);
+  const [categoryFilter, setCategoryFilter] = useState(null);
+  const [showCategoryManager, setShowCategoryManager] = useState(false);
+  const [recurrenceRule, setRecurrenceRule] = useState(null);
+  const [recurrenceTarget, setRecurrenceTarget] = useState(null);
+  const [reminderTarget, setReminderTarget] = useState(null);
+  const [history, setHistory] = useState(emptyHistory());
+  const [undoMessage, setUndoMessage] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashRetention, setTrashRetention] = useState(DEFAULT_TRASH_RETENTION);
+  const [completionLog, setCompletionLog] = useState([]);
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [showBackup, setShowBackup] = useState(false);
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [showSortPicker, setShowSortPicker] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [quickAddIgnore, setQuickAddIgnore] = useState([]);
+  const [storageError, setStorageError] = useState(null);
   
+  // Language for every t() call from here on, including child screens
+  setLanguage(preferences.language);
+
   // Refs and animations
   const fadeAnim = useRef(new Animated.Value(0)).current;
-  const statsAnim = useRef(new Animated.Value(0)).current;
-  const scrollViewRef = useRef();
   const searchInputRef = useRef();
+  const scheduledTasksRef = useRef([]);
 
   // Load data from AsyncStorage on initial render
   useEffect(() => {
     const loadData = async () => {
+      // Tasks load first and on their own, so a bad value under another key
+      // can't leave the list empty for the save effect to write over @tasks
+      let savedTasks = [];
       try {
-        const savedTasks = await AsyncStorage.getItem('@tasks');
-        const savedTheme = await AsyncStorage.getItem('@theme');
+        savedTasks = await loadTasks();
+        setTasksLoaded(true);
+      } catch (error) {
+        console.error('Error loading tasks:', error);
+        setStorageError(error);
+        // Only safe to save over once the unreadable data has been set aside
+        setTasksLoaded(!!error.backupKey);
+      }
+
+      let retention = DEFAULT_TRASH_RETENTION;
+      let savedCompletions = [];
+      try {
+        const savedTheme = await loadItem(STORAGE_KEYS.theme);
+        const savedCategories = await loadJSON(STORAGE_KEYS.categories, []);
+        const savedHistory = await loadJSON(STORAGE_KEYS.history);
+        retention = await loadJSON(STORAGE_KEYS.trashRetention, DEFAULT_TRASH_RETENTION);
+        savedCompletions = reviveCompletions(await loadJSON(STORAGE_KEYS.completions, []));
+        const savedPreferences = revivePreferences(await loadJSON(STORAGE_KEYS.preferences, {}));
+        setTrashRetention(retention);
+        setPreferences(savedPreferences);
+        setPriority(savedPreferences.defaultPriority);
+        setRecentSearches(await loadJSON(STORAGE_KEYS.recentSearches, []));
+        setSort({ ...DEFAULT_SORT, ...await loadJSON(STORAGE_KEYS.sort, {}) });
         
-        if (savedTasks) {
-          const parsedTasks = JSON.parse(savedTasks);
-          // Convert string dates back to Date objects
-          const tasksWithDates = parsedTasks.map(task => ({
-            ...task,
-            createdAt: new Date(task.createdAt),
-            dueDate: task.dueDate ? new Date(task.dueDate) : null
-          }));
-          setTasks(tasksWithDates);
+        if (THEME_MODES.some(mode => mode.value === savedTheme)) {
+          setThemeMode(savedTheme);
         }
         
-        if (savedTheme) {
-          setIsDarkMode(savedTheme === 'dark');
+        setCategories(savedCategories.map(reviveCategory));
+        
+        if (savedHistory) {
+          setHistory(reviveHistory(savedHistory, reviveTask));
         }
       } catch (error) {
         console.error('Error loading data:', error);
+        setStorageError(error);
       } finally {
+        // Log completions before the purge can take their tasks away
+        setCompletionLog(recordCompletions(savedCompletions, savedTasks));
+        // Purge old trash while loading
+        setTasks(purgeExpired(savedTasks, retention));
         setIsLoading(false);
       }
     };
@@ -95,25 +208,169 @@ function MainApp() {
 
   // Save tasks to AsyncStorage whenever they change
   useEffect(() => {
-    if (!isLoading) {
-      const saveTasks = async () => {
+    if (!isLoading && tasksLoaded) {
+      const persistTasks = async () => {
         try {
-          await AsyncStorage.setItem('@tasks', JSON.stringify(tasks));
+          await saveTasks(tasks);
         } catch (error) {
           console.error('Error saving tasks:', error);
         }
       };
       
-      saveTasks();
+      persistTasks();
+    }
+  }, [tasks, isLoading, tasksLoaded]);
+
+  // Sync with the server from settings, if one is set
+  const sync = useSync({ endpoint: preferences.syncUrl, tasks, setTasks, isLoading: isLoading || !tasksLoaded });
+  const syncState = sync.status === SYNC_STATUS.idle && sync.pending > 0 ? 'pending' : sync.status;
+
+  // Name the notification channel in the saved language before any reminder
+  // is scheduled on it
+  useEffect(() => {
+    if (!isLoading) {
+      pushScheduler.createChannel();
+    }
+  }, [preferences.language, isLoading]);
+
+  // Keep scheduled reminders in step with the task list
+  useEffect(() => {
+    if (!isLoading) {
+      reminders.syncAll(scheduledTasksRef.current, tasks);
+      scheduledTasksRef.current = tasks;
+    }
+  }, [tasks, isLoading]);
+
+  // Save undo history to AsyncStorage whenever it changes
+  useEffect(() => {
+    if (!isLoading) {
+      const saveHistory = async () => {
+        try {
+          await saveJSON(STORAGE_KEYS.history, history);
+        } catch (error) {
+          console.error('Error saving history:', error);
+        }
+      };
+      
+      saveHistory();
+    }
+  }, [history, isLoading]);
+
+  // Keep the completion log in step with the tasks, so statistics survive
+  // tasks leaving the trash
+  useEffect(() => {
+    if (!isLoading) {
+      setCompletionLog(prev => recordCompletions(prev, tasks));
     }
   }, [tasks, isLoading]);
 
+  // Save the completion log to AsyncStorage whenever it changes
+  useEffect(() => {
+    if (!isLoading) {
+      const saveCompletions = async () => {
+        try {
+          await saveJSON(STORAGE_KEYS.completions, completionLog);
+        } catch (error) {
+          console.error('Error saving completions:', error);
+        }
+      };
+      
+      saveCompletions();
+    }
+  }, [completionLog, isLoading]);
+
+  // Save trash retention period to AsyncStorage when it changes
+  useEffect(() => {
+    if (!isLoading) {
+      const saveRetention = async () => {
+        try {
+          await saveJSON(STORAGE_KEYS.trashRetention, trashRetention);
+        } catch (error) {
+          console.error('Error saving trash retention:', error);
+        }
+      };
+      
+      saveRetention();
+    }
+  }, [trashRetention, isLoading]);
+
+  // Save preferences to AsyncStorage when they change
+  useEffect(() => {
+    if (!isLoading) {
+      const savePreferences = async () => {
+        try {
+          await saveJSON(STORAGE_KEYS.preferences, preferences);
+        } catch (error) {
+          console.error('Error saving preferences:', error);
+        }
+      };
+      
+      savePreferences();
+    }
+  }, [preferences, isLoading]);
+
+  useEffect(() => {
+    setHapticsEnabled(preferences.haptics);
+  }, [preferences.haptics]);
+
+  // Move old completed tasks to the trash on launch and whenever the period changes
+  useEffect(() => {
+    if (!isLoading) {
+      setTasks(prev => autoClearCompleted(prev, preferences.autoClearCompletedDays));
+    }
+  }, [preferences.autoClearCompletedDays, isLoading]);
+
+  // Save recent searches to AsyncStorage when they change
+  useEffect(() => {
+    if (!isLoading) {
+      const saveRecentSearches = async () => {
+        try {
+          await saveJSON(STORAGE_KEYS.recentSearches, recentSearches);
+        } catch (error) {
+          console.error('Error saving recent searches:', error);
+        }
+      };
+      
+      saveRecentSearches();
+    }
+  }, [recentSearches, isLoading]);
+
+  // Save the sort mode to AsyncStorage when it changes
+  useEffect(() => {
+    if (!isLoading) {
+      const saveSort = async () => {
+        try {
+          await saveJSON(STORAGE_KEYS.sort, sort);
+        } catch (error) {
+          console.error('Error saving sort mode:', error);
+        }
+      };
+      
+      saveSort();
+    }
+  }, [sort, isLoading]);
+
+  // Save categories to AsyncStorage whenever they change
+  useEffect(() => {
+    if (!isLoading) {
+      const saveCategories = async () => {
+        try {
+          await saveJSON(STORAGE_KEYS.categories, categories);
+        } catch (error) {
+          console.error('Error saving categories:', error);
+        }
+      };
+      
+      saveCategories();
+    }
+  }, [categories, isLoading]);
+
   // Save theme preference to AsyncStorage when it changes
   useEffect(() => {
     if (!isLoading) {
       const saveTheme = async () => {
         try {
-          await AsyncStorage.setItem('@theme', isDarkMode ? 'dark' : 'light');
+          await saveItem(STORAGE_KEYS.theme, themeMode);
         } catch (error) {
           console.error('Error saving theme:', error);
         }
@@ -121,53 +378,134 @@ function MainApp() {
       
       saveTheme();
     }
-  }, [isDarkMode, isLoading]);
+  }, [themeMode, isLoading]);
+
+  // Tasks outside of the trash
+  const liveTasks = tasks.filter(task => !isTrashed(task));
+  const trashedTasks = tasks.filter(isTrashed);
+
+  // Parsed search query, see utils/search.js for the syntax
+  const searchTerms = parseQuery(searchQuery);
+  const highlightTerms = getHighlightTerms(searchTerms);
 
   // Filter tasks based on active filter and search query
-  const filteredTasks = tasks.filter(task => {
+  const filteredTasks = liveTasks.filter(task => {
+    // Filter by category
+    if (categoryFilter !== null && task.category !== categoryFilter) return false;
+    
     // Filter by status
-    if (activeFilter === 'active') return !task.completed;
-    if (activeFilter === 'completed') return task.completed;
+    if (activeFilter === 'active' && task.completed) return false;
+    if (activeFilter === 'completed' && !task.completed) return false;
     
     // Filter by search query
-    if (searchQuery) {
-      return task.text.toLowerCase().includes(searchQuery.toLowerCase());
-    }
-    
-    return true;
+    return matchesQuery(task, searchTerms, { categories });
   });
 
+  // Sorted view of the filtered tasks; manual mode keeps the stored order
+  const sortedTasks = sortTasks(filteredTasks, sort);
+  const isManualSort = sort.mode === 'manual';
+  const taskSections = sort.groupByDue ? groupByDue(sortedTasks) : null;
+
+  // Selected tasks that are still in the list
+  const selection = pruneSelection(selectedIds, liveTasks);
+  const selectedSet = new Set(selection);
+  const selectedTasks = liveTasks.filter(task => selectedSet.has(task.id));
+  const selectionMode = selection.length > 0;
+
   // Task statistics
-  const activeTasksCount = tasks.filter(task => !task.completed).length;
-  const completedTasksCount = tasks.filter(task => task.completed).length;
-  const highPriorityCount = tasks.filter(task => task.priority === 'high' && !task.completed).length;
-  const overdueCount = tasks.filter(task => 
-    task.dueDate && new Date(task.dueDate) < new Date() && !task.completed
-  ).length;
+  const activeTasksCount = liveTasks.filter(task => !task.completed).length;
+  const completedTasksCount = liveTasks.filter(task => task.completed).length;
+
+  // Color scheme, following the OS appearance in 'system' mode
+  const systemScheme = useColorScheme();
+  const reduceMotion = useReduceMotion();
+  const theme = buildTheme({
+    mode: themeMode,
+    systemScheme,
+    accent: preferences.accent,
+    highContrast: preferences.highContrast,
+    reduceMotion
+  });
+  const { colors, isDark: isDarkMode } = theme;
+
+  // Apply a task mutation and record it for undo
+  const updateTasks = (nextTasks, label) => {
+    setHistory(record(history, createEntry(label, tasks, nextTasks)));
+    setTasks(nextTasks);
+  };
+
+  // Undo the last task mutation
+  const undoLast = () => {
+    const result = undo(history, tasks);
+    if (!result) return;
+    setTasks(result.tasks);
+    setHistory(result.history);
+    setUndoMessage(null);
+    Haptics.selectionAsync();
+  };
 
-  // Color scheme
-  const colors = isDarkMode ? darkColors : lightColors;
+  // Redo the last undone task mutation
+  const redoLast = () => {
+    const result = redo(history, tasks);
+    if (!result) return;
+    setTasks(result.tasks);
+    setHistory(result.history);
+    Haptics.selectionAsync();
+  };
+
+
+  // Fields detected in the quick add text, see utils/quickAdd.js. The
+  // preview chips can turn a kind of fragment back into plain text.
+  const quickAddDetected = parseQuickAdd(newTask, { categories });
+  const quickAdd = quickAddIgnore.length > 0
+    ? parseQuickAdd(newTask, { categories, ignore: quickAddIgnore })
+    : quickAddDetected;
+
+  const toggleQuickAddIgnore = (type) => {
+    setQuickAddIgnore(quickAddIgnore.includes(type)
+      ? quickAddIgnore.filter(ignored => ignored !== type)
+      : [...quickAddIgnore, type]);
+    Haptics.selectionAsync();
+  };
+
+  // Chip label for a detected fragment
+  const describeQuickAddFragment = (type) => {
+    const detected = quickAddDetected;
+    if (type === 'date') return formatDueDate(detected, preferences.dateFormat);
+    if (type === 'priority') return t(`quickAdd.priority.${detected.priority}`);
+    if (type === 'category') return findCategory(categories, detected.category).name;
+    return describeRule(detected.recurrence);
+  };
 
   // Add a new task
   const addTask = () => {
     if (newTask.trim()) {
-      const newTaskObj = {
-        id: Date.now(),
-        text: newTask,
+      // Typed fields win over the ones picked with the buttons
+      const newTaskObj = attachRecurrence({
+        id: nextFreeId(new Set(tasks.map(task => task.id))),
+        text: quickAdd.title,
         completed: false,
+        completedAt: null,
         createdAt: new Date(),
-        priority,
-        dueDate: selectedDate > new Date() ? selectedDate : null
-      };
+        priority: quickAdd.priority || priority,
+        dueDate: quickAdd.dueDate || selectedDate,
+        allDay: quickAdd.dueDate ? quickAdd.allDay : selectedAllDay,
+        category: quickAdd.category !== null ? quickAdd.category : selectedCategory
+      }, quickAdd.recurrence || recurrenceRule);
       
-      setTasks([newTaskObj, ...tasks]);
+      updateTasks([newTaskObj, ...tasks], 'Add task');
       setNewTask('');
-      setPriority('medium');
-      setSelectedDate(new Date());
+      setQuickAddIgnore([]);
+      setPriority(preferences.defaultPriority);
+      setSelectedCategory(null);
+      setShowCategoryPicker(false);
+      setRecurrenceRule(null);
+      setSelectedDate(null);
+      setSelectedAllDay(true);
       Keyboard.dismiss();
       
       // Animation sequence
-      Animated.sequence([
+      if (!reduceMotion) Animated.sequence([
         Animated.timing(fadeAnim, {
           toValue: 1,
           duration: 300,
@@ -185,118 +523,465 @@ function MainApp() {
     }
   };
 
+  // Toggle completion of one task within a task list
+  const toggleInList = (list, taskId) => {
+    // Reopening a recurring task takes back the occurrence it spawned
+    const toggled = list.find(task => task.id === taskId);
+    if (toggled && toggled.completed && toggled.recurrence) return reopenOccurrence(toggled, list);
+
+    return list.flatMap(task => {
+      if (task.id !== taskId) return [task];
+      
+      // Completing a recurring task spawns its next occurrence
+      if (!task.completed && task.recurrence) {
+        const { completed, next } = completeOccurrence(task, new Date(), list.map(item => item.id));
+        return next ? [{ ...next, subtasks: resetSubtasks(next.subtasks) }, completed] : [completed];
+      }
+      
+      return [{ ...task, completed: !task.completed, completedAt: task.completed ? null : new Date() }];
+    });
+  };
+
+  // Celebrate once every task is done
+  const celebrateIfDone = (updatedTasks) => {
+    if (!preferences.confetti || reduceMotion) return;
+    if (updatedTasks.every(task => task.completed || isTrashed(task))) {
+      setShowConfetti(true);
+      setTimeout(() => setShowConfetti(false), 3000);
+    }
+  };
+
   // Toggle task completion
   const toggleTask = (taskId) => {
-    const updatedTasks = tasks.map(task => 
-      task.id === taskId ? { ...task, completed: !task.completed } : task
-    );
+    const updatedTasks = toggleInList(tasks, taskId);
     
-    setTasks(updatedTasks);
+    updateTasks(updatedTasks, 'Toggle task');
     
     // Check if all tasks are completed
-    if (updatedTasks.every(task => task.completed)) {
-      setShowConfetti(true);
-      setTimeout(() => setShowConfetti(false), 3000);
-    }
+    celebrateIfDone(updatedTasks);
+  };
+
+  // Complete a task whose checklist is finished, if it opted in
+  const autoCompleteInList = (list, taskId) => {
+    const task = list.find(t => t.id === taskId);
+    if (!task || !task.autoCompleteSubtasks || task.completed) return list;
+    if (!getSubtaskProgress(task.subtasks).allDone) return list;
+    
+    const updatedTasks = toggleInList(list, taskId);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    celebrateIfDone(updatedTasks);
+    return updatedTasks;
+  };
+
+  // Replace a task's checklist
+  const updateTaskSubtasks = (taskId, subtasks) => {
+    updateTasks(autoCompleteInList(tasks.map(task => 
+      task.id === taskId ? { ...task, subtasks } : task
+    ), taskId), 'Edit checklist');
+  };
+
+  // Enable or disable auto-completion from the checklist
+  const updateTaskAutoComplete = (taskId, autoCompleteSubtasks) => {
+    updateTasks(autoCompleteInList(tasks.map(task => 
+      task.id === taskId ? { ...task, autoCompleteSubtasks } : task
+    ), taskId), 'Edit checklist');
   };
 
   // Edit task text
   const editTask = (taskId, newText) => {
-    setTasks(tasks.map(task => 
+    updateTasks(tasks.map(task => 
       task.id === taskId ? { ...task, text: newText } : task
-    ));
+    ), 'Edit task');
   };
 
-  // Prepare to delete a task
-  const prepareDelete = (taskId) => {
-    setTaskToDelete(taskId);
-    setModalVisible(true);
-    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
+  // Replace the notes of a task
+  const updateTaskNotes = (taskId, notes) => {
+    updateTasks(tasks.map(task => 
+      task.id === taskId ? { ...task, notes } : task
+    ), 'Edit notes');
   };
 
-  // Confirm task deletion
-  const confirmDelete = () => {
-    setTasks(tasks.filter(task => task.id !== taskToDelete));
-    setModalVisible(false);
-    setTaskToDelete(null);
+  // Show the detail screen of a task
+  const openTask = (taskId) => {
+    if (navigationRef.isReady()) navigationRef.navigate('TaskDetail', { taskId });
+  };
+
+  // Share a task as its title plus a link that opens it
+  const shareTask = async (taskId) => {
+    const task = liveTasks.find(item => item.id === taskId);
+    if (!task) return;
+    try {
+      await Share.share({ message: `${task.text}\n${getTaskLink(task.id)}` });
+    } catch (error) {
+      console.error('Error sharing task:', error);
+    }
+  };
+
+  // TaskItem asks for confirmation itself, per the confirmDelete preference
+  const trashTask = (taskId) => {
+    updateTasks(tasks.map(task => 
+      task.id === taskId ? moveToTrash(task) : task
+    ), 'Delete task');
+    setUndoMessage(t('undo.taskTrashed'));
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
   };
 
   // Clear all completed tasks
   const clearCompleted = () => {
-    setTasks(tasks.filter(task => !task.completed));
+    const count = completedTasksCount;
+    updateTasks(tasks.map(task => 
+      task.completed ? moveToTrash(task) : task
+    ), 'Clear completed');
+    setUndoMessage(t('undo.completedTrashed', { count }));
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
   };
 
-  // Toggle theme
+  // Change one preference from the settings screen
+  const updatePreference = (key, value) => {
+    setPreferences(prev => ({ ...prev, [key]: value }));
+    // The add form picks up a new default straight away
+    if (key === 'defaultPriority') setPriority(value);
+    Haptics.selectionAsync();
+  };
+
+  // An empty address turns sync off
+  const editSyncServer = async () => {
+    const text = await dialog.prompt({
+      title: t('sync.server.title'),
+      message: t('sync.server.message'),
+      defaultValue: preferences.syncUrl,
+      placeholder: 'http://192.168.1.10:4000',
+      confirmText: t('common.save')
+    });
+    if (text !== null) updatePreference('syncUrl', normalizeEndpoint(text));
+  };
+
+  // Switch to the opposite of what is showing, leaving system mode
   const toggleTheme = () => {
-    setIsDarkMode(!isDarkMode);
+    setThemeMode(isDarkMode ? 'light' : 'dark');
     Haptics.selectionAsync();
   };
 
-  // Handle date change for due date
+  const updateThemeMode = (mode) => {
+    setThemeMode(mode);
+    Haptics.selectionAsync();
+  };
+
+  // Handle date or time change for the new task's due date
   const handleDateChange = (event, date) => {
+    const mode = showDatePicker;
     setShowDatePicker(false);
-    if (date) {
-      setSelectedDate(date);
+    if (!date) return;
+    
+    if (mode === 'time') {
+      setSelectedDate(withTime(selectedDate || new Date(), date));
+      setSelectedAllDay(false);
+    } else {
+      setSelectedDate(selectedAllDay || !selectedDate 
+        ? toDueDate(date, true) 
+        : withTime(date, selectedDate));
+    }
+  };
+
+  // Switch the new task's due date between all-day and timed
+  const toggleSelectedAllDay = () => {
+    if (selectedAllDay) {
+      setShowDatePicker('time');
+    } else {
+      setSelectedDate(toDueDate(selectedDate, true));
+      setSelectedAllDay(true);
     }
+    Haptics.selectionAsync();
   };
 
   // Update task priority
   const updateTaskPriority = (taskId, newPriority) => {
-    setTasks(tasks.map(task => 
+    updateTasks(tasks.map(task => 
       task.id === taskId ? { ...task, priority: newPriority } : task
-    ));
+    ), 'Change priority');
   };
 
   // Update task due date
-  const updateTaskDueDate = (taskId, newDate) => {
-    setTasks(tasks.map(task => 
-      task.id === taskId ? { ...task, dueDate: newDate } : task
+  const updateTaskDueDate = (taskId, newDate, allDay = true) => {
+    updateTasks(tasks.map(task => 
+      task.id === taskId ? { ...task, dueDate: newDate && toDueDate(newDate, allDay), allDay } : task
+    ), 'Change due date');
+  };
+
+  // Move a task dropped on a calendar day, or clear its date when day is null
+  const rescheduleTask = (task, day) => {
+    if (!day) {
+      updateTaskDueDate(task.id, null);
+    } else {
+      updateTaskDueDate(task.id, moveDueToDay(task, day), isAllDay(task));
+    }
+  };
+
+  // Create a new category
+  const addCategory = (name, color) => {
+    setCategories([...categories, createCategory(name, color)]);
+  };
+
+  // Rename a category
+  const renameCategory = (categoryId, name) => {
+    setCategories(categories.map(category =>
+      category.id === categoryId ? { ...category, name: name.trim() } : category
     ));
   };
 
-  // Toggle statistics modal
-  const toggleStats = () => {
-    Animated.timing(statsAnim, {
-      toValue: showStats ? 0 : 1,
-      duration: 300,
-      useNativeDriver: true,
-    }).start();
-    setShowStats(!showStats);
+  // Change a category's color
+  const updateCategoryColor = (categoryId, color) => {
+    setCategories(categories.map(category =>
+      category.id === categoryId ? { ...category, color } : category
+    ));
   };
 
-  // Reorder tasks
-  const reorderTasks = (fromIndex, toIndex) => {
-    const newTasks = [...tasks];
-    const [removed] = newTasks.splice(fromIndex, 1);
-    newTasks.splice(toIndex, 0, removed);
-    setTasks(newTasks);
+  // Delete a category and detach it from its tasks
+  const deleteCategory = (categoryId) => {
+    setCategories(categories.filter(category => category.id !== categoryId));
+    updateTasks(tasks.map(task =>
+      task.category === categoryId ? { ...task, category: null } : task
+    ), 'Delete category');
+    if (categoryFilter === categoryId) setCategoryFilter(null);
+    if (selectedCategory === categoryId) setSelectedCategory(null);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
   };
 
-  // Clear all tasks
-  const clearAllTasks = async () => {
-    try {
-      setTasks([]);
-      await AsyncStorage.removeItem('@tasks');
-      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-    } catch (error) {
-      console.error('Error clearing all tasks:', error);
+  // Skip the current occurrence of a recurring task
+  const skipTaskOccurrence = (taskId) => {
+    updateTasks(tasks.flatMap(task => {
+      if (task.id !== taskId) return [task];
+      const next = skipOccurrence(task, new Date(), tasks.map(item => item.id));
+      return next ? [next] : [];
+    }), 'Skip occurrence');
+    Haptics.selectionAsync();
+  };
+
+  // Set or clear the recurrence rule of a task
+  const updateTaskRecurrence = (taskId, rule) => {
+    updateTasks(tasks.map(task => 
+      task.id === taskId ? attachRecurrence(task, rule) : task
+    ), 'Change repeat');
+  };
+
+  // Set or clear the reminder of a task
+  const updateTaskReminder = (taskId, reminder) => {
+    updateTasks(tasks.map(task => 
+      task.id === taskId ? { ...task, reminder } : task
+    ), 'Change reminder');
+    setReminderTarget(null);
+  };
+
+  // Save the rule from the recurrence picker
+  const saveRecurrence = (rule) => {
+    if (recurrenceTarget === 'new') {
+      setRecurrenceRule(rule);
+    } else {
+      updateTaskRecurrence(recurrenceTarget, rule);
     }
+    setRecurrenceTarget(null);
+  };
+
+  // Move a dragged task to the position of the task it was dropped on
+  const reorderTasks = (fromId, toId) => {
+    const newTasks = moveTaskById(tasks, fromId, toId);
+    if (newTasks !== tasks) updateTasks(newTasks, 'Reorder tasks');
+  };
+
+  // Screen reader alternative to dragging: swap with the row above or below
+  const moveTaskBy = (taskId, offset) => {
+    const index = sortedTasks.findIndex(task => task.id === taskId);
+    const neighbor = sortedTasks[index + offset];
+    if (!neighbor) return;
+    reorderTasks(taskId, neighbor.id);
+    announce(t(offset < 0 ? 'a11y.movedUp' : 'a11y.movedDown'));
+  };
+
+  // Move all tasks to the trash
+  const confirmClearAll = async () => {
+    const confirmed = await dialog.confirm({
+      title: t('tasks.clearAll.title'),
+      message: t('tasks.clearAll.message'),
+      confirmText: t('tasks.clearAll.confirm'),
+      destructive: true
+    });
+    if (confirmed) clearAllTasks();
+  };
+
+  const clearAllTasks = () => {
+    const count = liveTasks.length;
+    updateTasks(tasks.map(task => moveToTrash(task)), 'Clear all tasks');
+    setUndoMessage(t('undo.allTrashed', { count }));
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+
+  // Restore a task from the trash to its original position
+  const restoreTask = (taskId) => {
+    updateTasks(tasks.map(task => 
+      task.id === taskId ? restoreFromTrash(task) : task
+    ), 'Restore task');
+  };
+
+  // Permanently remove a task from the trash
+  const deleteTaskForever = (taskId) => {
+    updateTasks(tasks.filter(task => task.id !== taskId), 'Delete permanently');
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+
+  // Permanently remove every task in the trash
+  const emptyTrash = () => {
+    updateTasks(liveTasks, 'Empty trash');
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
   };
 
+  // Change how long trashed tasks are kept, purging anything now expired
+  const updateTrashRetention = (days) => {
+    setTrashRetention(days);
+    const purged = purgeExpired(tasks, days);
+    if (purged !== tasks) setTasks(purged);
+  };
+
+  // Add or remove a task from the selection
+  const toggleSelect = (taskId) => {
+    setSelectedIds(toggleSelection(selection, taskId));
+    Haptics.selectionAsync();
+  };
+
+  // Select every task in the current filter, or clear the selection
+  const selectAllFiltered = () => {
+    setSelectedIds(isAllSelected(selection, sortedTasks) ? [] : sortedTasks.map(task => task.id));
+    Haptics.selectionAsync();
+  };
+
+  // Leave selection mode after a bulk action, offering to undo it
+  const finishBulkAction = (message) => {
+    setSelectedIds([]);
+    setUndoMessage(message);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+
+
+  // Complete every selected task, or reopen them when all are already done
+  const completeSelected = () => {
+    const reopen = selectedTasks.every(task => task.completed);
+    const updatedTasks = selectedTasks
+      .filter(task => task.completed === reopen)
+      .reduce((list, task) => toggleInList(list, task.id), tasks);
+    
+    updateTasks(updatedTasks, reopen ? 'Reopen tasks' : 'Complete tasks');
+    finishBulkAction(t(reopen ? 'undo.bulk.reopened' : 'undo.bulk.completed', { count: selection.length }));
+    if (!reopen) celebrateIfDone(updatedTasks);
+  };
+
+  const prioritizeSelected = (newPriority) => {
+    updateTasks(updateSelected(tasks, selection, task => ({ ...task, priority: newPriority })), 'Change priority');
+    finishBulkAction(t('undo.bulk.priority', { count: selection.length }));
+  };
+
+  // Move selected tasks to a new day, keeping the time of timed tasks
+  const rescheduleSelected = (date) => {
+    updateTasks(updateSelected(tasks, selection, task => (
+      task.dueDate && !isAllDay(task)
+        ? { ...task, dueDate: withTime(date, new Date(task.dueDate)) }
+        : { ...task, dueDate: toDueDate(date, true), allDay: true }
+    )), 'Change due date');
+    finishBulkAction(t('undo.bulk.rescheduled', { count: selection.length }));
+  };
+
+  const recategorizeSelected = (categoryId) => {
+    updateTasks(updateSelected(tasks, selection, task => ({ ...task, category: categoryId })), 'Change category');
+    finishBulkAction(t('undo.bulk.category', { count: selection.length }));
+  };
+
+  const deleteSelected = () => {
+    updateTasks(updateSelected(tasks, selection, task => moveToTrash(task)), 'Delete tasks');
+    finishBulkAction(t('undo.bulk.trashed', { count: selection.length }));
+  };
+
+  // Row of the task list, shared by the flat and the sectioned list
+  const renderTask = ({ item: task, index, dragHandlers, isDragging, isVisible }) => (
+    <TaskItem
+      task={task}
+      onToggle={() => toggleTask(task.id)}
+      onDelete={() => trashTask(task.id)}
+      onEdit={(newText) => editTask(task.id, newText)}
+      onPriorityChange={(newPriority) => updateTaskPriority(task.id, newPriority)}
+      onDueDateChange={(newDate, allDay) => updateTaskDueDate(task.id, newDate, allDay)}
+      category={findCategory(categories, task.category)}
+      highlightTerms={highlightTerms}
+      onEditRecurrence={() => setRecurrenceTarget(task.id)}
+      onEditReminder={() => setReminderTarget(task.id)}
+      onSkipOccurrence={() => skipTaskOccurrence(task.id)}
+      onSubtasksChange={(subtasks) => updateTaskSubtasks(task.id, subtasks)}
+      onAutoCompleteChange={(value) => updateTaskAutoComplete(task.id, value)}
+      index={index}
+      dateFormat={preferences.dateFormat}
+      confirmBeforeDelete={preferences.confirmDelete}
+      dragHandlers={dragHandlers}
+      onMoveUp={dragHandlers && index > 0 ? () => moveTaskBy(task.id, -1) : undefined}
+      onMoveDown={dragHandlers && index < sortedTasks.length - 1 ? () => moveTaskBy(task.id, 1) : undefined}
+      isDragging={isDragging}
+      isVisible={isVisible}
+      selectionMode={selectionMode}
+      isSelected={selectedSet.has(task.id)}
+      onSelect={() => toggleSelect(task.id)}
+      onOpen={() => openTask(task.id)}
+    />
+  );
+
+  // Remember the current search for quick reuse
+  const rememberSearch = () => {
+    setRecentSearches(addRecentSearch(recentSearches, searchQuery));
+  };
+
+  // Serialize everything for export
+  const getBackupText = () => serializeBackup({
+    tasks,
+    categories,
+    settings: {
+      theme: themeMode,
+      trashRetention,
+      preferences
+    }
+  });
+
+  // Apply a validated backup, merging with or replacing the current data
+  const importBackup = (parsed, mode, conflict) => {
+    const result = applyImport(
+      { tasks, categories },
+      { tasks: parsed.tasks.map(reviveTask), categories: parsed.categories.map(reviveCategory) },
+      mode,
+      conflict
+    );
+    
+    updateTasks(result.tasks, 'Import backup');
+    setCategories(result.categories);
+    
+    // Settings only follow the backup when replacing
+    if (mode === 'replace') {
+      if (THEME_MODES.some(mode => mode.value === parsed.settings.theme)) setThemeMode(parsed.settings.theme);
+      if (typeof parsed.settings.trashRetention === 'number') setTrashRetention(parsed.settings.trashRetention);
+      if (parsed.settings.preferences) setPreferences(revivePreferences(parsed.settings.preferences));
+    }
+    
+    setShowBackup(false);
+    setUndoMessage(t('undo.imported', { count: parsed.tasks.length }));
+  };
+
+  const selectedCategoryObj = findCategory(categories, selectedCategory);
+  const recurrenceTask = tasks.find(task => task.id === recurrenceTarget);
+  const reminderTask = tasks.find(task => task.id === reminderTarget);
+
   if (isLoading) {
     return (
       <View style={[styles.loadingContainer, { backgroundColor: colors.background }]}>
-        <Text style={[styles.loadingText, { color: colors.text }]}>Loading...</Text>
+        <Text style={[styles.loadingText, { color: colors.text }]}>{t('common.loading')}</Text>
       </View>
     );
   }
 
-  return (
+  const tasksScreen = (
     <View style={[styles.container, { backgroundColor: colors.background }]}>
-      <StatusBar barStyle={isDarkMode ? "light-content" : "dark-content"} />
-      
       {/* Confetti celebration */}
       {showConfetti && (
         <ConfettiCannon 
@@ -309,30 +994,85 @@ function MainApp() {
       {/* Header */}
       <View style={styles.header}>
         <View style={styles.headerRow}>
-          <Text style={[styles.title, { color: colors.text }]}>Task Manager</Text>
+          <Text style={[styles.title, { color: colors.text }]} accessibilityRole="header" numberOfLines={1} adjustsFontSizeToFit>
+            {t('tasks.title')}
+          </Text>
           <View style={styles.headerRight}>
-            <Pressable onPress={toggleTheme} style={styles.themeToggle}>
+            {sync.status !== SYNC_STATUS.off && (
+              <Pressable
+                onPress={sync.syncNow}
+                style={styles.historyButton}
+                accessibilityRole="button"
+                accessibilityLabel={t(`sync.status.${syncState}`, { count: sync.pending })}
+                accessibilityHint={t('a11y.syncNow')}
+              >
+                <Ionicons
+                  name={SYNC_ICONS[syncState]}
+                  size={22}
+                  color={syncState === SYNC_STATUS.error ? colors.warning : colors.primary}
+                />
+              </Pressable>
+            )}
+            <Pressable 
+              onPress={undoLast} 
+              disabled={!canUndo(history)}
+              style={styles.historyButton}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.undo')}
+              accessibilityState={{ disabled: !canUndo(history) }}
+            >
+              <Ionicons 
+                name="arrow-undo" 
+                size={22} 
+                color={canUndo(history) ? colors.primary : colors.border} 
+              />
+            </Pressable>
+            <Pressable 
+              onPress={redoLast} 
+              disabled={!canRedo(history)}
+              style={styles.historyButton}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.redo')}
+              accessibilityState={{ disabled: !canRedo(history) }}
+            >
+              <Ionicons 
+                name="arrow-redo" 
+                size={22} 
+                color={canRedo(history) ? colors.primary : colors.border} 
+              />
+            </Pressable>
+            <Pressable
+              onPress={toggleTheme}
+              style={styles.themeToggle}
+              accessibilityRole="button"
+              accessibilityLabel={t(isDarkMode ? 'a11y.lightTheme' : 'a11y.darkTheme')}
+            >
               <Ionicons 
                 name={isDarkMode ? "sunny" : "moon"} 
                 size={24} 
                 color={colors.primary} 
               />
             </Pressable>
-            {tasks.length > 0 && (
+            <Pressable
+              onPress={() => setShowTrash(true)}
+              style={styles.clearAllButton}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.trash', { count: trashedTasks.length })}
+            >
+              <Ionicons 
+                name={trashedTasks.length > 0 ? "trash-bin" : "trash-bin-outline"} 
+                size={20} 
+                color={colors.primary} 
+              />
+            </Pressable>
+            {liveTasks.length > 0 && (
               <Pressable
-                onPress={() => {
-                  Alert.alert(
-                    "Confirm Delete",
-                    "Are you sure you want to clear all tasks?",
-                    [
-                      { text: "Cancel", style: "cancel" },
-                      { text: "Clear All", onPress: clearAllTasks, style: "destructive" }
-                    ]
-                  );
-                }}
+                onPress={confirmClearAll}
                 style={styles.clearAllButton}
+                accessibilityRole="button"
+                accessibilityLabel={t('a11y.clearAll')}
               >
-                <Ionicons name="trash-outline" size={20} color={colors.warning} />
+                <Ionicons name="remove-circle-outline" size={20} color={colors.warning} />
               </Pressable>
             )}
           </View>
@@ -340,8 +1080,8 @@ function MainApp() {
           
         <Text style={[styles.subtitle, { color: colors.subtext }]}>
           {activeTasksCount > 0 
-            ? `${activeTasksCount} task${activeTasksCount !== 1 ? 's' : ''} to go!` 
-            : 'All caught up!'}
+            ? t('tasks.toGo', { count: activeTasksCount }) 
+            : t('tasks.allCaughtUp')}
         </Text>
       </View>
         
@@ -351,19 +1091,65 @@ function MainApp() {
         <TextInput
           ref={searchInputRef}
           style={[styles.searchInput, { color: colors.text }]}
-          placeholder="Search tasks..."
+          placeholder={t('tasks.searchPlaceholder')}
           placeholderTextColor={colors.subtext}
           value={searchQuery}
           onChangeText={setSearchQuery}
+          onFocus={() => setIsSearchFocused(true)}
+          onBlur={() => {
+            setIsSearchFocused(false);
+            rememberSearch();
+          }}
+          onSubmitEditing={rememberSearch}
+          returnKeyType="search"
+          autoCapitalize="none"
+          accessibilityLabel={t('a11y.search')}
           cursorColor={colors.primary}
         />
         {searchQuery ? (
-          <Pressable onPress={() => setSearchQuery('')} style={styles.clearSearch}>
+          <Pressable
+            onPress={() => setSearchQuery('')}
+            style={styles.clearSearch}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.clearSearch')}
+          >
             <Ionicons name="close" size={20} color={colors.subtext} />
           </Pressable>
         ) : null}
       </View>
       
+      {/* Recent searches */}
+      {isSearchFocused && !searchQuery && recentSearches.length > 0 && (
+        <ScrollView 
+          horizontal 
+          showsHorizontalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+          style={styles.recentSearches}
+          contentContainerStyle={styles.categoryChips}
+        >
+          {recentSearches.map(query => (
+            <Pressable
+              key={query}
+              onPress={() => setSearchQuery(query)}
+              style={[styles.categoryChip, { borderColor: colors.border, backgroundColor: colors.card }]}
+              accessibilityRole="button"
+              accessibilityLabel={t('a11y.recentSearch', { query })}
+            >
+              <Ionicons name="time-outline" size={13} color={colors.subtext} style={styles.chipIcon} />
+              <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, { color: colors.text }]}>{query}</Text>
+            </Pressable>
+          ))}
+          <Pressable
+            onPress={() => setRecentSearches([])}
+            style={[styles.categoryChip, { borderColor: colors.border, backgroundColor: colors.card }]}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.clearRecentSearches')}
+          >
+            <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, { color: colors.subtext }]}>{t('common.clear')}</Text>
+          </Pressable>
+        </ScrollView>
+      )}
+      
       {/* Add task input */}
       <Animated.View style={[styles.inputContainer, {
         opacity: fadeAnim.interpolate({
@@ -381,12 +1167,16 @@ function MainApp() {
       }]}>
         <TextInput
           style={[styles.input, { color: colors.text }]}
-          placeholder="What needs to be done?"
+          placeholder={t('tasks.addPlaceholder')}
           placeholderTextColor={colors.subtext}
           value={newTask}
-          onChangeText={setNewTask}
+          onChangeText={(text) => {
+            setNewTask(text);
+            if (!text) setQuickAddIgnore([]);
+          }}
           onSubmitEditing={addTask}
           returnKeyType="done"
+          accessibilityLabel={t('a11y.newTask')}
           cursorColor={colors.primary}
         />
         
@@ -396,6 +1186,9 @@ function MainApp() {
             prev === 'low' ? 'medium' : prev === 'medium' ? 'high' : 'low'
           )}
           style={styles.priorityButton}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.priority', { priority: t(`priority.${priority}`) })}
+          accessibilityHint={t('a11y.newTaskPriorityHint')}
         >
           <Ionicons 
             name={priority === 'high' ? 'flag' : priority === 'medium' ? 'flag-outline' : 'flag-sharp'} 
@@ -408,14 +1201,41 @@ function MainApp() {
           />
         </Pressable>
         
+        {/* Category selector */}
+        <Pressable 
+          onPress={() => setShowCategoryPicker(!showCategoryPicker)}
+          style={styles.categoryButton}
+          accessibilityRole="button"
+          accessibilityLabel={selectedCategoryObj ? t('a11y.categoryNamed', { name: selectedCategoryObj.name }) : t('a11y.category')}
+          accessibilityState={{ expanded: showCategoryPicker }}
+        >
+          <Ionicons 
+            name={selectedCategoryObj ? 'pricetag' : 'pricetag-outline'} 
+            size={20} 
+            color={selectedCategoryObj ? selectedCategoryObj.color : colors.subtext} 
+          />
+        </Pressable>
+        
         {/* Due date picker */}
         <Pressable 
-          onPress={() => setShowDatePicker(true)}
+          onPress={() => setShowDatePicker('date')}
           style={styles.dateButton}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.dueDate')}
         >
           <Feather name="calendar" size={20} color={colors.primary} />
         </Pressable>
         
+        {/* Recurrence picker */}
+        <Pressable 
+          onPress={() => setRecurrenceTarget('new')}
+          style={styles.repeatButton}
+          accessibilityRole="button"
+          accessibilityLabel={recurrenceRule ? t('a11y.repeatRule', { rule: describeRule(recurrenceRule) }) : t('a11y.repeat')}
+        >
+          <Feather name="repeat" size={20} color={recurrenceRule ? colors.primary : colors.subtext} />
+        </Pressable>
+        
         <Pressable 
           style={({ pressed }) => [
             styles.addButton,
@@ -423,25 +1243,153 @@ function MainApp() {
             { backgroundColor: colors.primary }
           ]}
           onPress={addTask}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.addTask')}
         >
           <Ionicons name="add" size={28} color="white" />
         </Pressable>
       </Animated.View>
       
+      {/* Category picker for new task */}
+      {showCategoryPicker && (
+        <ScrollView 
+          horizontal 
+          showsHorizontalScrollIndicator={false}
+          style={styles.categoryPicker}
+          contentContainerStyle={styles.categoryChips}
+        >
+          <Pressable
+            onPress={() => {
+              setSelectedCategory(null);
+              Haptics.selectionAsync();
+            }}
+            style={[styles.categoryChip, {
+              borderColor: colors.border,
+              backgroundColor: selectedCategory === null ? colors.primary : colors.card
+            }]}
+            accessibilityRole="radio"
+            accessibilityLabel={t('a11y.noCategory')}
+            accessibilityState={{ checked: selectedCategory === null }}
+          >
+            <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, {
+              color: selectedCategory === null ? 'white' : colors.text
+            }]}>{t('tasks.noCategory')}</Text>
+          </Pressable>
+          {categories.map(category => (
+            <Pressable
+              key={category.id}
+              onPress={() => {
+                setSelectedCategory(category.id);
+                Haptics.selectionAsync();
+              }}
+              style={[styles.categoryChip, {
+                borderColor: category.color,
+                backgroundColor: selectedCategory === category.id ? category.color : colors.card
+              }]}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: selectedCategory === category.id }}
+            >
+              <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, {
+                color: selectedCategory === category.id ? 'white' : colors.text
+              }]}>{category.name}</Text>
+            </Pressable>
+          ))}
+          <Pressable
+            onPress={() => setShowCategoryManager(true)}
+            style={[styles.categoryChip, { borderColor: colors.border, backgroundColor: colors.card }]}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.newCategory')}
+          >
+            <Ionicons name="add" size={14} color={colors.primary} />
+            <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, { color: colors.primary }]}>{t('tasks.newCategory')}</Text>
+          </Pressable>
+        </ScrollView>
+      )}
+      
+      {/* Fields detected while typing, tap one to keep it as text */}
+      {quickAddDetected.fragments.length > 0 && (
+        <View style={styles.dueChips}>
+          {quickAddDetected.fragments.map(fragment => {
+            const ignored = quickAddIgnore.includes(fragment.type);
+            const category = fragment.type === 'category' && findCategory(categories, quickAddDetected.category);
+            const color = ignored ? colors.subtext
+              : fragment.type === 'priority' ? colors[`${quickAddDetected.priority}Priority`]
+              : category ? category.color
+              : colors.primary;
+            return (
+              <Pressable
+                key={fragment.type}
+                onPress={() => toggleQuickAddIgnore(fragment.type)}
+                style={[styles.categoryChip, { borderColor: color, backgroundColor: colors.card }]}
+                accessibilityRole="switch"
+                accessibilityState={{ checked: !ignored }}
+                accessibilityHint={t(ignored ? 'a11y.quickAddApply' : 'a11y.quickAddIgnore')}
+              >
+                <Feather name={QUICK_ADD_ICONS[fragment.type]} size={13} color={color} style={styles.chipIcon} />
+                <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[
+                  styles.categoryChipText,
+                  { color, textDecorationLine: ignored ? 'line-through' : 'none' }
+                ]}>
+                  {ignored ? fragment.text : describeQuickAddFragment(fragment.type)}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+      )}
+      
+      {/* Selected due date for new task */}
+      {selectedDate && (
+        <View style={styles.dueChips}>
+          <Pressable
+            onPress={() => setShowDatePicker('date')}
+            style={[styles.categoryChip, { borderColor: colors.primary, backgroundColor: colors.card }]}
+            accessibilityRole="button"
+            accessibilityHint={t('a11y.changeDueDate')}
+          >
+            <Feather name="calendar" size={13} color={colors.primary} style={styles.chipIcon} />
+            <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, { color: colors.primary }]}>
+              {formatDueDate({ dueDate: selectedDate, allDay: selectedAllDay }, preferences.dateFormat)}
+            </Text>
+          </Pressable>
+          <Pressable
+            onPress={toggleSelectedAllDay}
+            style={[styles.categoryChip, { borderColor: colors.border, backgroundColor: colors.card }]}
+            accessibilityRole="button"
+          >
+            <Feather name={selectedAllDay ? 'clock' : 'sun'} size={13} color={colors.text} style={styles.chipIcon} />
+            <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, { color: colors.text }]}>
+              {t(selectedAllDay ? 'tasks.setTime' : 'tasks.allDay')}
+            </Text>
+          </Pressable>
+          <Pressable
+            onPress={() => {
+              setSelectedDate(null);
+              setSelectedAllDay(true);
+            }}
+            style={[styles.categoryChip, { borderColor: colors.border, backgroundColor: colors.card }]}
+            accessibilityRole="button"
+            accessibilityLabel={t('a11y.removeDueDate')}
+          >
+            <Ionicons name="close" size={14} color={colors.subtext} />
+          </Pressable>
+        </View>
+      )}
+      
       {/* Date picker modal */}
       {showDatePicker && (
         <DateTimePicker
-          value={selectedDate}
-          mode="date"
+          value={selectedDate || new Date()}
+          mode={showDatePicker}
           display="default"
           onChange={handleDateChange}
-          minimumDate={new Date()}
+          minimumDate={showDatePicker === 'date' ? new Date() : undefined}
           themeVariant={isDarkMode ? 'dark' : 'light'}
         />
       )}
       
       {/* Filter tabs */}
-      <View style={[styles.filterContainer, { backgroundColor: colors.card }]}>
+      <View style={[styles.filterContainer, { backgroundColor: colors.card }]} accessibilityRole="tablist">
         <Pressable 
           style={[styles.filterButton, activeFilter === 'all' && styles.activeFilter, {
             backgroundColor: activeFilter === 'all' ? colors.primary : 'transparent'
@@ -450,13 +1398,16 @@ function MainApp() {
             setActiveFilter('all');
             Haptics.selectionAsync();
           }}
+          accessibilityRole="tab"
+          accessibilityLabel={t('a11y.filter.all', { count: liveTasks.length })}
+          accessibilityState={{ selected: activeFilter === 'all' }}
         >
-          <Text style={[styles.filterText, {
+          <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.filterText, {
             color: activeFilter === 'all' ? 'white' : colors.text
-          }]}>All</Text>
-          <Text style={[styles.filterCount, {
+          }]}>{t('tasks.filter.all')}</Text>
+          <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.filterCount, {
             color: activeFilter === 'all' ? 'white' : colors.subtext
-          }]}>{tasks.length}</Text>
+          }]}>{liveTasks.length}</Text>
         </Pressable>
         <Pressable 
           style={[styles.filterButton, activeFilter === 'active' && styles.activeFilter, {
@@ -466,11 +1417,14 @@ function MainApp() {
             setActiveFilter('active');
             Haptics.selectionAsync();
           }}
+          accessibilityRole="tab"
+          accessibilityLabel={t('a11y.filter.active', { count: activeTasksCount })}
+          accessibilityState={{ selected: activeFilter === 'active' }}
         >
-          <Text style={[styles.filterText, {
+          <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.filterText, {
             color: activeFilter === 'active' ? 'white' : colors.text
-          }]}>Active</Text>
-          <Text style={[styles.filterCount, {
+          }]}>{t('tasks.filter.active')}</Text>
+          <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.filterCount, {
             color: activeFilter === 'active' ? 'white' : colors.subtext
           }]}>{activeTasksCount}</Text>
         </Pressable>
@@ -482,48 +1436,116 @@ function MainApp() {
             setActiveFilter('completed');
             Haptics.selectionAsync();
           }}
+          accessibilityRole="tab"
+          accessibilityLabel={t('a11y.filter.completed', { count: completedTasksCount })}
+          accessibilityState={{ selected: activeFilter === 'completed' }}
         >
-          <Text style={[styles.filterText, {
+          <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.filterText, {
             color: activeFilter === 'completed' ? 'white' : colors.text
-          }]}>Completed</Text>
-          <Text style={[styles.filterCount, {
+          }]}>{t('tasks.filter.completed')}</Text>
+          <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.filterCount, {
             color: activeFilter === 'completed' ? 'white' : colors.subtext
           }]}>{completedTasksCount}</Text>
         </Pressable>
       </View>
       
-      {/* Statistics button */}
-      <Pressable 
-        onPress={toggleStats}
-        style={[styles.statsButton, { backgroundColor: colors.card }]}
+      {/* Category filter */}
+      <ScrollView 
+        horizontal 
+        showsHorizontalScrollIndicator={false}
+        style={styles.categoryFilter}
+        contentContainerStyle={styles.categoryChips}
       >
-        <Ionicons name="stats-chart" size={20} color={colors.primary} />
-        <Text style={[styles.statsButtonText, { color: colors.text }]}>View Stats</Text>
-      </Pressable>
+        <Pressable
+          onPress={() => {
+            setCategoryFilter(null);
+            Haptics.selectionAsync();
+          }}
+          style={[styles.categoryChip, {
+            borderColor: colors.border,
+            backgroundColor: categoryFilter === null ? colors.primary : colors.card
+          }]}
+          accessibilityRole="radio"
+          accessibilityState={{ checked: categoryFilter === null }}
+        >
+          <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, {
+            color: categoryFilter === null ? 'white' : colors.text
+          }]}>{t('tasks.allCategories')}</Text>
+        </Pressable>
+        {categories.map(category => (
+          <Pressable
+            key={category.id}
+            onPress={() => {
+              setCategoryFilter(category.id);
+              Haptics.selectionAsync();
+            }}
+            style={[styles.categoryChip, {
+              borderColor: category.color,
+              backgroundColor: categoryFilter === category.id ? category.color : colors.card
+            }]}
+            accessibilityRole="radio"
+            accessibilityLabel={t('a11y.categoryFilter', { name: category.name, count: liveTasks.filter(task => task.category === category.id).length })}
+            accessibilityState={{ checked: categoryFilter === category.id }}
+          >
+            <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.categoryChipText, {
+              color: categoryFilter === category.id ? 'white' : colors.text
+            }]}>
+              {category.name} {liveTasks.filter(task => task.category === category.id).length}
+            </Text>
+          </Pressable>
+        ))}
+        <Pressable
+          onPress={() => setShowCategoryManager(true)}
+          style={[styles.categoryChip, { borderColor: colors.border, backgroundColor: colors.card }]}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.manageCategories')}
+        >
+          <Ionicons name="settings-outline" size={14} color={colors.primary} />
+        </Pressable>
+      </ScrollView>
       
-      {/* Tasks list */}
-      {filteredTasks.length > 0 ? (
-        <ScrollView 
-          ref={scrollViewRef}
-          style={styles.tasksContainer}
-          contentContainerStyle={styles.tasksContent}
+      {/* Sort button */}
+      <View style={styles.toolRow}>
+        <Pressable 
+          onPress={() => setShowSortPicker(true)}
+          style={[styles.toolButton, { backgroundColor: colors.card }]}
+          accessibilityRole="button"
+          accessibilityLabel={isManualSort
+            ? t('a11y.sort', { mode: getSortLabel(sort) })
+            : t(sort.direction === 'asc' ? 'a11y.sortAscending' : 'a11y.sortDescending', { mode: getSortLabel(sort) })}
         >
-          {filteredTasks.map((task, index) => (
-            <TaskItem
-              key={task.id}
-              task={task}
-              onToggle={() => toggleTask(task.id)}
-              onDelete={() => prepareDelete(task.id)}
-              onEdit={(newText) => editTask(task.id, newText)}
-              onPriorityChange={(newPriority) => updateTaskPriority(task.id, newPriority)}
-              onDueDateChange={(newDate) => updateTaskDueDate(task.id, newDate)}
-              index={index}
-              colors={colors}
-              reorderTasks={reorderTasks}
-              totalTasks={filteredTasks.length}
+          <Ionicons name="swap-vertical" size={20} color={colors.primary} />
+          <Text style={[styles.toolButtonText, { color: colors.text }]}>{getSortLabel(sort)}</Text>
+          {!isManualSort && (
+            <Ionicons
+              name={sort.direction === 'asc' ? 'arrow-up' : 'arrow-down'}
+              size={14}
+              color={colors.subtext}
+              style={styles.sortDirection}
             />
-          ))}
-        </ScrollView>
+          )}
+        </Pressable>
+      </View>
+      
+      {/* Tasks list */}
+      {sortedTasks.length > 0 ? (
+        taskSections ? (
+          <TaskSectionList
+            sections={taskSections}
+            renderItem={renderTask}
+            style={styles.tasksContainer}
+            contentContainerStyle={styles.tasksContent}
+          />
+        ) : (
+          <DraggableTaskList
+            data={sortedTasks}
+            style={styles.tasksContainer}
+            contentContainerStyle={styles.tasksContent}
+            dragEnabled={isManualSort && !selectionMode}
+            onReorder={reorderTasks}
+            renderItem={renderTask}
+          />
+        )
       ) : (
         <View style={styles.emptyState}>
           <MaterialIcons 
@@ -533,21 +1555,21 @@ function MainApp() {
           />
           <Text style={[styles.emptyText, { color: colors.text }]}>
             {searchQuery 
-              ? "No tasks match your search" 
+              ? t('tasks.empty.search') 
               : activeFilter === 'all' 
-                ? "No tasks yet" 
+                ? t('tasks.empty.all') 
                 : activeFilter === 'active' 
-                  ? "All tasks completed!" 
-                  : "No tasks completed yet"}
+                  ? t('tasks.empty.active') 
+                  : t('tasks.empty.completed')}
           </Text>
           <Text style={[styles.emptySubtext, { color: colors.subtext }]}>
             {searchQuery 
-              ? "Try a different search term" 
+              ? t('tasks.empty.searchHint') 
               : activeFilter === 'all' 
-                ? "Add your first task above!" 
+                ? t('tasks.empty.allHint') 
                 : activeFilter === 'active' 
-                  ? "Enjoy your free time!" 
-                  : "Get to work!"}
+                  ? t('tasks.empty.activeHint') 
+                  : t('tasks.empty.completedHint')}
           </Text>
         </View>
       )}
@@ -557,90 +1579,243 @@ function MainApp() {
         <Pressable 
           style={[styles.clearButton, { borderTopColor: colors.border }]}
           onPress={clearCompleted}
+          accessibilityRole="button"
         >
           <Text style={[styles.clearButtonText, { color: colors.subtext }]}>
-            Clear completed ({completedTasksCount})
+            {t('tasks.clearCompleted', { count: completedTasksCount })}
           </Text>
         </Pressable>
       )}
       
-      {/* Statistics modal */}
-      <Modal
-        animationType="fade"
-        transparent={true}
-        visible={showStats}
-        onRequestClose={toggleStats}
-      >
-        <TouchableWithoutFeedback onPress={toggleStats}>
-          <View style={styles.modalOverlay} />
-        </TouchableWithoutFeedback>
-        
-        <Animated.View style={[styles.statsModal, { 
-          backgroundColor: colors.card,
-          transform: [{
-            translateY: statsAnim.interpolate({
-              inputRange: [0, 1],
-              outputRange: [300, 0]
-            })
-          }]
-        }]}>
-          <View style={styles.statsHeader}>
-            <Text style={[styles.statsTitle, { color: colors.text }]}>Task Statistics</Text>
-            <Pressable onPress={toggleStats} style={styles.closeStats}>
-              <Ionicons name="close" size={24} color={colors.subtext} />
-            </Pressable>
-          </View>
-          
-          <View style={styles.statsGrid}>
-            <View style={[styles.statCard, { backgroundColor: colors.background }]}>
-              <Text style={[styles.statValue, { color: colors.text }]}>{tasks.length}</Text>
-              <Text style={[styles.statLabel, { color: colors.subtext }]}>Total Tasks</Text>
-            </View>
-            
-            <View style={[styles.statCard, { backgroundColor: colors.background }]}>
-              <Text style={[styles.statValue, { color: colors.text }]}>{activeTasksCount}</Text>
-              <Text style={[styles.statLabel, { color: colors.subtext }]}>Active</Text>
-            </View>
-            
-            <View style={[styles.statCard, { backgroundColor: colors.background }]}>
-              <Text style={[styles.statValue, { color: colors.text }]}>{completedTasksCount}</Text>
-              <Text style={[styles.statLabel, { color: colors.subtext }]}>Completed</Text>
-            </View>
-            
-            <View style={[styles.statCard, { backgroundColor: colors.background }]}>
-              <Text style={[styles.statValue, { color: colors.highPriority }]}>{highPriorityCount}</Text>
-              <Text style={[styles.statLabel, { color: colors.subtext }]}>High Priority</Text>
-            </View>
-            
-            <View style={[styles.statCard, { backgroundColor: colors.background }]}>
-              <Text style={[styles.statValue, { color: colors.warning }]}>{overdueCount}</Text>
-              <Text style={[styles.statLabel, { color: colors.subtext }]}>Overdue</Text>
-            </View>
-            
-            <View style={[styles.statCard, { backgroundColor: colors.background }]}>
-              <Text style={[styles.statValue, { color: colors.text }]}>
-                {tasks.length > 0 ? Math.round((completedTasksCount / tasks.length) * 100) : 0}%
-              </Text>
-              <Text style={[styles.statLabel, { color: colors.subtext }]}>Completion</Text>
-            </View>
-          </View>
-        </Animated.View>
-      </Modal>
+      {/* Recurrence picker */}
+      <RecurrencePicker
+        visible={recurrenceTarget !== null}
+        rule={recurrenceTarget === 'new' 
+          ? recurrenceRule 
+          : recurrenceTask && recurrenceTask.recurrence ? recurrenceTask.recurrence.rule : null}
+        dueDate={recurrenceTarget === 'new' ? selectedDate : recurrenceTask && recurrenceTask.dueDate}
+        onSave={saveRecurrence}
+        onClose={() => setRecurrenceTarget(null)}
+      />
       
-      {/* Delete confirmation modal */}
-      <AlertModal
-        visible={modalVisible}
-        type="confirm"
-        title="Delete Task"
-        message="Are you sure you want to delete this task? This action cannot be undone."
-        confirmText="Delete"
-        cancelText="Cancel"
-        onConfirm={confirmDelete}
-        onCancel={() => setModalVisible(false)}
-        colors={colors}
+      {/* Reminder picker */}
+      <ReminderPicker
+        visible={!!reminderTask}
+        reminder={reminderTask ? reminderTask.reminder : null}
+        dueDate={reminderTask ? reminderTask.dueDate : null}
+        onSave={(reminder) => updateTaskReminder(reminderTarget, reminder)}
+        onClose={() => setReminderTarget(null)}
+      />
+      
+      {/* Bulk actions for selected tasks */}
+      <SelectionBar
+        count={selection.length}
+        allSelected={isAllSelected(selection, sortedTasks)}
+        allCompleted={selectedTasks.every(task => task.completed)}
+        categories={categories}
+        onClose={() => setSelectedIds([])}
+        onSelectAll={selectAllFiltered}
+        onComplete={completeSelected}
+        onPriorityChange={prioritizeSelected}
+        onDueDateChange={rescheduleSelected}
+        onCategoryChange={recategorizeSelected}
+        onDelete={deleteSelected}
+      />
+      
+      {/* Undo snackbar for destructive actions */}
+      <UndoSnackbar
+        visible={!!undoMessage}
+        message={undoMessage}
+        onUndo={undoLast}
+        onDismiss={() => setUndoMessage(null)}
       />
     </View>
   );
+
+  // Navigation theme built from the app colors
+  const baseTheme = isDarkMode ? DarkTheme : DefaultTheme;
+  const navigationTheme = {
+    ...baseTheme,
+    colors: {
+      ...baseTheme.colors,
+      primary: colors.primary,
+      background: colors.background,
+      card: colors.card,
+      text: colors.text,
+      border: colors.border
+    }
+  };
+
+  // Tabs of the main screen; only the task list draws its own header
+  const renderTabs = () => (
+    <Tab.Navigator
+      screenOptions={({ route }) => ({
+        tabBarIcon: ({ focused, color, size }) => (
+          <Ionicons
+            name={focused ? TAB_ICONS[route.name] : `${TAB_ICONS[route.name]}-outline`}
+            size={size}
+            color={color}
+          />
+        ),
+        tabBarActiveTintColor: colors.primary,
+        tabBarInactiveTintColor: colors.subtext
+      })}
+    >
+      <Tab.Screen name="Tasks" options={{ headerShown: false, title: t('tabs.tasks') }}>
+        {() => tasksScreen}
+      </Tab.Screen>
+      <Tab.Screen name="Calendar" options={{ title: t('tabs.calendar') }}>
+        {() => (
+          <CalendarScreen
+            tasks={liveTasks}
+            weekStartsOn={preferences.weekStartsOn}
+            dateFormat={preferences.dateFormat}
+            onOpenTask={openTask}
+            onReschedule={rescheduleTask}
+          />
+        )}
+      </Tab.Screen>
+      <Tab.Screen name="Stats" options={{ title: t('tabs.stats') }}>
+        {() => (
+          <StatsScreen
+            tasks={liveTasks}
+            completions={completionLog}
+            categories={categories}
+            weekStartsOn={preferences.weekStartsOn}
+          />
+        )}
+      </Tab.Screen>
+      <Tab.Screen name="Settings" options={{ title: t('tabs.settings') }}>
+        {() => (
+          <SettingsScreen
+            themeMode={themeMode}
+            onThemeModeChange={updateThemeMode}
+            preferences={preferences}
+            onPreferenceChange={updatePreference}
+            sortLabel={getSortLabel(sort)}
+            onOpenSort={() => setShowSortPicker(true)}
+            categoryCount={categories.length}
+            trashCount={trashedTasks.length}
+            onOpenCategories={() => setShowCategoryManager(true)}
+            onOpenTrash={() => setShowTrash(true)}
+            onOpenBackup={() => setShowBackup(true)}
+            syncState={syncState}
+            syncPending={sync.pending}
+            lastSyncedAt={sync.lastSyncedAt}
+            onEditSyncServer={editSyncServer}
+            onSyncNow={sync.syncNow}
+          />
+        )}
+      </Tab.Screen>
+    </Tab.Navigator>
+  );
+
+  return (
+    <ThemeProvider theme={theme}>
+      <View style={styles.root}>
+        <StatusBar barStyle={isDarkMode ? "light-content" : "dark-content"} />
+        
+        <NavigationContainer
+          ref={navigationRef}
+          theme={navigationTheme}
+          linking={linking}
+          onReady={openPendingTask}
+        >
+          <Stack.Navigator screenOptions={{ headerShown: false }}>
+            <Stack.Screen name="Main">
+              {renderTabs}
+            </Stack.Screen>
+            <Stack.Screen
+              name="TaskDetail"
+              options={({ route }) => ({
+                headerShown: true,
+                title: t('detail.title'),
+                headerRight: () => (
+                  <Pressable
+                    onPress={() => shareTask(route.params.taskId)}
+                    style={styles.shareButton}
+                    accessibilityRole="button"
+                    accessibilityLabel={t('a11y.shareTask')}
+                  >
+                    <Ionicons name="share-outline" size={22} color={colors.primary} />
+                  </Pressable>
+                )
+              })}
+            >
+              {({ route }) => {
+                const task = liveTasks.find(item => item.id === route.params.taskId);
+                return (
+                  <TaskDetailScreen
+                    task={task}
+                    category={task ? findCategory(categories, task.category) : null}
+                    dateFormat={preferences.dateFormat}
+                    onToggle={() => toggleTask(task.id)}
+                    onEditTitle={(newText) => editTask(task.id, newText)}
+                    onNotesChange={(notes) => updateTaskNotes(task.id, notes)}
+                  />
+                );
+              }}
+            </Stack.Screen>
+          </Stack.Navigator>
+        </NavigationContainer>
+        
+        {/* Category manager */}
+        <CategoryManager
+          visible={showCategoryManager}
+          categories={categories}
+          onClose={() => setShowCategoryManager(false)}
+          onAdd={addCategory}
+          onRename={renameCategory}
+          onColorChange={updateCategoryColor}
+          onDelete={deleteCategory}
+        />
+        
+        {/* Trash bin */}
+        <TrashView
+          visible={showTrash}
+          trashedTasks={trashedTasks}
+          retentionDays={trashRetention}
+          onClose={() => setShowTrash(false)}
+          onRestore={restoreTask}
+          onDeleteForever={deleteTaskForever}
+          onEmpty={emptyTrash}
+          onRetentionChange={updateTrashRetention}
+        />
+        
+        {/* Export and import */}
+        <BackupModal
+          visible={showBackup}
+          onClose={() => setShowBackup(false)}
+          getBackupText={getBackupText}
+          onImport={importBackup}
+        />
+        
+        {/* Sort mode */}
+        <SortPicker
+          visible={showSortPicker}
+          sort={sort}
+          onChange={setSort}
+          onClose={() => setShowSortPicker(false)}
+        />
+        
+        {/* Unreadable saved data */}
+        <AlertModal
+          visible={!!storageError}
+          type="error"
+          title={t('storageError.title')}
+          message={storageError && storageError.backupKey
+            ? t('storageError.backedUp', { error: storageError.message, key: storageError.backupKey })
+            : t('storageError.generic')}
+          confirmText={t('common.ok')}
+          showCancel={false}
+          onConfirm={() => setStorageError(null)}
+        />
+        
+        {/* Dialogs requested through utils/dialog.js */}
+        <DialogHost />
+      </View>
+    </ThemeProvider>
+  );
 }
 
 // Wrap the main app with GestureHandlerRootView
@@ -653,6 +1828,9 @@ export default function App() {
 }
 
 const styles = StyleSheet.create({
+  root: {
+    flex: 1,
+  },
   container: {
     flex: 1,
     padding: 20,
@@ -684,6 +1862,7 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   title: {
+    flexShrink: 1,
     fontSize: 32,
     fontWeight: 'bold',
     letterSpacing: 0.5,
@@ -692,6 +1871,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginTop: 4,
   },
+  historyButton: {
+    padding: 8,
+    borderRadius: 12,
+  },
   themeToggle: {
     padding: 8,
     borderRadius: 12,
@@ -721,6 +1904,11 @@ const styles = StyleSheet.create({
   clearSearch: {
     padding: 8,
   },
+  recentSearches: {
+    flexGrow: 0,
+    marginTop: -8,
+    marginBottom: 16,
+  },
   inputContainer: {
     flexDirection: 'row',
     marginBottom: 20,
@@ -741,11 +1929,54 @@ const styles = StyleSheet.create({
     borderRadius: 12,
     marginRight: 8,
   },
+  categoryButton: {
+    padding: 10,
+    borderRadius: 12,
+    marginRight: 8,
+  },
+  categoryPicker: {
+    flexGrow: 0,
+    marginTop: -12,
+    marginBottom: 16,
+  },
+  categoryFilter: {
+    flexGrow: 0,
+    marginBottom: 16,
+  },
+  categoryChips: {
+    alignItems: 'center',
+  },
+  categoryChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  categoryChipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  chipIcon: {
+    marginRight: 4,
+  },
+  dueChips: {
+    flexDirection: 'row',
+    marginTop: -12,
+    marginBottom: 16,
+  },
   dateButton: {
     padding: 10,
     borderRadius: 12,
     marginRight: 8,
   },
+  repeatButton: {
+    padding: 10,
+    borderRadius: 12,
+    marginRight: 8,
+  },
   addButton: {
     width: 50,
     height: 50,
@@ -789,7 +2020,11 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: 'bold',
   },
-  statsButton: {
+  toolRow: {
+    flexDirection: 'row',
+  },
+  toolButton: {
+    flex: 1,
     flexDirection: 'row',
     alignItems: 'center',
     padding: 12,
@@ -798,7 +2033,10 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     elevation: 1,
   },
-  statsButtonText: {
+  sortDirection: {
+    marginLeft: 4,
+  },
+  toolButtonText: {
     marginLeft: 8,
     fontWeight: '500',
   },
@@ -834,57 +2072,7 @@ const styles = StyleSheet.create({
   clearButtonText: {
     fontWeight: '500',
   },
-  modalOverlay: {
-    flex: 1,
-    backgroundColor: 'rgba(0,0,0,0.5)',
-  },
-  statsModal: {
-    position: 'absolute',
-    bottom: 0,
-    left: 0,
-    right: 0,
-    borderTopLeftRadius: 20,
-    borderTopRightRadius: 20,
-    padding: 20,
-    paddingBottom: 40,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: -2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 10,
-    elevation: 10,
-  },
-  statsHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
-    marginBottom: 20,
-  },
-  statsTitle: {
-    fontSize: 20,
-    fontWeight: 'bold',
-  },
-  closeStats: {
-    padding: 8,
-  },
-  statsGrid: {
-    flexDirection: 'row',
-    flexWrap: 'wrap',
-    justifyContent: 'space-between',
-  },
-  statCard: {
-    width: '48%',
-    borderRadius: 12,
-    padding: 16,
-    marginBottom: 16,
-    alignItems: 'center',
-    elevation: 1,
-  },
-  statValue: {
-    fontSize: 28,
-    fontWeight: 'bold',
-    marginBottom: 8,
-  },
-  statLabel: {
-    fontSize: 14,
+  shareButton: {
+    padding: 4,
   },
 });
\ No newline at end of file
@@ -0,0 +1,323 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  TextInput,
+  Modal,
+  ScrollView,
+  Share,
+  TouchableWithoutFeedback
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from '../utils/haptics';
+import { parseBackup, describeErrors } from '../utils/backup';
+import { useTheme } from './ThemeContext';
+import { t } from '../utils/i18n';
+
+const MODE_OPTIONS = [
+  { value: 'merge', labelKey: 'backup.mode.merge' },
+  { value: 'replace', labelKey: 'backup.mode.replace' }
+];
+
+const CONFLICT_OPTIONS = [
+  { value: 'keep', labelKey: 'backup.conflict.keep' },
+  { value: 'overwrite', labelKey: 'backup.conflict.overwrite' },
+  { value: 'duplicate', labelKey: 'backup.conflict.duplicate' }
+];
+
+const BackupModal = ({
+  visible,
+  onClose,
+  getBackupText,
+  onImport
+}) => {
+  const { colors } = useTheme();
+  const [importText, setImportText] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [conflict, setConflict] = useState('keep');
+
+  useEffect(() => {
+    if (!visible) {
+      setImportText('');
+      setParsed(null);
+    }
+  }, [visible]);
+
+  // Hand the backup to the system share sheet
+  const exportData = async () => {
+    try {
+      await Share.share({ message: getBackupText(), title: t('backup.shareTitle') });
+    } catch (error) {
+      console.error('Error sharing backup:', error);
+    }
+  };
+
+  const validate = () => {
+    setParsed(parseBackup(importText));
+    Haptics.selectionAsync();
+  };
+
+  const runImport = () => {
+    onImport(parsed, mode, conflict);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+
+  const renderChip = (option, selected, onPress) => (
+    <Pressable
+      key={option.value}
+      onPress={onPress}
+      style={[styles.chip, {
+        borderColor: selected ? colors.primary : colors.border,
+        backgroundColor: selected ? colors.primary : 'transparent'
+      }]}
+    >
+      <Text style={[styles.chipText, { color: selected ? 'white' : colors.text }]}>{t(option.labelKey)}</Text>
+    </Pressable>
+  );
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+
+      <View style={[styles.sheet, { backgroundColor: colors.card }]}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: colors.text }]}>{t('backup.title')}</Text>
+          <Pressable onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colors.subtext} />
+          </Pressable>
+        </View>
+
+        <ScrollView>
+          {/* Export */}
+          <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('backup.export')}</Text>
+          <Pressable
+            onPress={exportData}
+            style={({ pressed }) => [
+              styles.button,
+              { backgroundColor: colors.primary },
+              pressed && styles.pressed
+            ]}
+          >
+            <Ionicons name="share-outline" size={18} color="white" />
+            <Text style={styles.buttonText}>{t('backup.share')}</Text>
+          </Pressable>
+
+          {/* Import */}
+          <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('backup.import')}</Text>
+          <TextInput
+            style={[styles.importInput, {
+              color: colors.text,
+              borderColor: colors.border,
+              backgroundColor: colors.background
+            }]}
+            placeholder={t('backup.pastePlaceholder')}
+            placeholderTextColor={colors.subtext}
+            value={importText}
+            onChangeText={(text) => {
+              setImportText(text);
+              setParsed(null);
+            }}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            cursorColor={colors.primary}
+          />
+
+          {!parsed && (
+            <Pressable
+              onPress={validate}
+              disabled={!importText.trim()}
+              style={({ pressed }) => [
+                styles.button,
+                { backgroundColor: colors.primary, opacity: importText.trim() ? 1 : 0.5 },
+                pressed && styles.pressed
+              ]}
+            >
+              <Ionicons name="checkmark-done" size={18} color="white" />
+              <Text style={styles.buttonText}>{t('backup.check')}</Text>
+            </Pressable>
+          )}
+
+          {parsed && !parsed.ok && (
+            <Text style={[styles.errorText, { color: colors.danger }]}>{parsed.error}</Text>
+          )}
+
+          {parsed && parsed.ok && (
+            <>
+              <Text style={[styles.summary, { color: colors.text }]}>
+                {t('backup.ready', {
+                  tasks: t('common.tasks', { count: parsed.tasks.length }),
+                  categories: t('common.categories', { count: parsed.categories.length })
+                })}
+              </Text>
+
+              {parsed.errors.length > 0 && (
+                <View style={[styles.errorBox, { borderColor: colors.warning }]}>
+                  <Text style={[styles.errorTitle, { color: colors.warning }]}>
+                    {t('backup.skipped', { count: parsed.errors.length })}
+                  </Text>
+                  {describeErrors(parsed.errors).map(line => (
+                    <Text key={line} style={[styles.errorLine, { color: colors.subtext }]}>{line}</Text>
+                  ))}
+                </View>
+              )}
+
+              <View style={styles.chipRow}>
+                {MODE_OPTIONS.map(option => renderChip(option, mode === option.value, () => setMode(option.value)))}
+              </View>
+              {mode === 'merge' && (
+                <>
+                  <Text style={[styles.hint, { color: colors.subtext }]}>{t('backup.conflictHint')}</Text>
+                  <View style={styles.chipRow}>
+                    {CONFLICT_OPTIONS.map(option => renderChip(option, conflict === option.value, () => setConflict(option.value)))}
+                  </View>
+                </>
+              )}
+              {mode === 'replace' && (
+                <Text style={[styles.hint, { color: colors.warning }]}>
+                  {t('backup.replaceWarning')}
+                </Text>
+              )}
+
+              <Pressable
+                onPress={runImport}
+                style={({ pressed }) => [
+                  styles.button,
+                  { backgroundColor: colors.primary },
+                  pressed && styles.pressed
+                ]}
+              >
+                <Ionicons name="download-outline" size={18} color="white" />
+                <Text style={styles.buttonText}>{t('backup.import')}</Text>
+              </Pressable>
+            </>
+          )}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  sheet: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    maxHeight: '85%',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 10,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  button: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 12,
+    marginBottom: 8,
+  },
+  buttonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  importInput: {
+    height: 120,
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 12,
+    textAlignVertical: 'top',
+    marginBottom: 8,
+  },
+  summary: {
+    fontSize: 15,
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  errorText: {
+    fontSize: 14,
+    marginBottom: 8,
+  },
+  errorBox: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 10,
+    marginBottom: 8,
+  },
+  errorTitle: {
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  errorLine: {
+    fontSize: 12,
+  },
+  hint: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  pressed: {
+    opacity: 0.8,
+    transform: [{ scale: 0.98 }],
+  },
+});
+
+export default BackupModal;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Rect, Line, Text as SvgText } from 'react-native-svg';
+import { useTheme } from './ThemeContext';
+
+const LABEL_HEIGHT = 18;
+const MAX_LABELS = 7;
+
+// Vertical bars for a series of { label, value }. Only every few labels are
+// drawn so they never overlap.
+const BarChart = ({
+  data,
+  height = 160
+}) => {
+  const { colors } = useTheme();
+  const [width, setWidth] = useState(0);
+
+  const max = Math.max(1, ...data.map(item => item.value));
+  const chartHeight = height - LABEL_HEIGHT;
+  const slot = data.length > 0 ? width / data.length : 0;
+  const barWidth = Math.max(2, slot * 0.6);
+  const labelEvery = Math.ceil(data.length / MAX_LABELS);
+
+  return (
+    <View
+      style={[styles.container, { height }]}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+    >
+      {width > 0 && (
+        <Svg width={width} height={height}>
+          <Line
+            x1={0}
+            y1={chartHeight}
+            x2={width}
+            y2={chartHeight}
+            stroke={colors.border}
+            strokeWidth={1}
+          />
+          {data.map((item, i) => {
+            const barHeight = (item.value / max) * (chartHeight - 14);
+            const x = i * slot + (slot - barWidth) / 2;
+            return (
+              <React.Fragment key={i}>
+                <Rect
+                  x={x}
+                  y={chartHeight - barHeight}
+                  width={barWidth}
+                  height={barHeight}
+                  rx={Math.min(3, barWidth / 2)}
+                  fill={colors.primary}
+                />
+                {item.value > 0 && data.length <= 14 && (
+                  <SvgText
+                    x={x + barWidth / 2}
+                    y={chartHeight - barHeight - 3}
+                    fontSize={10}
+                    fill={colors.subtext}
+                    textAnchor="middle"
+                  >
+                    {item.value}
+                  </SvgText>
+                )}
+                {i % labelEvery === 0 && (
+                  <SvgText
+                    x={x + barWidth / 2}
+                    y={height - 4}
+                    fontSize={10}
+                    fill={colors.subtext}
+                    textAnchor="middle"
+                  >
+                    {item.label}
+                  </SvgText>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </Svg>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+  },
+});
+
+export default BarChart;
@@ -0,0 +1,137 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet
+} from 'react-native';
+import { getWeekdayLabels, getDayKey, getDayDots } from '../utils/calendar';
+import { useTheme } from './ThemeContext';
+
+// Month or week grid with one dot per task, colored by priority. Each cell
+// hands its view to `cellRef` so the screen can find drop targets.
+const CalendarGrid = ({
+  weeks,
+  month,
+  selectedDay,
+  tasksByDay,
+  weekStartsOn = 0,
+  hoverKey,
+  onSelectDay,
+  cellRef
+}) => {
+  const { colors } = useTheme();
+  const todayKey = getDayKey(new Date());
+  const selectedKey = getDayKey(selectedDay);
+
+  return (
+    <View>
+      <View style={styles.weekRow}>
+        {getWeekdayLabels(weekStartsOn).map((label, i) => (
+          <Text key={i} style={[styles.weekday, { color: colors.subtext }]}>{label}</Text>
+        ))}
+      </View>
+
+      {weeks.map(week => (
+        <View key={getDayKey(week[0])} style={styles.weekRow}>
+          {week.map(day => {
+            const key = getDayKey(day);
+            const { dots, overflow } = getDayDots(tasksByDay[key]);
+            const isSelected = key === selectedKey;
+            const isToday = key === todayKey;
+            const isOutside = month !== undefined && day.getMonth() !== month;
+
+            return (
+              <Pressable
+                key={key}
+                ref={cellRef(key)}
+                onPress={() => onSelectDay(day)}
+                style={[
+                  styles.cell,
+                  isSelected && { backgroundColor: `${colors.primary}25` },
+                  key === hoverKey && { borderColor: colors.primary, backgroundColor: `${colors.primary}40` }
+                ]}
+              >
+                <View style={[styles.dayNumber, isToday && { backgroundColor: colors.primary }]}>
+                  <Text style={[
+                    styles.dayText,
+                    {
+                      color: isToday ? 'white' : isOutside ? colors.border : colors.text,
+                      fontWeight: isToday || isSelected ? 'bold' : 'normal'
+                    }
+                  ]}>
+                    {day.getDate()}
+                  </Text>
+                </View>
+                <View style={styles.dots}>
+                  {dots.map(dot => (
+                    <View
+                      key={dot.id}
+                      style={[
+                        styles.dot,
+                        { backgroundColor: dot.completed ? colors.border : colors[`${dot.priority}Priority`] }
+                      ]}
+                    />
+                  ))}
+                  {overflow > 0 && (
+                    <Text style={[styles.overflow, { color: colors.subtext }]}>+{overflow}</Text>
+                  )}
+                </View>
+              </Pressable>
+            );
+          })}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  weekRow: {
+    flexDirection: 'row',
+  },
+  weekday: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '600',
+    marginBottom: 6,
+  },
+  cell: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 6,
+    margin: 1,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: 'transparent',
+  },
+  dayNumber: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  dayText: {
+    fontSize: 14,
+  },
+  dots: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 10,
+    marginTop: 2,
+  },
+  dot: {
+    width: 5,
+    height: 5,
+    borderRadius: 2.5,
+    marginHorizontal: 1,
+  },
+  overflow: {
+    fontSize: 8,
+    marginLeft: 1,
+  },
+});
+
+export default CalendarGrid;
@@ -0,0 +1,277 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  TextInput,
+  Modal,
+  ScrollView,
+  TouchableWithoutFeedback
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from '../utils/haptics';
+import * as dialog from '../utils/dialog';
+import DialogHost from './DialogHost';
+import { CATEGORY_COLORS, getNextColor } from '../utils/categories';
+import { useTheme } from './ThemeContext';
+import { t } from '../utils/i18n';
+
+const CategoryManager = ({
+  visible,
+  categories,
+  onClose,
+  onAdd,
+  onRename,
+  onColorChange,
+  onDelete
+}) => {
+  const { colors } = useTheme();
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(CATEGORY_COLORS[0]);
+  const [editingId, setEditingId] = useState(null);
+  const [editedName, setEditedName] = useState('');
+
+  // Reject empty names and names already in use
+  const validateName = (name, ignoreId = null) => {
+    const trimmed = name.trim();
+    if (!trimmed) return false;
+    const exists = categories.some(category =>
+      category.id !== ignoreId && category.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (exists) {
+      dialog.alert({
+        type: 'warning',
+        title: t('categories.duplicate.title'),
+        message: t('categories.duplicate.message', { name: trimmed })
+      });
+      return false;
+    }
+    return true;
+  };
+
+  // Create a new category
+  const addCategory = () => {
+    if (!validateName(newName)) return;
+    onAdd(newName, newColor);
+    setNewName('');
+    setNewColor(getNextColor(newColor));
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+
+  // Start renaming a category
+  const startEditing = (category) => {
+    setEditingId(category.id);
+    setEditedName(category.name);
+  };
+
+  // Save the renamed category
+  const saveRename = () => {
+    if (editingId !== null && validateName(editedName, editingId)) {
+      onRename(editingId, editedName);
+      Haptics.selectionAsync();
+    }
+    setEditingId(null);
+  };
+
+  // Confirm category deletion
+  const confirmDelete = async (category) => {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
+    const confirmed = await dialog.confirm({
+      title: t('categories.delete.title'),
+      message: t('categories.delete.message', { name: category.name }),
+      confirmText: t('common.delete'),
+      destructive: true
+    });
+    if (confirmed) onDelete(category.id);
+  };
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+
+      <View style={[styles.sheet, { backgroundColor: colors.card }]}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: colors.text }]}>{t('categories.title')}</Text>
+          <Pressable onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colors.subtext} />
+          </Pressable>
+        </View>
+
+        {/* New category input */}
+        <View style={[styles.addRow, { backgroundColor: colors.background, borderColor: colors.border }]}>
+          <Pressable
+            onPress={() => setNewColor(getNextColor(newColor))}
+            style={[styles.colorDot, { backgroundColor: newColor }]}
+          />
+          <TextInput
+            style={[styles.input, { color: colors.text }]}
+            placeholder={t('categories.addPlaceholder')}
+            placeholderTextColor={colors.subtext}
+            value={newName}
+            onChangeText={setNewName}
+            onSubmitEditing={addCategory}
+            returnKeyType="done"
+            cursorColor={colors.primary}
+          />
+          <Pressable
+            onPress={addCategory}
+            style={({ pressed }) => [
+              styles.addButton,
+              { backgroundColor: colors.primary },
+              pressed && styles.pressed
+            ]}
+          >
+            <Ionicons name="add" size={22} color="white" />
+          </Pressable>
+        </View>
+
+        {/* Existing categories */}
+        <ScrollView style={styles.list}>
+          {categories.length === 0 ? (
+            <Text style={[styles.emptyText, { color: colors.subtext }]}>
+              {t('categories.empty')}
+            </Text>
+          ) : categories.map(category => (
+            <View
+              key={category.id}
+              style={[styles.row, { borderBottomColor: colors.border }]}
+            >
+              <Pressable
+                onPress={() => {
+                  onColorChange(category.id, getNextColor(category.color));
+                  Haptics.selectionAsync();
+                }}
+                style={[styles.colorDot, { backgroundColor: category.color }]}
+              />
+              {editingId === category.id ? (
+                <TextInput
+                  style={[styles.input, styles.editInput, { color: colors.text, borderBottomColor: colors.primary }]}
+                  value={editedName}
+                  onChangeText={setEditedName}
+                  autoFocus
+                  onSubmitEditing={saveRename}
+                  onBlur={saveRename}
+                  cursorColor={colors.primary}
+                />
+              ) : (
+                <Pressable onPress={() => startEditing(category)} style={styles.nameContainer}>
+                  <Text style={[styles.name, { color: colors.text }]}>{category.name}</Text>
+                </Pressable>
+              )}
+              <Pressable onPress={() => confirmDelete(category)} style={styles.iconButton}>
+                <Ionicons name="trash-outline" size={18} color={colors.danger} />
+              </Pressable>
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+
+      {/* Dialogs have to open inside this modal to show on iOS */}
+      <DialogHost />
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  sheet: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    maxHeight: '70%',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 10,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    borderWidth: 1,
+    padding: 4,
+    paddingLeft: 12,
+    marginBottom: 12,
+  },
+  colorDot: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    height: 44,
+  },
+  editInput: {
+    borderBottomWidth: 2,
+  },
+  addButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  nameContainer: {
+    flex: 1,
+    paddingVertical: 8,
+  },
+  name: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  iconButton: {
+    padding: 8,
+  },
+  emptyText: {
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  pressed: {
+    opacity: 0.8,
+    transform: [{ scale: 0.96 }],
+  },
+});
+
+export default CategoryManager;
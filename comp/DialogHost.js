@@ -0,0 +1,63 @@
+import React, { useState, useEffect, useRef } from 'react';
+import AlertModal from '../AlertModal';
+import { addDialogHost } from '../utils/dialog';
+
+// What cancelling resolves with for each kind of dialog
+const CANCEL_RESULTS = { alert: undefined, confirm: false, prompt: null };
+
+// Shows requests from utils/dialog.js one at a time. Mount one near the root
+// and one inside each Modal whose content asks for dialogs.
+const DialogHost = () => {
+  const [queue, setQueue] = useState([]);
+  const nextId = useRef(0);
+  const queueRef = useRef(queue);
+  queueRef.current = queue;
+  const current = queue[0];
+
+  useEffect(() => {
+    const removeHost = addDialogHost((request) => {
+      nextId.current += 1;
+      setQueue(prev => [...prev, { ...request, id: nextId.current }]);
+    });
+    return () => {
+      removeHost();
+      // Nobody is left to answer what is still waiting here
+      queueRef.current.forEach(request => request.resolve(CANCEL_RESULTS[request.kind]));
+    };
+  }, []);
+
+  // Ignores repeat presses once the dialog has been answered
+  const finish = (result) => {
+    current.resolve(result);
+    setQueue(prev => (prev[0] && prev[0].id === current.id ? prev.slice(1) : prev));
+  };
+
+  const confirmResult = (value) => {
+    if (current.kind === 'prompt') return value;
+    if (current.kind === 'confirm') return true;
+    return undefined;
+  };
+
+  if (!current) return <AlertModal visible={false} />;
+
+  return (
+    <AlertModal
+      key={current.id}
+      visible
+      type={current.type}
+      title={current.title}
+      message={current.message}
+      confirmText={current.confirmText}
+      cancelText={current.cancelText}
+      destructive={current.destructive}
+      showCancel={current.kind !== 'alert'}
+      showInput={current.kind === 'prompt'}
+      defaultValue={current.defaultValue}
+      placeholder={current.placeholder}
+      onConfirm={(value) => finish(confirmResult(value))}
+      onCancel={() => finish(CANCEL_RESULTS[current.kind])}
+    />
+  );
+};
+
+export default DialogHost;
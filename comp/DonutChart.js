@@ -0,0 +1,79 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { Circle, G } from 'react-native-svg';
+import { useTheme } from './ThemeContext';
+
+// Ring split into { value, color } segments, with a caption in the middle
+const DonutChart = ({
+  segments,
+  size = 120,
+  strokeWidth = 14,
+  centerText,
+  centerLabel
+}) => {
+  const { colors } = useTheme();
+  const radius = (size - strokeWidth) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+
+  let offset = 0;
+
+  return (
+    <View style={{ width: size, height: size }}>
+      <Svg width={size} height={size}>
+        {/* Start at 12 o'clock rather than 3 */}
+        <G rotation={-90} origin={`${size / 2}, ${size / 2}`}>
+          <Circle
+            cx={size / 2}
+            cy={size / 2}
+            r={radius}
+            stroke={colors.border}
+            strokeWidth={strokeWidth}
+            fill="none"
+          />
+          {total > 0 && segments.map((segment, i) => {
+            const length = (segment.value / total) * circumference;
+            const circle = (
+              <Circle
+                key={i}
+                cx={size / 2}
+                cy={size / 2}
+                r={radius}
+                stroke={segment.color}
+                strokeWidth={strokeWidth}
+                strokeDasharray={`${length} ${circumference - length}`}
+                strokeDashoffset={-offset}
+                fill="none"
+              />
+            );
+            offset += length;
+            return circle;
+          })}
+        </G>
+      </Svg>
+      <View style={styles.center}>
+        <Text style={[styles.centerText, { color: colors.text }]}>{centerText}</Text>
+        {centerLabel && (
+          <Text style={[styles.centerLabel, { color: colors.subtext }]}>{centerLabel}</Text>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  center: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  centerText: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  centerLabel: {
+    fontSize: 11,
+  },
+});
+
+export default DonutChart;
@@ -0,0 +1,244 @@
+import React, { useState, useRef, useEffect, useContext, createContext } from 'react';
+import {
+  View,
+  StyleSheet,
+  Animated,
+  FlatList,
+  PanResponder
+} from 'react-native';
+import * as Haptics from '../utils/haptics';
+import { getDropIndex, getRowShift, getAutoScrollSpeed } from '../utils/reorder';
+
+// Height used for rows that have not been measured yet
+const ESTIMATED_ROW_HEIGHT = 90;
+
+// A row counts as visible once a tenth of it is on screen
+const VIEWABILITY_CONFIG = { itemVisiblePercentThreshold: 10 };
+
+// Ids of the rows currently on screen, so rows outside of it can pause
+// their animations. Shared with the sectioned list.
+export const useVisibleIds = () => {
+  const [visibleIds, setVisibleIds] = useState(() => new Set());
+  const onViewableItemsChanged = useRef(({ viewableItems }) => {
+    setVisibleIds(new Set(viewableItems.map(token => token.item && token.item.id)));
+  }).current;
+  return { visibleIds, onViewableItemsChanged, viewabilityConfig: VIEWABILITY_CONFIG };
+};
+
+// Id of the row being dragged, read by the cells to raise it above the rest
+const DraggingContext = createContext(null);
+
+const DragCell = ({ item, index, cellKey, style, children, ...props }) => {
+  const draggingId = useContext(DraggingContext);
+  return (
+    <View {...props} style={[style, item.id === draggingId && styles.draggingCell]}>
+      {children}
+    </View>
+  );
+};
+
+// One row of the list. The dragged row follows the finger; the others
+// slide out of the way to show where it will land.
+const DragRow = ({ id, shift, isActive, isDragging, dragY, handlersRef, onMeasure, children }) => {
+  const shiftAnim = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (isDragging) {
+      Animated.spring(shiftAnim, {
+        toValue: shift,
+        speed: 20,
+        bounciness: 0,
+        useNativeDriver: true
+      }).start();
+    } else {
+      // The list has already been reordered, so jump straight back
+      shiftAnim.setValue(0);
+    }
+  }, [shift, isDragging]);
+
+  const responder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: (event) => handlersRef.current.start(id, event.nativeEvent.pageY),
+      onPanResponderMove: (event, gestureState) => handlersRef.current.move(gestureState.dy, event.nativeEvent.pageY),
+      onPanResponderRelease: () => handlersRef.current.end(),
+      onPanResponderTerminate: () => handlersRef.current.end()
+    })
+  ).current;
+
+  return (
+    <Animated.View
+      onLayout={(event) => onMeasure(id, event.nativeEvent.layout.height)}
+      style={{ transform: [{ translateY: isActive ? dragY : shiftAnim }] }}
+    >
+      {children(responder.panHandlers)}
+    </Animated.View>
+  );
+};
+
+const DraggableTaskList = ({
+  data,
+  renderItem,
+  onReorder,
+  dragEnabled,
+  style,
+  contentContainerStyle
+}) => {
+  const [drag, setDrag] = useState(null);
+  const { visibleIds, onViewableItemsChanged, viewabilityConfig } = useVisibleIds();
+
+  const listRef = useRef();
+  const containerRef = useRef();
+  const dragY = useRef(new Animated.Value(0)).current;
+  const dragRef = useRef(null);
+  const heightsRef = useRef({});
+  const scrollOffsetRef = useRef(0);
+  const contentHeightRef = useRef(0);
+  const listFrameRef = useRef({ top: 0, height: 0 });
+  const gestureRef = useRef({ dy: 0, pageY: 0, startOffset: 0 });
+  const frameRef = useRef(null);
+  const handlersRef = useRef({});
+
+  const ids = data.map(item => item.id);
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  const measureRow = (id, height) => {
+    heightsRef.current[id] = height;
+  };
+
+  const measureList = () => {
+    if (!containerRef.current) return;
+    containerRef.current.measureInWindow((x, y, w, height) => {
+      listFrameRef.current = { top: y, height };
+    });
+  };
+
+  // Follow the finger, including any distance the list has auto-scrolled
+  const updateDrag = () => {
+    const current = dragRef.current;
+    if (!current) return;
+
+    const { dy, startOffset } = gestureRef.current;
+    const translation = dy + scrollOffsetRef.current - startOffset;
+    dragY.setValue(translation);
+
+    const toIndex = getDropIndex(ids, heightsRef.current, current.fromIndex, translation, ESTIMATED_ROW_HEIGHT);
+    if (toIndex !== current.toIndex) {
+      dragRef.current = { ...current, toIndex };
+      setDrag(dragRef.current);
+      Haptics.selectionAsync();
+    }
+  };
+
+  // Scroll while the finger rests near the top or bottom edge
+  const autoScroll = () => {
+    const { top, height } = listFrameRef.current;
+    const speed = getAutoScrollSpeed(gestureRef.current.pageY - top, height);
+    const maxOffset = Math.max(0, contentHeightRef.current - height);
+    const offset = Math.min(Math.max(scrollOffsetRef.current + speed, 0), maxOffset);
+
+    if (offset !== scrollOffsetRef.current) {
+      scrollOffsetRef.current = offset;
+      listRef.current.scrollToOffset({ offset, animated: false });
+      updateDrag();
+    }
+    frameRef.current = requestAnimationFrame(autoScroll);
+  };
+
+  const startDrag = (id, pageY) => {
+    const fromIndex = ids.indexOf(id);
+    if (fromIndex === -1) return;
+
+    measureList();
+    gestureRef.current = { dy: 0, pageY, startOffset: scrollOffsetRef.current };
+    dragY.setValue(0);
+    dragRef.current = { id, fromIndex, toIndex: fromIndex };
+    setDrag(dragRef.current);
+    frameRef.current = requestAnimationFrame(autoScroll);
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+  };
+
+  const moveDrag = (dy, pageY) => {
+    gestureRef.current = { ...gestureRef.current, dy, pageY };
+    updateDrag();
+  };
+
+  const endDrag = () => {
+    cancelAnimationFrame(frameRef.current);
+    const current = dragRef.current;
+    if (!current) return;
+
+    dragRef.current = null;
+    if (current.toIndex !== current.fromIndex) {
+      onReorder(current.id, ids[current.toIndex]);
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+    }
+    dragY.setValue(0);
+    setDrag(null);
+  };
+
+  // Rows keep one responder for their lifetime, so they call through a ref
+  handlersRef.current = { start: startDrag, move: moveDrag, end: endDrag };
+
+  const draggedHeight = drag ? heightsRef.current[drag.id] || ESTIMATED_ROW_HEIGHT : 0;
+
+  return (
+    <View ref={containerRef} style={style} onLayout={measureList}>
+      <DraggingContext.Provider value={drag ? drag.id : null}>
+        <FlatList
+          ref={listRef}
+          data={data}
+          keyExtractor={item => String(item.id)}
+          extraData={[drag, visibleIds]}
+          renderItem={({ item, index }) => (
+            <DragRow
+              id={item.id}
+              shift={drag ? getRowShift(index, drag.fromIndex, drag.toIndex, draggedHeight) : 0}
+              isActive={!!drag && drag.id === item.id}
+              isDragging={!!drag}
+              dragY={dragY}
+              handlersRef={handlersRef}
+              onMeasure={measureRow}
+            >
+              {(panHandlers) => renderItem({
+                item,
+                index,
+                dragHandlers: dragEnabled ? panHandlers : undefined,
+                isDragging: !!drag && drag.id === item.id,
+                isVisible: visibleIds.has(item.id)
+              })}
+            </DragRow>
+          )}
+          CellRendererComponent={DragCell}
+          contentContainerStyle={contentContainerStyle}
+          scrollEnabled={!drag}
+          onScroll={(event) => {
+            scrollOffsetRef.current = event.nativeEvent.contentOffset.y;
+          }}
+          scrollEventThrottle={16}
+          onContentSizeChange={(w, height) => {
+            contentHeightRef.current = height;
+          }}
+          keyboardShouldPersistTaps="handled"
+          initialNumToRender={12}
+          maxToRenderPerBatch={10}
+          windowSize={11}
+          onViewableItemsChanged={onViewableItemsChanged}
+          viewabilityConfig={viewabilityConfig}
+        />
+      </DraggingContext.Provider>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  draggingCell: {
+    zIndex: 100,
+    elevation: 10,
+  },
+});
+
+export default DraggableTaskList;
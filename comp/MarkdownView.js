@@ -0,0 +1,164 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  Linking
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from '../utils/haptics';
+import { parseMarkdown, parseInline } from '../utils/markdown';
+import { useTheme } from './ThemeContext';
+
+// Read-only rendering of task notes (see utils/markdown.js for the syntax)
+const MarkdownView = ({
+  source,
+  onToggleItem
+}) => {
+  const { colors } = useTheme();
+  const openLink = async (url) => {
+    try {
+      await Linking.openURL(url);
+    } catch (error) {
+      console.error('Error opening link:', error);
+    }
+  };
+
+  const renderInline = (text, style) => (
+    <Text style={[styles.text, { color: colors.text }, style]}>
+      {parseInline(text).map((run, i) => {
+        if (run.type === 'bold') return <Text key={i} style={styles.bold}>{run.text}</Text>;
+        if (run.type === 'italic') return <Text key={i} style={styles.italic}>{run.text}</Text>;
+        if (run.type === 'code') {
+          return (
+            <Text key={i} style={[styles.code, { backgroundColor: `${colors.primary}20` }]}>
+              {run.text}
+            </Text>
+          );
+        }
+        if (run.type === 'link') {
+          return (
+            <Text
+              key={i}
+              style={[styles.link, { color: colors.primary }]}
+              onPress={() => openLink(run.url)}
+            >
+              {run.text}
+            </Text>
+          );
+        }
+        return run.text;
+      })}
+    </Text>
+  );
+
+  return (
+    <View>
+      {parseMarkdown(source).map(block => {
+        if (block.type === 'heading') {
+          return (
+            <View key={block.line} style={styles.block}>
+              {renderInline(block.text, [styles.heading, styles[`heading${block.level}`]])}
+            </View>
+          );
+        }
+
+        if (block.type === 'checkbox') {
+          return (
+            <Pressable
+              key={block.line}
+              onPress={() => {
+                onToggleItem(block.line);
+                Haptics.selectionAsync();
+              }}
+              style={styles.listItem}
+            >
+              <Ionicons
+                name={block.checked ? 'checkbox' : 'square-outline'}
+                size={18}
+                color={block.checked ? colors.primary : colors.subtext}
+                style={styles.marker}
+              />
+              <View style={styles.itemText}>
+                {renderInline(block.text, block.checked && {
+                  color: colors.subtext,
+                  textDecorationLine: 'line-through'
+                })}
+              </View>
+            </Pressable>
+          );
+        }
+
+        if (block.type === 'bullet' || block.type === 'ordered') {
+          return (
+            <View key={block.line} style={styles.listItem}>
+              <Text style={[styles.text, styles.marker, { color: colors.subtext }]}>
+                {block.type === 'bullet' ? '•' : `${block.number}.`}
+              </Text>
+              <View style={styles.itemText}>{renderInline(block.text)}</View>
+            </View>
+          );
+        }
+
+        return (
+          <View key={block.line} style={styles.block}>
+            {renderInline(block.text)}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  block: {
+    marginBottom: 10,
+  },
+  text: {
+    fontSize: 15,
+    lineHeight: 22,
+  },
+  heading: {
+    fontWeight: 'bold',
+  },
+  heading1: {
+    fontSize: 22,
+    lineHeight: 28,
+  },
+  heading2: {
+    fontSize: 19,
+    lineHeight: 25,
+  },
+  heading3: {
+    fontSize: 17,
+    lineHeight: 23,
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  italic: {
+    fontStyle: 'italic',
+  },
+  code: {
+    fontFamily: 'monospace',
+    fontSize: 14,
+  },
+  link: {
+    textDecorationLine: 'underline',
+  },
+  listItem: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: 6,
+  },
+  marker: {
+    width: 24,
+    marginTop: 2,
+  },
+  itemText: {
+    flex: 1,
+  },
+});
+
+export default MarkdownView;
@@ -0,0 +1,332 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  Modal,
+  TouchableWithoutFeedback
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import * as Haptics from '../utils/haptics';
+import { createRule, describeRule } from '../utils/recurrence';
+import { formatWeekday } from '../utils/dates';
+import { useTheme } from './ThemeContext';
+import { t, getLocale } from '../utils/i18n';
+
+const FREQUENCY_OPTIONS = [
+  { value: null, labelKey: 'recurrence.never' },
+  { value: 'daily', labelKey: 'recurrence.daily' },
+  { value: 'weekly', labelKey: 'recurrence.weekly' },
+  { value: 'monthly', labelKey: 'recurrence.monthly' }
+];
+
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+const RecurrencePicker = ({
+  visible,
+  rule,
+  dueDate,
+  onSave,
+  onClose
+}) => {
+  const { colors } = useTheme();
+  const [frequency, setFrequency] = useState(null);
+  const [repeatInterval, setRepeatInterval] = useState(1);
+  const [weekdays, setWeekdays] = useState([]);
+  const [dayOfMonth, setDayOfMonth] = useState(null);
+  const [endType, setEndType] = useState('never');
+  const [endAfter, setEndAfter] = useState(5);
+  const [endDate, setEndDate] = useState(new Date());
+  const [showEndDatePicker, setShowEndDatePicker] = useState(false);
+
+  // Reset the form from the current rule each time the picker opens
+  useEffect(() => {
+    if (!visible) return;
+    const base = dueDate ? new Date(dueDate) : new Date();
+    setFrequency(rule ? rule.frequency : null);
+    setRepeatInterval(rule ? rule.interval : 1);
+    setWeekdays(rule && rule.weekdays.length > 0 ? rule.weekdays : [base.getDay()]);
+    setDayOfMonth(rule ? rule.dayOfMonth : null);
+    setEndType(rule && rule.endAfter ? 'after' : rule && rule.endDate ? 'date' : 'never');
+    setEndAfter(rule && rule.endAfter ? rule.endAfter : 5);
+    setEndDate(rule && rule.endDate ? new Date(rule.endDate) : base);
+  }, [visible]);
+
+  // Toggle a weekday, keeping at least one selected
+  const toggleWeekday = (day) => {
+    if (weekdays.includes(day)) {
+      if (weekdays.length > 1) setWeekdays(weekdays.filter(d => d !== day));
+    } else {
+      setWeekdays([...weekdays, day]);
+    }
+    Haptics.selectionAsync();
+  };
+
+  // Build the rule from the form state
+  const buildRule = () => {
+    if (!frequency) return null;
+    const base = dueDate ? new Date(dueDate) : new Date();
+    return createRule(frequency, {
+      interval: repeatInterval,
+      weekdays,
+      // Pin "same day" to a concrete day so short months don't shift the series
+      dayOfMonth: dayOfMonth === null ? base.getDate() : dayOfMonth,
+      endAfter: endType === 'after' ? endAfter : null,
+      endDate: endType === 'date' ? endDate : null
+    });
+  };
+
+  const save = () => {
+    onSave(buildRule());
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <Pressable
+      key={key}
+      onPress={onPress}
+      style={[styles.chip, {
+        borderColor: selected ? colors.primary : colors.border,
+        backgroundColor: selected ? colors.primary : 'transparent'
+      }]}
+    >
+      <Text style={[styles.chipText, { color: selected ? 'white' : colors.text }]}>{label}</Text>
+    </Pressable>
+  );
+
+  const renderStepper = (value, onChange, min = 1) => (
+    <View style={styles.stepper}>
+      <Pressable onPress={() => onChange(Math.max(min, value - 1))} style={styles.stepperButton}>
+        <Ionicons name="remove" size={18} color={colors.primary} />
+      </Pressable>
+      <Text style={[styles.stepperValue, { color: colors.text }]}>{value}</Text>
+      <Pressable onPress={() => onChange(value + 1)} style={styles.stepperButton}>
+        <Ionicons name="add" size={18} color={colors.primary} />
+      </Pressable>
+    </View>
+  );
+
+  const preview = buildRule();
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+
+      <View style={[styles.sheet, { backgroundColor: colors.card }]}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: colors.text }]}>{t('recurrence.title')}</Text>
+          <Pressable onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colors.subtext} />
+          </Pressable>
+        </View>
+
+        <View style={styles.chipRow}>
+          {FREQUENCY_OPTIONS.map(option => renderChip(
+            option.labelKey,
+            t(option.labelKey),
+            frequency === option.value,
+            () => {
+              setFrequency(option.value);
+              Haptics.selectionAsync();
+            }
+          ))}
+        </View>
+
+        {frequency && (
+          <>
+            {/* Interval */}
+            <View style={styles.row}>
+              <Text style={[styles.label, { color: colors.text }]}>{t('recurrence.everyLabel')}</Text>
+              {renderStepper(repeatInterval, setRepeatInterval)}
+              <Text style={[styles.label, { color: colors.text }]}>
+                {t(`recurrence.unit.${frequency}`, { count: repeatInterval })}
+              </Text>
+            </View>
+
+            {/* Weekdays */}
+            {frequency === 'weekly' && (
+              <View style={styles.chipRow}>
+                {WEEKDAYS.map(day => renderChip(
+                  day,
+                  formatWeekday(day, 'short'),
+                  weekdays.includes(day),
+                  () => toggleWeekday(day)
+                ))}
+              </View>
+            )}
+
+            {/* Day of month */}
+            {frequency === 'monthly' && (
+              <View style={styles.chipRow}>
+                {renderChip('same', t('recurrence.sameDay'), dayOfMonth !== 1 && dayOfMonth !== -1, () => setDayOfMonth(null))}
+                {renderChip('first', t('recurrence.firstDay'), dayOfMonth === 1, () => setDayOfMonth(1))}
+                {renderChip('last', t('recurrence.lastDay'), dayOfMonth === -1, () => setDayOfMonth(-1))}
+              </View>
+            )}
+
+            {/* End condition */}
+            <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('recurrence.ends')}</Text>
+            <View style={styles.chipRow}>
+              {renderChip('never', t('recurrence.never'), endType === 'never', () => setEndType('never'))}
+              {renderChip('after', t('recurrence.after'), endType === 'after', () => setEndType('after'))}
+              {renderChip('date', t('recurrence.onDate'), endType === 'date', () => setEndType('date'))}
+            </View>
+            {endType === 'after' && (
+              <View style={styles.row}>
+                {renderStepper(endAfter, setEndAfter)}
+                <Text style={[styles.label, { color: colors.text }]}>
+                  {t('recurrence.occurrences', { count: endAfter })}
+                </Text>
+              </View>
+            )}
+            {endType === 'date' && (
+              <Pressable onPress={() => setShowEndDatePicker(true)} style={styles.row}>
+                <Ionicons name="calendar-outline" size={18} color={colors.primary} />
+                <Text style={[styles.label, { color: colors.primary }]}>
+                  {endDate.toLocaleDateString(getLocale(), { month: 'short', day: 'numeric', year: 'numeric' })}
+                </Text>
+              </Pressable>
+            )}
+          </>
+        )}
+
+        <Text style={[styles.preview, { color: colors.subtext }]}>
+          {preview ? describeRule(preview) : t('recurrence.doesNotRepeat')}
+        </Text>
+
+        <Pressable
+          onPress={save}
+          style={({ pressed }) => [
+            styles.saveButton,
+            { backgroundColor: colors.primary },
+            pressed && styles.pressed
+          ]}
+        >
+          <Text style={styles.saveText}>{t('common.save')}</Text>
+        </Pressable>
+
+        {showEndDatePicker && (
+          <DateTimePicker
+            value={endDate}
+            mode="date"
+            display="default"
+            minimumDate={new Date()}
+            onChange={(event, date) => {
+              setShowEndDatePicker(false);
+              if (date) setEndDate(date);
+            }}
+          />
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  sheet: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 10,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  label: {
+    fontSize: 15,
+    marginHorizontal: 8,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperButton: {
+    padding: 8,
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    minWidth: 24,
+    textAlign: 'center',
+  },
+  preview: {
+    fontSize: 14,
+    marginVertical: 12,
+    textAlign: 'center',
+  },
+  saveButton: {
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  saveText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  pressed: {
+    opacity: 0.8,
+    transform: [{ scale: 0.98 }],
+  },
+});
+
+export default RecurrencePicker;
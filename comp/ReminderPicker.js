@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  Modal,
+  TouchableWithoutFeedback
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import * as Haptics from '../utils/haptics';
+import { REMINDER_OPTIONS, describeReminder } from '../utils/reminders';
+import { useTheme } from './ThemeContext';
+import { t } from '../utils/i18n';
+
+const ReminderPicker = ({
+  visible,
+  reminder,
+  dueDate,
+  onSave,
+  onClose
+}) => {
+  const { colors } = useTheme();
+  const [pickerMode, setPickerMode] = useState(null);
+  const [customDate, setCustomDate] = useState(new Date());
+
+  const select = (value) => {
+    onSave(value);
+    Haptics.selectionAsync();
+  };
+
+  // Android cannot pick date and time at once, so ask for the day first
+  const handleCustomChange = (event, date) => {
+    if (!date) {
+      setPickerMode(null);
+      return;
+    }
+    if (pickerMode === 'date') {
+      const merged = new Date(customDate);
+      merged.setFullYear(date.getFullYear(), date.getMonth(), date.getDate());
+      setCustomDate(merged);
+      setPickerMode('time');
+    } else {
+      const merged = new Date(customDate);
+      merged.setHours(date.getHours(), date.getMinutes(), 0, 0);
+      setPickerMode(null);
+      select({ type: 'custom', at: merged });
+    }
+  };
+
+  const isSelected = (option) =>
+    reminder &&
+    reminder.type === option.type &&
+    (option.type !== 'before' || reminder.offset === option.offset);
+
+  const renderOption = (key, label, selected, disabled, onPress) => (
+    <Pressable
+      key={key}
+      onPress={onPress}
+      disabled={disabled}
+      style={[styles.option, { borderBottomColor: colors.border, opacity: disabled ? 0.4 : 1 }]}
+    >
+      <Text style={[styles.optionText, { color: colors.text }]}>{label}</Text>
+      {selected && <Ionicons name="checkmark" size={20} color={colors.primary} />}
+    </Pressable>
+  );
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+
+      <View style={[styles.sheet, { backgroundColor: colors.card }]}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: colors.text }]}>{t('reminders.title')}</Text>
+          <Pressable onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colors.subtext} />
+          </Pressable>
+        </View>
+
+        {renderOption('none', t('reminders.none'), !reminder, false, () => select(null))}
+        {REMINDER_OPTIONS.map(option => renderOption(
+          option.labelKey,
+          t(option.labelKey),
+          isSelected(option.reminder),
+          option.needsDueDate && !dueDate,
+          () => select(option.reminder)
+        ))}
+        {renderOption(
+          'custom',
+          reminder && reminder.type === 'custom' ? t('reminders.customNamed', { reminder: describeReminder(reminder) }) : t('reminders.custom'),
+          reminder && reminder.type === 'custom',
+          false,
+          () => {
+            setCustomDate(reminder && reminder.type === 'custom' ? new Date(reminder.at) : new Date());
+            setPickerMode('date');
+          }
+        )}
+
+        {!dueDate && (
+          <Text style={[styles.hint, { color: colors.subtext }]}>
+            {t('reminders.needsDueDate')}
+          </Text>
+        )}
+
+        {pickerMode && (
+          <DateTimePicker
+            value={customDate}
+            mode={pickerMode}
+            display="default"
+            minimumDate={pickerMode === 'date' ? new Date() : undefined}
+            onChange={handleCustomChange}
+          />
+        )}
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  sheet: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 10,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  hint: {
+    fontSize: 13,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
+
+export default ReminderPicker;
@@ -0,0 +1,252 @@
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  Animated,
+  ScrollView
+} from 'react-native';
+import { Ionicons, Feather } from '@expo/vector-icons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import * as Haptics from '../utils/haptics';
+import { timingTo } from '../utils/accessibility';
+import { t } from '../utils/i18n';
+import { useTheme } from './ThemeContext';
+
+const PRIORITY_OPTIONS = [
+  { value: 'high', labelKey: 'priority.high' },
+  { value: 'medium', labelKey: 'priority.medium' },
+  { value: 'low', labelKey: 'priority.low' }
+];
+
+// Contextual action bar shown while tasks are selected
+const SelectionBar = ({
+  count,
+  allSelected,
+  allCompleted,
+  categories,
+  onClose,
+  onSelectAll,
+  onComplete,
+  onPriorityChange,
+  onDueDateChange,
+  onCategoryChange,
+  onDelete
+}) => {
+  const [panel, setPanel] = useState(null);
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const { colors, reduceMotion } = useTheme();
+  const slideAnim = useRef(new Animated.Value(0)).current;
+  const visible = count > 0;
+
+  useEffect(() => {
+    timingTo(slideAnim, visible ? 1 : 0, reduceMotion, { duration: 200 });
+    if (!visible) setPanel(null);
+  }, [visible]);
+
+  // Open or close the priority or category options
+  const togglePanel = (name) => {
+    setPanel(panel === name ? null : name);
+    Haptics.selectionAsync();
+  };
+
+  const handleDateChange = (event, selectedDate) => {
+    setShowDatePicker(false);
+    if (selectedDate) onDueDateChange(selectedDate);
+  };
+
+  const getPriorityColor = (value) =>
+    value === 'high' ? colors.highPriority :
+    value === 'medium' ? colors.mediumPriority :
+    colors.lowPriority;
+
+  const renderAction = (icon, label, onPress, color = colors.primary, IconSet = Ionicons) => (
+    <Pressable
+      onPress={onPress}
+      style={({ pressed }) => [styles.action, pressed && styles.pressed]}
+    >
+      <IconSet name={icon} size={20} color={color} />
+      <Text style={[styles.actionText, { color: colors.subtext }]}>{label}</Text>
+    </Pressable>
+  );
+
+  return (
+    <Animated.View
+      pointerEvents={visible ? 'auto' : 'none'}
+      style={[
+        styles.container,
+        {
+          backgroundColor: colors.card,
+          borderColor: colors.border,
+          opacity: slideAnim,
+          transform: [{
+            translateY: slideAnim.interpolate({
+              inputRange: [0, 1],
+              outputRange: [120, 0]
+            })
+          }]
+        }
+      ]}
+    >
+      <View style={styles.header}>
+        <Pressable onPress={onClose} style={styles.closeButton}>
+          <Ionicons name="close" size={22} color={colors.subtext} />
+        </Pressable>
+        <Text style={[styles.count, { color: colors.text }]}>{t('selection.count', { count })}</Text>
+        <Pressable onPress={onSelectAll} style={styles.selectAll}>
+          <Text style={[styles.selectAllText, { color: colors.primary }]}>
+            {t(allSelected ? 'selection.deselectAll' : 'selection.selectAll')}
+          </Text>
+        </Pressable>
+      </View>
+
+      {panel === 'priority' && (
+        <View style={styles.options}>
+          {PRIORITY_OPTIONS.map(option => (
+            <Pressable
+              key={option.value}
+              onPress={() => {
+                onPriorityChange(option.value);
+                setPanel(null);
+              }}
+              style={[styles.chip, { borderColor: getPriorityColor(option.value) }]}
+            >
+              <Ionicons name="flag" size={14} color={getPriorityColor(option.value)} />
+              <Text style={[styles.chipText, { color: colors.text }]}>{t(option.labelKey)}</Text>
+            </Pressable>
+          ))}
+        </View>
+      )}
+
+      {panel === 'category' && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.options}
+        >
+          <Pressable
+            onPress={() => {
+              onCategoryChange(null);
+              setPanel(null);
+            }}
+            style={[styles.chip, { borderColor: colors.border }]}
+          >
+            <Text style={[styles.chipText, { color: colors.text }]}>{t('tasks.noCategory')}</Text>
+          </Pressable>
+          {categories.map(category => (
+            <Pressable
+              key={category.id}
+              onPress={() => {
+                onCategoryChange(category.id);
+                setPanel(null);
+              }}
+              style={[styles.chip, { borderColor: category.color }]}
+            >
+              <Text style={[styles.chipText, { color: colors.text }]}>{category.name}</Text>
+            </Pressable>
+          ))}
+        </ScrollView>
+      )}
+
+      <View style={styles.actions}>
+        {renderAction(
+          allCompleted ? 'arrow-undo-outline' : 'checkmark-done',
+          t(allCompleted ? 'selection.reopen' : 'selection.complete'),
+          onComplete
+        )}
+        {renderAction('flag-outline', t('selection.priority'), () => togglePanel('priority'))}
+        {renderAction('calendar', t('selection.date'), () => setShowDatePicker(true), colors.primary, Feather)}
+        {renderAction('pricetag-outline', t('selection.category'), () => togglePanel('category'))}
+        {renderAction('trash-outline', t('common.delete'), onDelete, colors.danger)}
+      </View>
+
+      {showDatePicker && (
+        <DateTimePicker
+          value={new Date()}
+          mode="date"
+          display="default"
+          onChange={handleDateChange}
+          minimumDate={new Date()}
+          themeVariant={colors.theme === 'dark' ? 'dark' : 'light'}
+        />
+      )}
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 12,
+    right: 12,
+    bottom: 24,
+    borderRadius: 16,
+    borderWidth: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    elevation: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  closeButton: {
+    padding: 6,
+  },
+  count: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  selectAll: {
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+  },
+  selectAllText: {
+    fontWeight: '600',
+  },
+  options: {
+    flexDirection: 'row',
+    paddingHorizontal: 4,
+    paddingTop: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    marginTop: 8,
+  },
+  action: {
+    alignItems: 'center',
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+  },
+  actionText: {
+    fontSize: 11,
+    marginTop: 2,
+  },
+  pressed: {
+    opacity: 0.6,
+  },
+});
+
+export default SelectionBar;
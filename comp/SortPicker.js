@@ -0,0 +1,218 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  Modal,
+  Switch,
+  TouchableWithoutFeedback
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from '../utils/haptics';
+import { SORT_MODES } from '../utils/sort';
+import { useTheme } from './ThemeContext';
+import { t } from '../utils/i18n';
+
+const SortPicker = ({
+  visible,
+  sort,
+  onChange,
+  onClose
+}) => {
+  const { colors } = useTheme();
+  // Pick a primary mode; picking the current one flips its direction
+  const selectMode = (mode) => {
+    if (mode === sort.mode && mode !== 'manual') {
+      onChange({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' });
+    } else {
+      onChange({ ...sort, mode, direction: 'asc' });
+    }
+    Haptics.selectionAsync();
+  };
+
+  const secondaryModes = SORT_MODES.filter(mode => mode.key !== sort.mode);
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+
+      <View style={[styles.sheet, { backgroundColor: colors.card }]}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: colors.text }]}>{t('sort.title')}</Text>
+          <Pressable onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colors.subtext} />
+          </Pressable>
+        </View>
+
+        {SORT_MODES.map(mode => {
+          const selected = sort.mode === mode.key;
+          return (
+            <Pressable
+              key={mode.key}
+              onPress={() => selectMode(mode.key)}
+              style={[styles.option, { borderBottomColor: colors.border }]}
+            >
+              <Ionicons name={mode.icon} size={20} color={selected ? colors.primary : colors.subtext} />
+              <Text style={[styles.optionText, { color: selected ? colors.primary : colors.text }]}>
+                {t(mode.labelKey)}
+              </Text>
+              {selected && mode.key !== 'manual' && (
+                <Ionicons
+                  name={sort.direction === 'asc' ? 'arrow-up' : 'arrow-down'}
+                  size={18}
+                  color={colors.primary}
+                />
+              )}
+              {selected && mode.key === 'manual' && (
+                <Ionicons name="checkmark" size={18} color={colors.primary} />
+              )}
+            </Pressable>
+          );
+        })}
+
+        {sort.mode !== 'manual' && (
+          <>
+            <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('sort.thenBy')}</Text>
+            <View style={styles.chipRow}>
+              {secondaryModes.map(mode => {
+                const selected = sort.secondary === mode.key;
+                return (
+                  <Pressable
+                    key={mode.key}
+                    onPress={() => {
+                      onChange({ ...sort, secondary: mode.key });
+                      Haptics.selectionAsync();
+                    }}
+                    style={[styles.chip, {
+                      borderColor: selected ? colors.primary : colors.border,
+                      backgroundColor: selected ? colors.primary : 'transparent'
+                    }]}
+                  >
+                    <Text style={[styles.chipText, { color: selected ? 'white' : colors.text }]}>
+                      {t(mode.labelKey)}
+                    </Text>
+                  </Pressable>
+                );
+              })}
+            </View>
+            <Text style={[styles.hint, { color: colors.subtext }]}>
+              {t('sort.hint')}
+            </Text>
+          </>
+        )}
+
+        <View style={[styles.groupRow, { borderTopColor: colors.border }]}>
+          <View style={styles.groupLabel}>
+            <Text style={[styles.optionText, styles.groupText, { color: colors.text }]}>{t('sort.groupByDue')}</Text>
+            <Text style={[styles.hint, { color: colors.subtext }]}>
+              {t('sort.groupByDueHint')}
+            </Text>
+          </View>
+          <Switch
+            value={!!sort.groupByDue}
+            onValueChange={(value) => {
+              onChange({ ...sort, groupByDue: value });
+              Haptics.selectionAsync();
+            }}
+            trackColor={{ false: colors.border, true: colors.primary }}
+          />
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  sheet: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 10,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+  },
+  optionText: {
+    flex: 1,
+    fontSize: 16,
+    marginLeft: 12,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  hint: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  groupRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+    paddingTop: 16,
+    borderTopWidth: 1,
+  },
+  groupLabel: {
+    flex: 1,
+  },
+  groupText: {
+    marginLeft: 0,
+  },
+});
+
+export default SortPicker;
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { View, Text, Pressable, StyleSheet, TextInput, Switch } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from '../utils/haptics';
+import {
+  addSubtask,
+  toggleSubtask,
+  editSubtask,
+  removeSubtask,
+  moveSubtask
+} from '../utils/subtasks';
+import { useTheme } from './ThemeContext';
+import { t } from '../utils/i18n';
+
+const SubtaskList = ({
+  subtasks = [],
+  autoComplete = false,
+  onChange,
+  onAutoCompleteChange
+}) => {
+  const { colors } = useTheme();
+  const [newText, setNewText] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editedText, setEditedText] = useState('');
+
+  // Add a checklist item
+  const add = () => {
+    if (!newText.trim()) return;
+    onChange(addSubtask(subtasks, newText));
+    setNewText('');
+    Haptics.selectionAsync();
+  };
+
+  // Save an edited item, removing it when cleared
+  const saveEdit = () => {
+    if (editingId === null) return;
+    onChange(editedText.trim()
+      ? editSubtask(subtasks, editingId, editedText)
+      : removeSubtask(subtasks, editingId));
+    setEditingId(null);
+  };
+
+  return (
+    <View style={[styles.container, { borderTopColor: colors.border }]}>
+      {subtasks.map((subtask, index) => (
+        <View key={subtask.id} style={styles.row}>
+          <Pressable
+            onPress={() => {
+              onChange(toggleSubtask(subtasks, subtask.id));
+              Haptics.selectionAsync();
+            }}
+            style={styles.checkboxContainer}
+          >
+            <View style={[styles.checkbox, {
+              borderColor: subtask.completed ? colors.primary : colors.subtext,
+              backgroundColor: subtask.completed ? colors.primary : 'transparent'
+            }]}>
+              {subtask.completed && <Ionicons name="checkmark" size={12} color="white" />}
+            </View>
+          </Pressable>
+
+          {editingId === subtask.id ? (
+            <TextInput
+              style={[styles.input, styles.editInput, { color: colors.text, borderBottomColor: colors.primary }]}
+              value={editedText}
+              onChangeText={setEditedText}
+              autoFocus
+              onSubmitEditing={saveEdit}
+              onBlur={saveEdit}
+              cursorColor={colors.primary}
+            />
+          ) : (
+            <Pressable
+              style={styles.textContainer}
+              onPress={() => {
+                setEditingId(subtask.id);
+                setEditedText(subtask.text);
+              }}
+            >
+              <Text style={[styles.text, {
+                color: subtask.completed ? colors.subtext : colors.text,
+                textDecorationLine: subtask.completed ? 'line-through' : 'none'
+              }]}>
+                {subtask.text}
+              </Text>
+            </Pressable>
+          )}
+
+          <Pressable
+            onPress={() => onChange(moveSubtask(subtasks, subtask.id, -1))}
+            disabled={index === 0}
+            style={styles.iconButton}
+          >
+            <Ionicons name="chevron-up" size={16} color={index === 0 ? colors.border : colors.subtext} />
+          </Pressable>
+          <Pressable
+            onPress={() => onChange(moveSubtask(subtasks, subtask.id, 1))}
+            disabled={index === subtasks.length - 1}
+            style={styles.iconButton}
+          >
+            <Ionicons
+              name="chevron-down"
+              size={16}
+              color={index === subtasks.length - 1 ? colors.border : colors.subtext}
+            />
+          </Pressable>
+          <Pressable
+            onPress={() => onChange(removeSubtask(subtasks, subtask.id))}
+            style={styles.iconButton}
+          >
+            <Ionicons name="close" size={16} color={colors.danger} />
+          </Pressable>
+        </View>
+      ))}
+
+      {/* New item input */}
+      <View style={styles.row}>
+        <Ionicons name="add" size={18} color={colors.primary} style={styles.addIcon} />
+        <TextInput
+          style={[styles.input, { color: colors.text }]}
+          placeholder={t('subtasks.addPlaceholder')}
+          placeholderTextColor={colors.subtext}
+          value={newText}
+          onChangeText={setNewText}
+          onSubmitEditing={add}
+          blurOnSubmit={false}
+          returnKeyType="done"
+          cursorColor={colors.primary}
+        />
+      </View>
+
+      {/* Auto-complete option */}
+      {subtasks.length > 0 && (
+        <View style={styles.optionRow}>
+          <Text style={[styles.optionText, { color: colors.subtext }]}>
+            {t('subtasks.autoComplete')}
+          </Text>
+          <Switch
+            value={autoComplete}
+            onValueChange={onAutoCompleteChange}
+            trackColor={{ true: colors.primary }}
+          />
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: 16,
+    paddingTop: 8,
+    paddingBottom: 8,
+    borderTopWidth: 1,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    minHeight: 36,
+  },
+  checkboxContainer: {
+    padding: 6,
+    marginRight: 6,
+  },
+  checkbox: {
+    width: 18,
+    height: 18,
+    borderRadius: 5,
+    borderWidth: 2,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  textContainer: {
+    flex: 1,
+    paddingVertical: 6,
+  },
+  text: {
+    fontSize: 14,
+  },
+  input: {
+    flex: 1,
+    fontSize: 14,
+    paddingVertical: 6,
+  },
+  editInput: {
+    borderBottomWidth: 2,
+  },
+  addIcon: {
+    marginHorizontal: 6,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 4,
+  },
+  optionText: {
+    fontSize: 12,
+    flex: 1,
+  },
+});
+
+export default SubtaskList;
@@ -6,19 +6,31 @@ import {
   StyleSheet,
   TextInput,
   Animated,
-  PanResponder,
   TouchableOpacity,
-  Alert,
   Dimensions
 } from 'react-native';
 import { Ionicons, MaterialIcons, Feather, FontAwesome, AntDesign } from '@expo/vector-icons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import * as Haptics from 'expo-haptics';
+import * as Haptics from '../utils/haptics';
+import * as dialog from '../utils/dialog';
 import { LinearGradient } from 'expo-linear-gradient';
 import Swipeable from 'react-native-gesture-handler/Swipeable';
+import { describeRule } from '../utils/recurrence';
+import { getSubtaskProgress } from '../utils/subtasks';
+import { describeReminder } from '../utils/reminders';
+import { splitHighlights } from '../utils/search';
+import { stripMarkdown } from '../utils/markdown';
+import { isAllDay, isOverdue as isTaskOverdue, getTimeRemaining, formatDueDate, withTime } from '../utils/dates';
+import SubtaskList from './SubtaskList';
+import { useTheme } from './ThemeContext';
+import { MAX_FONT_SCALE, springTo, timingTo, describeTask, announce } from '../utils/accessibility';
+import { t } from '../utils/i18n';
 
 const { width } = Dimensions.get('window');
 
+// Rows past this index skip the entry animation
+const ENTRY_ANIMATED_ROWS = 12;
+
 const TaskItem = ({ 
   task, 
   onDelete, 
@@ -26,75 +38,88 @@ const TaskItem = ({
   onEdit, 
   onPriorityChange, 
   onDueDateChange,
+  category,
+  highlightTerms,
+  onEditRecurrence,
+  onEditReminder,
+  onSkipOccurrence,
+  onSubtasksChange,
+  onAutoCompleteChange,
   index,
-  colors,
-  reorderTasks,
-  totalTasks
+  dateFormat,
+  confirmBeforeDelete = true,
+  dragHandlers,
+  onMoveUp,
+  onMoveDown,
+  isDragging,
+  isVisible = true,
+  selectionMode,
+  isSelected,
+  onSelect,
+  onOpen
 }) => {
+  const { colors, isDark, reduceMotion } = useTheme();
   const [isEditing, setIsEditing] = useState(false);
   const [editedText, setEditedText] = useState(task.text);
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [date, setDate] = useState(task.dueDate ? new Date(task.dueDate) : new Date());
-  const [isDragging, setIsDragging] = useState(false);
   const [showActions, setShowActions] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [showSubtasks, setShowSubtasks] = useState(false);
   
   // Animations
-  const entryAnim = useRef(new Animated.Value(0)).current;
+  const entryAnim = useRef(new Animated.Value(index < ENTRY_ANIMATED_ROWS && !reduceMotion ? 0 : 1)).current;
   const checkAnim = useRef(new Animated.Value(task.completed ? 1 : 0)).current;
   const swipeAnim = useRef(new Animated.Value(0)).current;
   const scaleAnim = useRef(new Animated.Value(1)).current;
-  const dragAnim = useRef(new Animated.Value(0)).current;
   const actionAnim = useRef(new Animated.Value(0)).current;
   const glowAnim = useRef(new Animated.Value(0)).current;
   const deleteAnim = useRef(new Animated.Value(0)).current;
   
   // Toggle actions menu
   const toggleActions = () => {
-    Animated.spring(actionAnim, {
-      toValue: showActions ? 0 : 1,
-      useNativeDriver: true,
-    }).start();
+    springTo(actionAnim, showActions ? 0 : 1, reduceMotion);
     setShowActions(!showActions);
   };
 
   // Toggle delete confirmation
   const toggleDeleteConfirm = () => {
-    Animated.spring(deleteAnim, {
-      toValue: showDeleteConfirm ? 0 : 1,
-      useNativeDriver: true,
-    }).start();
+    springTo(deleteAnim, showDeleteConfirm ? 0 : 1, reduceMotion);
     setShowDeleteConfirm(!showDeleteConfirm);
   };
 
+  const deleteNow = () => {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
+    onDelete();
+  };
+
+  // Ask before deleting unless that is turned off in settings
+  const requestDelete = () => {
+    if (confirmBeforeDelete) toggleDeleteConfirm();
+    else deleteNow();
+  };
+
   // Confirm delete
-  const confirmDelete = () => {
+  const confirmDelete = async () => {
+    if (!confirmBeforeDelete) {
+      deleteNow();
+      return;
+    }
     Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
-    Alert.alert(
-      'Delete Task',
-      'Are you sure you want to delete this task?',
-      [
-        {
-          text: 'Cancel',
-          style: 'cancel',
-          onPress: toggleDeleteConfirm
-        },
-        {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: () => {
-            Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
-            onDelete();
-          }
-        }
-      ]
-    );
+    const confirmed = await dialog.confirm({
+      title: t('task.delete.title'),
+      message: t('task.delete.message'),
+      confirmText: t('common.delete'),
+      destructive: true
+    });
+    if (confirmed) deleteNow();
   };
 
-  // Glow effect for important tasks
+  // Glow effect for important tasks, paused while the row is off screen
+  // and left out when motion is reduced
   useEffect(() => {
-    if (task.priority === 'high') {
-      Animated.loop(
+    if (task.priority === 'high' && isVisible && !reduceMotion) {
+      const glow = Animated.loop(
         Animated.sequence([
           Animated.timing(glowAnim, {
             toValue: 1,
@@ -107,74 +132,47 @@ const TaskItem = ({
             useNativeDriver: true
           })
         ])
-      ).start();
-    } else {
-      glowAnim.setValue(0);
+      );
+      glow.start();
+      return () => glow.stop();
     }
-  }, [task.priority]);
+    glowAnim.setValue(0);
+  }, [task.priority, isVisible, reduceMotion]);
 
-  // Pan responder for drag and drop
-  const dragResponder = useRef(
-    PanResponder.create({
-      onStartShouldSetPanResponder: () => !isEditing && !showDeleteConfirm,
-      onPanResponderGrant: () => {
-        setIsDragging(true);
-        Animated.spring(scaleAnim, {
-          toValue: 1.05,
-          useNativeDriver: true
-        }).start();
-        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
-      },
-      onPanResponderMove: (_, gestureState) => {
-        dragAnim.setValue(gestureState.dy);
-      },
-      onPanResponderRelease: (_, gestureState) => {
-        const dropPosition = Math.round(gestureState.dy / 60);
-        const newIndex = Math.min(Math.max(index + dropPosition, 0), totalTasks - 1);
-        
-        if (newIndex !== index) {
-          reorderTasks(index, newIndex);
-          Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
-        }
-        
-        Animated.parallel([
-          Animated.spring(scaleAnim, {
-            toValue: 1,
-            useNativeDriver: true
-          }),
-          Animated.spring(dragAnim, {
-            toValue: 0,
-            useNativeDriver: true
-          })
-        ]).start(() => setIsDragging(false));
-      }
-    })
-  ).current;
+  // Lift the row while it is being dragged
+  useEffect(() => {
+    springTo(scaleAnim, isDragging ? 1.03 : 1, reduceMotion);
+  }, [isDragging]);
   
-  // Entry animation
+  // Entry animation, staggered over the first screen of rows only. Rows
+  // mounted later while scrolling appear without one.
   useEffect(() => {
-    Animated.spring(entryAnim, {
-      toValue: 1,
-      delay: index * 50,
-      useNativeDriver: true,
-    }).start();
+    if (index >= ENTRY_ANIMATED_ROWS) return;
+    springTo(entryAnim, 1, reduceMotion, { delay: index * 50 });
   }, []);
   
   // Check animation
   useEffect(() => {
-    Animated.timing(checkAnim, {
-      toValue: task.completed ? 1 : 0,
-      duration: 200,
-      useNativeDriver: true,
-    }).start();
+    timingTo(checkAnim, task.completed ? 1 : 0, reduceMotion, { duration: 200 });
   }, [task.completed]);
   
-  // Handle date change
+  // Handle date or time change, keeping the time of day of timed tasks
   const handleDateChange = (event, selectedDate) => {
+    const mode = showDatePicker;
     setShowDatePicker(false);
-    if (selectedDate) {
+    if (!selectedDate) return;
+    
+    if (mode === 'time') {
+      const timed = withTime(task.dueDate || new Date(), selectedDate);
+      setDate(timed);
+      onDueDateChange(timed, false);
+    } else if (task.dueDate && !isAllDay(task)) {
+      const timed = withTime(selectedDate, new Date(task.dueDate));
+      setDate(timed);
+      onDueDateChange(timed, false);
+    } else {
       setDate(selectedDate);
-      onDueDateChange(selectedDate);
+      onDueDateChange(selectedDate, true);
     }
   };
   
@@ -194,6 +192,43 @@ const TaskItem = ({
       task.priority === 'medium' ? 'high' : 'low';
     onPriorityChange(newPriority);
     Haptics.selectionAsync();
+    return newPriority;
+  };
+
+  // Screen reader stand-ins for the checkbox, menu, swipe and drag gestures
+  const accessibilityActions = selectionMode ? [] : [
+    { name: 'toggle', label: t(task.completed ? 'a11y.action.markNotDone' : 'a11y.action.markDone') },
+    { name: 'priority', label: t('a11y.action.priority') },
+    { name: 'delete', label: t('common.delete') },
+    ...(onMoveUp ? [{ name: 'moveUp', label: t('a11y.action.moveUp') }] : []),
+    ...(onMoveDown ? [{ name: 'moveDown', label: t('a11y.action.moveDown') }] : []),
+    ...(onSelect ? [{ name: 'longpress', label: t('a11y.action.select') }] : [])
+  ];
+
+  const handleAccessibilityAction = ({ nativeEvent }) => {
+    switch (nativeEvent.actionName) {
+      case 'toggle':
+        onToggle();
+        announce(t(task.completed ? 'a11y.markedNotDone' : 'a11y.markedDone'));
+        break;
+      case 'priority':
+        announce(t(`a11y.task.priority.${changePriority()}`));
+        break;
+      case 'delete':
+        confirmDelete();
+        break;
+      case 'moveUp':
+        onMoveUp();
+        break;
+      case 'moveDown':
+        onMoveDown();
+        break;
+      case 'longpress':
+        onSelect();
+        break;
+      default:
+        break;
+    }
   };
   
   // Get priority color
@@ -204,23 +239,9 @@ const TaskItem = ({
   };
   
   // Check if task is overdue
-  const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && !task.completed;
-  
-  // Get time remaining text
-  const getTimeRemaining = () => {
-    if (!task.dueDate) return '';
-    const now = new Date();
-    const due = new Date(task.dueDate);
-    const diff = due - now;
-    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-    
-    if (days < 0) return 'Overdue';
-    if (days === 0) return 'Due today';
-    if (days === 1) return 'Due tomorrow';
-    if (days < 7) return `Due in ${days} days`;
-    if (days < 30) return `Due in ${Math.floor(days / 7)} weeks`;
-    return `Due in ${Math.floor(days / 30)} months`;
-  };
+  const isOverdue = isTaskOverdue(task);
+
+  const subtaskProgress = getSubtaskProgress(task.subtasks);
 
   // Render right actions for swipeable
   const renderRightActions = (progress, dragX) => {
@@ -234,6 +255,8 @@ const TaskItem = ({
       <Pressable 
         onPress={confirmDelete}
         style={styles.deleteContainer}
+        accessibilityRole="button"
+        accessibilityLabel={t('a11y.deleteTask')}
       >
         <Animated.View style={[
           styles.deleteButton,
@@ -243,7 +266,7 @@ const TaskItem = ({
           }
         ]}>
           <Ionicons name="trash" size={20} color="white" />
-          <Text style={styles.deleteText}>Delete</Text>
+          <Text style={styles.deleteText}>{t('common.delete')}</Text>
         </Animated.View>
       </Pressable>
     );
@@ -262,9 +285,6 @@ const TaskItem = ({
                 outputRange: [30, 0]
               })
             },
-            {
-              translateY: dragAnim
-            },
             {
               scale: scaleAnim
             }
@@ -273,7 +293,6 @@ const TaskItem = ({
           elevation: isDragging ? 10 : 2,
         }
       ]}
-      {...dragResponder.panHandlers}
     >
       {/* Glow effect for high priority tasks */}
       {task.priority === 'high' && (
@@ -290,24 +309,29 @@ const TaskItem = ({
       )}
       
       {/* Delete confirmation overlay */}
-      <Animated.View style={[
-        styles.deleteOverlay,
-        {
-          opacity: deleteAnim,
-          transform: [{
-            translateX: deleteAnim.interpolate({
-              inputRange: [0, 1],
-              outputRange: [width, 0]
-            })
-          }]
-        }
-      ]}>
+      <Animated.View
+        accessibilityElementsHidden={!showDeleteConfirm}
+        importantForAccessibility={showDeleteConfirm ? 'auto' : 'no-hide-descendants'}
+        style={[
+          styles.deleteOverlay,
+          {
+            opacity: deleteAnim,
+            transform: [{
+              translateX: deleteAnim.interpolate({
+                inputRange: [0, 1],
+                outputRange: [width, 0]
+              })
+            }]
+          }
+        ]}
+      >
         <Text style={[styles.deleteOverlayText, { color: colors.text }]}>
-          Delete this task?
+          {t('task.delete.confirm')}
         </Text>
         <View style={styles.deleteOverlayButtons}>
           <Pressable 
             onPress={toggleDeleteConfirm}
+            accessibilityRole="button"
             style={({ pressed }) => [
               styles.deleteOverlayButton,
               { backgroundColor: colors.card },
@@ -315,14 +339,12 @@ const TaskItem = ({
             ]}
           >
             <Text style={[styles.deleteOverlayButtonText, { color: colors.text }]}>
-              Cancel
+              {t('common.cancel')}
             </Text>
           </Pressable>
           <Pressable 
-            onPress={() => {
-              Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error);
-              onDelete();
-            }}
+            onPress={deleteNow}
+            accessibilityRole="button"
             style={({ pressed }) => [
               styles.deleteOverlayButton,
               { backgroundColor: colors.danger },
@@ -330,7 +352,7 @@ const TaskItem = ({
             ]}
           >
             <Text style={[styles.deleteOverlayButtonText, { color: 'white' }]}>
-              Delete
+              {t('common.delete')}
             </Text>
           </Pressable>
         </View>
@@ -344,14 +366,14 @@ const TaskItem = ({
         }}
         friction={2}
         rightThreshold={40}
-        enabled={!isEditing && !showDeleteConfirm}
+        enabled={!isEditing && !showDeleteConfirm && !selectionMode}
       >
         <View 
           style={[
             styles.task,
             {
-              backgroundColor: colors.card,
-              borderColor: colors.border,
+              backgroundColor: isSelected ? `${colors.primary}20` : colors.card,
+              borderColor: isSelected ? colors.primary : colors.border,
               opacity: task.completed ? 0.8 : 1,
               shadowColor: getPriorityColor(),
               shadowOffset: { width: 0, height: 0 },
@@ -372,12 +394,45 @@ const TaskItem = ({
             style={styles.priorityIndicator}
           />
           
+          {/* Drag handle, only in manual sort order. Screen readers use the
+              move up and move down actions instead. */}
+          {dragHandlers && !isEditing && !selectionMode && (
+            <View
+              style={styles.dragHandle}
+              accessibilityElementsHidden
+              importantForAccessibility="no-hide-descendants"
+              {...dragHandlers}
+            >
+              <MaterialIcons name="drag-indicator" size={20} color={colors.subtext} />
+            </View>
+          )}
+          
+          {/* Selection marker in selection mode */}
+          {selectionMode && (
+            <Pressable
+              onPress={onSelect}
+              style={styles.checkboxContainer}
+              accessibilityRole="checkbox"
+              accessibilityLabel={t('a11y.selectTask', { text: task.text })}
+              accessibilityState={{ checked: !!isSelected }}
+            >
+              <Ionicons 
+                name={isSelected ? 'checkbox' : 'square-outline'} 
+                size={24} 
+                color={isSelected ? colors.primary : colors.subtext} 
+              />
+            </Pressable>
+          )}
+          
           {/* Checkbox with animation */}
-          {!isEditing && (
+          {!isEditing && !selectionMode && (
             <Pressable 
               onPress={onToggle} 
               style={styles.checkboxContainer}
-              onLongPress={toggleDeleteConfirm}
+              onLongPress={requestDelete}
+              accessibilityRole="checkbox"
+              accessibilityLabel={t('a11y.doneTask', { text: task.text })}
+              accessibilityState={{ checked: task.completed }}
             >
               <Animated.View style={[
                 styles.checkbox,
@@ -399,8 +454,21 @@ const TaskItem = ({
             </Pressable>
           )}
           
-          {/* Task content */}
-          <View style={styles.content}>
+          {/* Task content, tap opens details, long press starts selecting */}
+          <Pressable 
+            style={styles.content}
+            accessibilityRole="button"
+            accessibilityLabel={describeTask(task, category, dateFormat)}
+            accessibilityHint={selectionMode ? undefined : t('a11y.opensDetails')}
+            accessibilityState={{ checked: task.completed, selected: selectionMode ? !!isSelected : undefined }}
+            accessibilityActions={isEditing ? undefined : accessibilityActions}
+            onAccessibilityAction={handleAccessibilityAction}
+            onPress={selectionMode ? onSelect : onOpen}
+            onLongPress={!isEditing && onSelect ? () => {
+              onSelect();
+              Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+            } : undefined}
+          >
             {isEditing ? (
               <TextInput
                 style={[
@@ -416,8 +484,9 @@ const TaskItem = ({
                 onSubmitEditing={saveEdit}
                 onBlur={saveEdit}
                 cursorColor={colors.primary}
-                placeholder="Edit task..."
+                placeholder={t('task.editPlaceholder')}
                 placeholderTextColor={colors.subtext}
+                accessibilityLabel={t('a11y.taskName')}
               />
             ) : (
               <>
@@ -429,85 +498,156 @@ const TaskItem = ({
                       textDecorationLine: task.completed ? 'line-through' : 'none'
                     }
                   ]}>
-                    {task.text}
+                    {splitHighlights(task.text, highlightTerms).map((segment, i) => (
+                      segment.match ? (
+                        <Text 
+                          key={i} 
+                          style={[styles.highlight, { backgroundColor: `${colors.primary}40` }]}
+                        >
+                          {segment.text}
+                        </Text>
+                      ) : segment.text
+                    ))}
                   </Text>
                   
                   {/* Task category/tag */}
-                  {task.category && (
+                  {category && (
                     <View style={[
                       styles.category,
-                      { backgroundColor: `${colors.primary}20` }
+                      { backgroundColor: `${category.color}20` }
                     ]}>
-                      <Text style={[
+                      <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[
                         styles.categoryText,
-                        { color: colors.primary }
+                        { color: category.color }
                       ]}>
-                        {task.category}
+                        {category.name}
                       </Text>
                     </View>
                   )}
                 </View>
                 
+                {/* First line of the notes */}
+                {!!task.notes && !!task.notes.trim() && (
+                  <View style={styles.recurrenceContainer}>
+                    <Feather 
+                      name="file-text" 
+                      size={12} 
+                      color={colors.subtext} 
+                      style={styles.dueDateIcon}
+                    />
+                    <Text 
+                      style={[styles.recurrenceText, styles.notesPreview, { color: colors.subtext }]}
+                      numberOfLines={1}
+                    >
+                      {stripMarkdown(task.notes)}
+                    </Text>
+                  </View>
+                )}
+                
                 {/* Due date and time remaining */}
                 {task.dueDate && (
                   <View style={styles.dateContainer}>
-                    <View style={[
-                      styles.dueDate,
-                      {
-                        backgroundColor: isOverdue ? colors.warning + '20' : colors.primary + '20',
-                        borderColor: isOverdue ? colors.warning : colors.primary
-                      }
-                    ]}>
+                    <Pressable 
+                      onPress={() => setShowDatePicker('time')}
+                      onLongPress={() => {
+                        onDueDateChange(new Date(task.dueDate), true);
+                        Haptics.selectionAsync();
+                      }}
+                      accessibilityRole="button"
+                      accessibilityLabel={t('a11y.dueOn', { date: formatDueDate(task, dateFormat) })}
+                      accessibilityHint={t('a11y.changeTime')}
+                      style={[
+                        styles.dueDate,
+                        {
+                          backgroundColor: isOverdue ? colors.warning + '20' : colors.primary + '20',
+                          borderColor: isOverdue ? colors.warning : colors.primary
+                        }
+                      ]}
+                    >
                       <Feather 
                         name="calendar" 
                         size={12} 
                         color={isOverdue ? colors.warning : colors.primary} 
                         style={styles.dueDateIcon}
                       />
-                      <Text style={[
+                      <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[
                         styles.dueDateText,
                         {
                           color: isOverdue ? colors.warning : colors.primary
                         }
                       ]}>
-                        {new Date(task.dueDate).toLocaleDateString('en-US', {
-                          month: 'short',
-                          day: 'numeric'
-                        })}
+                        {formatDueDate(task, dateFormat)}
                       </Text>
-                    </View>
+                    </Pressable>
                     
-                    <Text style={[
+                    <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[
                       styles.timeRemaining,
                       {
                         color: isOverdue ? colors.warning : colors.subtext
                       }
                     ]}>
-                      {getTimeRemaining()}
+                      {getTimeRemaining(task)}
+                    </Text>
+                  </View>
+                )}
+                
+                {/* Reminder summary */}
+                {task.reminder && !task.completed && (
+                  <View style={styles.recurrenceContainer}>
+                    <Ionicons 
+                      name="notifications-outline" 
+                      size={12} 
+                      color={colors.subtext} 
+                      style={styles.dueDateIcon}
+                    />
+                    <Text style={[styles.recurrenceText, { color: colors.subtext }]}>
+                      {describeReminder(task.reminder)}
+                    </Text>
+                  </View>
+                )}
+                
+                {/* Recurrence summary */}
+                {task.recurrence && (
+                  <View style={styles.recurrenceContainer}>
+                    <Feather 
+                      name="repeat" 
+                      size={12} 
+                      color={colors.subtext} 
+                      style={styles.dueDateIcon}
+                    />
+                    <Text style={[styles.recurrenceText, { color: colors.subtext }]}>
+                      {describeRule(task.recurrence.rule)}
                     </Text>
                   </View>
                 )}
               </>
             )}
-          </View>
+          </Pressable>
           
           {/* Task actions */}
-          {!isEditing && !showDeleteConfirm && (
+          {!isEditing && !showDeleteConfirm && !selectionMode && (
             <View style={styles.actions}>
               {/* Quick actions menu */}
-              <Animated.View style={[
-                styles.actionMenu,
-                {
-                  transform: [{
-                    translateX: actionAnim.interpolate({
-                      inputRange: [0, 1],
-                      outputRange: [50, 0]
-                    })
-                  }],
-                  opacity: actionAnim
-                }
-              ]}>
+              <Animated.View
+                accessibilityElementsHidden={!showActions}
+                importantForAccessibility={showActions ? 'auto' : 'no-hide-descendants'}
+                style={[
+                  styles.actionMenu,
+                  {
+                    transform: [{
+                      translateX: actionAnim.interpolate({
+                        inputRange: [0, 1],
+                        outputRange: [50, 0]
+                      })
+                    }],
+                    opacity: actionAnim
+                  }
+                ]}
+              >
                 <Pressable 
+                  accessibilityRole="button"
+                  accessibilityLabel={t('a11y.priority', { priority: t(`priority.${task.priority || 'medium'}`) })}
+                  accessibilityHint={t('a11y.changePriority')}
                   onPress={changePriority}
                   style={({ pressed }) => [
                     styles.actionButton,
@@ -527,6 +667,8 @@ const TaskItem = ({
                 </Pressable>
                 
                 <Pressable 
+                  accessibilityRole="button"
+                  accessibilityLabel={t('a11y.rename')}
                   onPress={() => {
                     setIsEditing(true);
                     setShowActions(false);
@@ -542,8 +684,10 @@ const TaskItem = ({
                 </Pressable>
                 
                 <Pressable 
+                  accessibilityRole="button"
+                  accessibilityLabel={task.dueDate ? t('a11y.dueDateNamed', { date: formatDueDate(task, dateFormat) }) : t('a11y.setDueDate')}
                   onPress={() => {
-                    setShowDatePicker(true);
+                    setShowDatePicker('date');
                     setShowActions(false);
                   }}
                   style={({ pressed }) => [
@@ -560,7 +704,87 @@ const TaskItem = ({
                 </Pressable>
                 
                 <Pressable 
-                  onPress={toggleDeleteConfirm}
+                  accessibilityRole="button"
+                  accessibilityLabel={subtaskProgress.total > 0 ? t('a11y.subtasksProgress', { done: subtaskProgress.done, count: subtaskProgress.total }) : t('a11y.subtasks')}
+                  onPress={() => {
+                    setShowSubtasks(true);
+                    setShowActions(false);
+                  }}
+                  style={({ pressed }) => [
+                    styles.actionButton,
+                    pressed && styles.pressed,
+                    { backgroundColor: `${colors.primary}20` }
+                  ]}
+                >
+                  <Feather 
+                    name="check-square" 
+                    size={18} 
+                    color={subtaskProgress.total > 0 ? colors.primary : colors.subtext} 
+                  />
+                </Pressable>
+                
+                <Pressable 
+                  accessibilityRole="button"
+                  accessibilityLabel={task.reminder ? t('a11y.reminderNamed', { reminder: describeReminder(task.reminder) }) : t('a11y.setReminder')}
+                  onPress={() => {
+                    onEditReminder();
+                    setShowActions(false);
+                  }}
+                  style={({ pressed }) => [
+                    styles.actionButton,
+                    pressed && styles.pressed,
+                    { backgroundColor: `${colors.primary}20` }
+                  ]}
+                >
+                  <Ionicons 
+                    name={task.reminder ? 'notifications' : 'notifications-outline'} 
+                    size={18} 
+                    color={task.reminder ? colors.primary : colors.subtext} 
+                  />
+                </Pressable>
+                
+                <Pressable 
+                  accessibilityRole="button"
+                  accessibilityLabel={task.recurrence ? t('a11y.repeatRule', { rule: describeRule(task.recurrence.rule) }) : t('a11y.repeat')}
+                  onPress={() => {
+                    onEditRecurrence();
+                    setShowActions(false);
+                  }}
+                  style={({ pressed }) => [
+                    styles.actionButton,
+                    pressed && styles.pressed,
+                    { backgroundColor: `${colors.primary}20` }
+                  ]}
+                >
+                  <Feather 
+                    name="repeat" 
+                    size={18} 
+                    color={task.recurrence ? colors.primary : colors.subtext} 
+                  />
+                </Pressable>
+                
+                {task.recurrence && !task.completed && (
+                  <Pressable 
+                    accessibilityRole="button"
+                    accessibilityLabel={t('a11y.skipOccurrence')}
+                    onPress={() => {
+                      onSkipOccurrence();
+                      setShowActions(false);
+                    }}
+                    style={({ pressed }) => [
+                      styles.actionButton,
+                      pressed && styles.pressed,
+                      { backgroundColor: `${colors.primary}20` }
+                    ]}
+                  >
+                    <Feather name="skip-forward" size={18} color={colors.primary} />
+                  </Pressable>
+                )}
+                
+                <Pressable 
+                  accessibilityRole="button"
+                  accessibilityLabel={t('common.delete')}
+                  onPress={requestDelete}
                   style={({ pressed }) => [
                     styles.actionButton,
                     pressed && styles.pressed,
@@ -574,6 +798,9 @@ const TaskItem = ({
               {/* More options button */}
               <Pressable 
                 onPress={toggleActions}
+                accessibilityRole="button"
+                accessibilityLabel={t('a11y.moreActions')}
+                accessibilityState={{ expanded: showActions }}
                 style={({ pressed }) => [
                   styles.moreButton,
                   pressed && styles.pressed,
@@ -592,38 +819,61 @@ const TaskItem = ({
       </Swipeable>
       
       {/* Progress bar for subtasks (if applicable) */}
-      {task.subtasks && task.subtasks.length > 0 && (
-        <View style={styles.progressContainer}>
-          <View style={[
-            styles.progressBar,
-            { backgroundColor: `${colors.primary}20` }
-          ]}>
-            <Animated.View style={[
-              styles.progressFill,
-              {
-                width: `${(task.subtasks.filter(st => st.completed).length / task.subtasks.length * 100)}%`,
-                backgroundColor: colors.primary
-              }
-            ]} />
+      {subtaskProgress.total > 0 && (
+        <Pressable 
+          onPress={() => setShowSubtasks(!showSubtasks)}
+          style={styles.progressContainer}
+          accessibilityRole="button"
+          accessibilityLabel={t('a11y.subtasksProgress', { done: subtaskProgress.done, count: subtaskProgress.total })}
+          accessibilityState={{ expanded: showSubtasks }}
+        >
+          <View style={styles.progressRow}>
+            <View style={[
+              styles.progressBar,
+              { backgroundColor: `${colors.primary}20` }
+            ]}>
+              <Animated.View style={[
+                styles.progressFill,
+                {
+                  width: `${subtaskProgress.ratio * 100}%`,
+                  backgroundColor: colors.primary
+                }
+              ]} />
+            </View>
+            <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[
+              styles.progressText,
+              { color: colors.subtext }
+            ]}>
+              {subtaskProgress.done}/{subtaskProgress.total}
+            </Text>
+            <Ionicons 
+              name={showSubtasks ? 'chevron-up' : 'chevron-down'} 
+              size={14} 
+              color={colors.subtext} 
+            />
           </View>
-          <Text style={[
-            styles.progressText,
-            { color: colors.subtext }
-          ]}>
-            {task.subtasks.filter(st => st.completed).length} of {task.subtasks.length} completed
-          </Text>
-        </View>
+        </Pressable>
+      )}
+      
+      {/* Checklist */}
+      {showSubtasks && (
+        <SubtaskList
+          subtasks={task.subtasks}
+          autoComplete={!!task.autoCompleteSubtasks}
+          onChange={onSubtasksChange}
+          onAutoCompleteChange={onAutoCompleteChange}
+        />
       )}
       
       {/* Date picker */}
       {showDatePicker && (
         <DateTimePicker
           value={date}
-          mode="date"
+          mode={showDatePicker}
           display="default"
           onChange={handleDateChange}
-          minimumDate={new Date()}
-          themeVariant={colors.theme === 'dark' ? 'dark' : 'light'}
+          minimumDate={showDatePicker === 'date' ? new Date() : undefined}
+          themeVariant={isDark ? 'dark' : 'light'}
         />
       )}
     </Animated.View>
@@ -664,6 +914,11 @@ const styles = StyleSheet.create({
     borderTopLeftRadius: 16,
     borderBottomLeftRadius: 16,
   },
+  dragHandle: {
+    paddingVertical: 8,
+    paddingRight: 6,
+    marginLeft: -6,
+  },
   checkboxContainer: {
     marginRight: 12,
     padding: 8,
@@ -689,6 +944,9 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     marginRight: 8,
   },
+  highlight: {
+    borderRadius: 4,
+  },
   category: {
     paddingHorizontal: 8,
     paddingVertical: 2,
@@ -731,6 +989,17 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '400',
   },
+  recurrenceContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  notesPreview: {
+    flex: 1,
+  },
+  recurrenceText: {
+    fontSize: 12,
+  },
   actions: {
     flexDirection: 'row',
     marginLeft: 12,
@@ -768,11 +1037,16 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     paddingBottom: 12,
   },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   progressBar: {
+    flex: 1,
     height: 4,
     borderRadius: 2,
     overflow: 'hidden',
-    marginBottom: 4,
+    marginRight: 8,
   },
   progressFill: {
     height: '100%',
@@ -781,6 +1055,7 @@ const styles = StyleSheet.create({
   progressText: {
     fontSize: 11,
     fontWeight: '500',
+    marginRight: 4,
   },
   deleteContainer: {
     width: 80,
@@ -0,0 +1,77 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SectionList
+} from 'react-native';
+import { useVisibleIds } from './DraggableTaskList';
+import { useTheme } from './ThemeContext';
+import { t } from '../utils/i18n';
+
+// Task list grouped under due date headers (see utils/sections.js)
+const TaskSectionList = ({
+  sections,
+  renderItem,
+  style,
+  contentContainerStyle
+}) => {
+  const { colors } = useTheme();
+  const { visibleIds, onViewableItemsChanged, viewabilityConfig } = useVisibleIds();
+
+  return (
+    <SectionList
+      style={style}
+      contentContainerStyle={contentContainerStyle}
+      sections={sections}
+      keyExtractor={item => String(item.id)}
+      extraData={visibleIds}
+      renderItem={({ item, index }) => renderItem({
+        item,
+        index,
+        isVisible: visibleIds.has(item.id)
+      })}
+      renderSectionHeader={({ section }) => (
+        <View style={[styles.header, { backgroundColor: colors.background }]}>
+          <Text style={[
+            styles.headerText,
+            { color: section.key === 'overdue' ? colors.warning : colors.subtext }
+          ]}>
+            {t(section.titleKey)}
+          </Text>
+          <Text style={[styles.headerCount, { color: colors.subtext }]}>
+            {section.data.length}
+          </Text>
+        </View>
+      )}
+      stickySectionHeadersEnabled
+      keyboardShouldPersistTaps="handled"
+      initialNumToRender={12}
+      maxToRenderPerBatch={10}
+      windowSize={11}
+      onViewableItemsChanged={onViewableItemsChanged}
+      viewabilityConfig={viewabilityConfig}
+    />
+  );
+};
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  headerText: {
+    fontSize: 13,
+    fontWeight: '700',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+  },
+  headerCount: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+});
+
+export default TaskSectionList;
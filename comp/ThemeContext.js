@@ -0,0 +1,21 @@
+import React, { createContext, useContext } from 'react';
+import { buildTheme, DEFAULT_THEME_MODE, DEFAULT_ACCENT } from '../utils/theme';
+
+// Current theme. Components read their colors here with useTheme instead of
+// taking a `colors` prop. MainApp provides it; the default only matters
+// outside it.
+const ThemeContext = createContext(buildTheme({
+  mode: DEFAULT_THEME_MODE,
+  systemScheme: null,
+  accent: DEFAULT_ACCENT,
+  highContrast: false
+}));
+
+export const ThemeProvider = ({ theme, children }) => (
+  <ThemeContext.Provider value={theme}>
+    {children}
+  </ThemeContext.Provider>
+);
+
+// Returns { mode, scheme, isDark, colors, reduceMotion }
+export const useTheme = () => useContext(ThemeContext);
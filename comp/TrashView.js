@@ -0,0 +1,239 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableWithoutFeedback
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as Haptics from '../utils/haptics';
+import * as dialog from '../utils/dialog';
+import DialogHost from './DialogHost';
+import { TRASH_RETENTION_OPTIONS, daysUntilPurge } from '../utils/trash';
+import { useTheme } from './ThemeContext';
+import { t } from '../utils/i18n';
+
+const TrashView = ({
+  visible,
+  trashedTasks,
+  retentionDays,
+  onClose,
+  onRestore,
+  onDeleteForever,
+  onEmpty,
+  onRetentionChange
+}) => {
+  const { colors } = useTheme();
+  // Confirm emptying the whole trash
+  const confirmEmpty = async () => {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning);
+    const confirmed = await dialog.confirm({
+      title: t('trash.empty.title'),
+      message: t('trash.empty.message', { count: trashedTasks.length }),
+      confirmText: t('trash.empty.confirm'),
+      destructive: true
+    });
+    if (confirmed) onEmpty();
+  };
+
+  const getPurgeText = (task) => {
+    const days = daysUntilPurge(task, retentionDays);
+    if (days === null) return t('trash.keptUntilDeleted');
+    if (days === 0) return t('trash.deletedToday');
+    return t('trash.deletedIn', { count: days });
+  };
+
+  return (
+    <Modal
+      animationType="fade"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <TouchableWithoutFeedback onPress={onClose}>
+        <View style={styles.overlay} />
+      </TouchableWithoutFeedback>
+
+      <View style={[styles.sheet, { backgroundColor: colors.card }]}>
+        <View style={styles.header}>
+          <Text style={[styles.title, { color: colors.text }]}>{t('trash.title')}</Text>
+          <Pressable onPress={onClose} style={styles.closeButton}>
+            <Ionicons name="close" size={24} color={colors.subtext} />
+          </Pressable>
+        </View>
+
+        {/* Retention period */}
+        <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('trash.autoDelete')}</Text>
+        <View style={styles.chipRow}>
+          {TRASH_RETENTION_OPTIONS.map(days => (
+            <Pressable
+              key={days}
+              onPress={() => {
+                onRetentionChange(days);
+                Haptics.selectionAsync();
+              }}
+              style={[styles.chip, {
+                borderColor: retentionDays === days ? colors.primary : colors.border,
+                backgroundColor: retentionDays === days ? colors.primary : 'transparent'
+              }]}
+            >
+              <Text style={[styles.chipText, { color: retentionDays === days ? 'white' : colors.text }]}>
+                {days === 0 ? t('trash.never') : t('common.days', { count: days })}
+              </Text>
+            </Pressable>
+          ))}
+        </View>
+
+        <ScrollView style={styles.list}>
+          {trashedTasks.length === 0 ? (
+            <Text style={[styles.emptyText, { color: colors.subtext }]}>{t('trash.isEmpty')}</Text>
+          ) : trashedTasks.map(task => (
+            <View key={task.id} style={[styles.row, { borderBottomColor: colors.border }]}>
+              <View style={styles.rowContent}>
+                <Text style={[styles.taskText, { color: colors.text }]} numberOfLines={2}>
+                  {task.text}
+                </Text>
+                <Text style={[styles.purgeText, { color: colors.subtext }]}>
+                  {getPurgeText(task)}
+                </Text>
+              </View>
+              <Pressable
+                onPress={() => {
+                  onRestore(task.id);
+                  Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+                }}
+                style={styles.iconButton}
+              >
+                <Ionicons name="arrow-undo-outline" size={20} color={colors.primary} />
+              </Pressable>
+              <Pressable onPress={() => onDeleteForever(task.id)} style={styles.iconButton}>
+                <Ionicons name="close-circle-outline" size={20} color={colors.danger} />
+              </Pressable>
+            </View>
+          ))}
+        </ScrollView>
+
+        {trashedTasks.length > 0 && (
+          <Pressable
+            onPress={confirmEmpty}
+            style={({ pressed }) => [
+              styles.emptyButton,
+              { backgroundColor: colors.danger },
+              pressed && styles.pressed
+            ]}
+          >
+            <Text style={styles.emptyButtonText}>{t('trash.empty.title')}</Text>
+          </Pressable>
+        )}
+      </View>
+
+      {/* Confirmations have to open inside this modal to show on iOS */}
+      <DialogHost />
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+  },
+  sheet: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    maxHeight: '80%',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    paddingBottom: 40,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 10,
+    elevation: 10,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  closeButton: {
+    padding: 8,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 14,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  list: {
+    flexGrow: 0,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  rowContent: {
+    flex: 1,
+  },
+  taskText: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  purgeText: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 8,
+  },
+  emptyText: {
+    textAlign: 'center',
+    paddingVertical: 20,
+  },
+  emptyButton: {
+    marginTop: 16,
+    paddingVertical: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  emptyButtonText: {
+    color: 'white',
+    fontWeight: '600',
+    fontSize: 16,
+  },
+  pressed: {
+    opacity: 0.8,
+    transform: [{ scale: 0.98 }],
+  },
+});
+
+export default TrashView;
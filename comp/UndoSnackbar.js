@@ -0,0 +1,86 @@
+import React, { useRef, useEffect } from 'react';
+import { Text, Pressable, StyleSheet, Animated } from 'react-native';
+import { timingTo, announce } from '../utils/accessibility';
+import { t } from '../utils/i18n';
+import { useTheme } from './ThemeContext';
+
+const UndoSnackbar = ({
+  visible,
+  message,
+  onUndo,
+  onDismiss,
+  duration = 5000
+}) => {
+  const { colors, reduceMotion } = useTheme();
+  const slideAnim = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    timingTo(slideAnim, visible ? 1 : 0, reduceMotion, { duration: 200 });
+
+    if (!visible) return undefined;
+    announce(message);
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [visible, message]);
+
+  return (
+    <Animated.View
+      pointerEvents={visible ? 'auto' : 'none'}
+      accessibilityElementsHidden={!visible}
+      importantForAccessibility={visible ? 'auto' : 'no-hide-descendants'}
+      style={[
+        styles.container,
+        {
+          backgroundColor: colors.text,
+          opacity: slideAnim,
+          transform: [{
+            translateY: slideAnim.interpolate({
+              inputRange: [0, 1],
+              outputRange: [80, 0]
+            })
+          }]
+        }
+      ]}
+    >
+      <Text style={[styles.message, { color: colors.background }]} numberOfLines={1}>
+        {message}
+      </Text>
+      <Pressable onPress={onUndo} style={styles.button} accessibilityRole="button" accessibilityLabel={t('a11y.undo')}>
+        <Text style={[styles.buttonText, { color: colors.primary }]}>{t('undo.action')}</Text>
+      </Pressable>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 20,
+    right: 20,
+    bottom: 24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    paddingLeft: 16,
+    paddingVertical: 4,
+    elevation: 6,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+  },
+  message: {
+    flex: 1,
+    fontSize: 15,
+  },
+  button: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  buttonText: {
+    fontWeight: 'bold',
+    fontSize: 14,
+  },
+});
+
+export default UndoSnackbar;
@@ -0,0 +1,379 @@
+// English messages, the fallback for keys missing from other catalogs.
+// See utils/i18n.js for placeholders and plural forms.
+
+export default {
+  'language.name': 'English',
+
+  // Relative due dates
+  'due.overdue': 'Overdue',
+  'due.today': 'Due today',
+  'due.tomorrow': 'Due tomorrow',
+  'due.inMinutes': { one: 'Due in {count} min', other: 'Due in {count} min' },
+  'due.inHours': { one: 'Due in {count} hour', other: 'Due in {count} hours' },
+  'due.inDays': { one: 'Due in {count} day', other: 'Due in {count} days' },
+  'due.inWeeks': { one: 'Due in {count} week', other: 'Due in {count} weeks' },
+  'due.inMonths': { one: 'Due in {count} month', other: 'Due in {count} months' },
+
+  // Durations
+  'duration.minutes': '{count} min',
+  'duration.hours': '{count} h',
+  'duration.days': { one: '{count} day', other: '{count} days' },
+
+  // Recurrence summaries, e.g. "Every 2 weeks on Mon, Thu, 5 times"
+  'recurrence.every.daily': { one: 'Every day', other: 'Every {count} days' },
+  'recurrence.every.weekly': { one: 'Every week', other: 'Every {count} weeks' },
+  'recurrence.every.monthly': { one: 'Every month', other: 'Every {count} months' },
+  'recurrence.onWeekdays': '{rule} on {days}',
+  'recurrence.onLastDay': '{rule} on the last day',
+  'recurrence.onDay': '{rule} on day {day}',
+  'recurrence.times': { one: '{rule}, {count} time', other: '{rule}, {count} times' },
+  'recurrence.until': '{rule}, until {date}',
+  'recurrence.title': 'Repeat',
+  'recurrence.never': 'Never',
+  'recurrence.daily': 'Daily',
+  'recurrence.weekly': 'Weekly',
+  'recurrence.monthly': 'Monthly',
+  'recurrence.everyLabel': 'Every',
+  'recurrence.unit.daily': { one: 'day', other: 'days' },
+  'recurrence.unit.weekly': { one: 'week', other: 'weeks' },
+  'recurrence.unit.monthly': { one: 'month', other: 'months' },
+  'recurrence.sameDay': 'Same day',
+  'recurrence.firstDay': 'First day',
+  'recurrence.lastDay': 'Last day',
+  'recurrence.ends': 'Ends',
+  'recurrence.after': 'After',
+  'recurrence.onDate': 'On date',
+  'recurrence.occurrences': { one: 'occurrence', other: 'occurrences' },
+  'recurrence.doesNotRepeat': 'Does not repeat',
+
+  // Reminders
+  'reminders.snooze10': 'Snooze 10 min',
+  'reminders.snooze60': 'Snooze 1 hour',
+  'reminders.option.due': 'At due time',
+  'reminders.option.10': '10 minutes before',
+  'reminders.option.30': '30 minutes before',
+  'reminders.option.60': '1 hour before',
+  'reminders.option.1440': '1 day before',
+  'reminders.atDueTime': 'At due time',
+  'reminders.minutesBefore': '{count} min before',
+  'reminders.hoursBefore': { one: '{count} hour before', other: '{count} hours before' },
+  'reminders.daysBefore': { one: '{count} day before', other: '{count} days before' },
+  'reminders.taskDue': 'Task due',
+  'reminders.reminder': 'Reminder',
+  'reminders.channel': 'Task reminders',
+  'reminders.title': 'Remind me',
+  'reminders.none': 'No reminder',
+  'reminders.custom': 'Custom time...',
+  'reminders.customNamed': 'Custom: {reminder}',
+  'reminders.needsDueDate': 'Set a due date to remind relative to it.',
+
+  // Due date sections and sort modes
+  'sections.overdue': 'Overdue',
+  'sections.today': 'Today',
+  'sections.tomorrow': 'Tomorrow',
+  'sections.later': 'Later',
+  'sections.none': 'No date',
+  'sort.manual': 'Manual',
+  'sort.dueDate': 'Due date',
+  'sort.priority': 'Priority',
+  'sort.createdAt': 'Created',
+  'sort.alphabetical': 'Alphabetical',
+  'sort.title': 'Sort by',
+  'sort.thenBy': 'Then by',
+  'sort.hint': 'Tap the selected mode again to reverse it. Drag to reorder in Manual mode.',
+  'sort.groupByDue': 'Group by due date',
+  'sort.groupByDueHint': 'Overdue, Today, Tomorrow, Later and No date',
+
+  // Shared words
+  'common.ok': 'OK',
+  'common.cancel': 'Cancel',
+  'common.delete': 'Delete',
+  'common.save': 'Save',
+  'common.done': 'Done',
+  'common.edit': 'Edit',
+  'common.clear': 'Clear',
+  'common.off': 'Off',
+  'common.loading': 'Loading...',
+  'common.days': { one: '{count} day', other: '{count} days' },
+  'common.tasks': { one: '{count} task', other: '{count} tasks' },
+  'common.categories': { one: '{count} category', other: '{count} categories' },
+  'priority.low': 'Low',
+  'priority.medium': 'Medium',
+  'priority.high': 'High',
+
+  // Themes
+  'theme.system': 'System',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.accent.indigo': 'Indigo',
+  'theme.accent.blue': 'Blue',
+  'theme.accent.teal': 'Teal',
+  'theme.accent.rose': 'Rose',
+  'theme.accent.amber': 'Amber',
+
+  // Tabs
+  'tabs.tasks': 'Tasks',
+  'tabs.calendar': 'Calendar',
+  'tabs.stats': 'Statistics',
+  'tabs.settings': 'Settings',
+
+  // Task list
+  'tasks.title': 'Task Manager',
+  'tasks.toGo': { one: '{count} task to go!', other: '{count} tasks to go!' },
+  'tasks.allCaughtUp': 'All caught up!',
+  'tasks.searchPlaceholder': 'Search tasks...',
+  'tasks.addPlaceholder': 'What needs to be done?',
+  'tasks.noCategory': 'None',
+  'tasks.newCategory': 'New',
+  'tasks.setTime': 'Set time',
+  'tasks.allDay': 'All day',
+  'tasks.filter.all': 'All',
+  'tasks.filter.active': 'Active',
+  'tasks.filter.completed': 'Completed',
+  'tasks.allCategories': 'All categories',
+  'tasks.empty.search': 'No tasks match your search',
+  'tasks.empty.searchHint': 'Try a different search term',
+  'tasks.empty.all': 'No tasks yet',
+  'tasks.empty.allHint': 'Add your first task above!',
+  'tasks.empty.active': 'All tasks completed!',
+  'tasks.empty.activeHint': 'Enjoy your free time!',
+  'tasks.empty.completed': 'No tasks completed yet',
+  'tasks.empty.completedHint': 'Get to work!',
+  'tasks.clearCompleted': 'Clear completed ({count})',
+  'tasks.clearAll.title': 'Clear All',
+  'tasks.clearAll.message': 'Move all tasks to the trash?',
+  'tasks.clearAll.confirm': 'Clear All',
+  'quickAdd.priority.low': 'Low priority',
+  'quickAdd.priority.medium': 'Medium priority',
+  'quickAdd.priority.high': 'High priority',
+  'detail.title': 'Task details',
+  'detail.missing': 'This task no longer exists',
+  'detail.notes': 'Notes',
+  'detail.notesPlaceholder': 'Add details, links or a checklist',
+  'detail.addNotes': 'Add notes',
+  'storageError.title': "Couldn't load your tasks",
+  'storageError.backedUp': 'Your saved tasks could not be read ({error}). A copy was kept under {key} so nothing is lost.',
+  'storageError.generic': 'Your saved data could not be read. Please restart the app.',
+
+  // Undo messages
+  'undo.action': 'UNDO',
+  'undo.taskTrashed': 'Task moved to trash',
+  'undo.completedTrashed': { one: 'Moved {count} completed task to trash', other: 'Moved {count} completed tasks to trash' },
+  'undo.allTrashed': { one: 'Moved {count} task to trash', other: 'Moved {count} tasks to trash' },
+  'undo.bulk.completed': { one: 'Completed {count} task', other: 'Completed {count} tasks' },
+  'undo.bulk.reopened': { one: 'Reopened {count} task', other: 'Reopened {count} tasks' },
+  'undo.bulk.priority': { one: 'Changed priority of {count} task', other: 'Changed priority of {count} tasks' },
+  'undo.bulk.rescheduled': { one: 'Rescheduled {count} task', other: 'Rescheduled {count} tasks' },
+  'undo.bulk.category': { one: 'Changed category of {count} task', other: 'Changed category of {count} tasks' },
+  'undo.bulk.trashed': { one: 'Moved {count} task to trash', other: 'Moved {count} tasks to trash' },
+  'undo.imported': { one: 'Imported {count} task', other: 'Imported {count} tasks' },
+
+  // Task rows
+  'task.delete.title': 'Delete Task',
+  'task.delete.message': 'This task will be moved to the trash, where you can restore it later.',
+  'task.editPlaceholder': 'Edit task...',
+  'task.delete.confirm': 'Delete this task?',
+  'subtasks.addPlaceholder': 'Add checklist item',
+  'subtasks.autoComplete': 'Complete task when all items are done',
+
+  // Categories, selection and trash
+  'categories.title': 'Categories',
+  'categories.addPlaceholder': 'New category (e.g. client name)',
+  'categories.empty': 'No categories yet. Create one to group your tasks.',
+  'categories.duplicate.title': 'Duplicate Category',
+  'categories.duplicate.message': 'A category named "{name}" already exists.',
+  'categories.delete.title': 'Delete Category',
+  'categories.delete.message': 'Delete "{name}"? Its tasks will be kept without a category.',
+  'selection.count': '{count} selected',
+  'selection.selectAll': 'Select all',
+  'selection.deselectAll': 'Deselect all',
+  'selection.complete': 'Complete',
+  'selection.reopen': 'Reopen',
+  'selection.priority': 'Priority',
+  'selection.date': 'Date',
+  'selection.category': 'Category',
+  'trash.title': 'Trash',
+  'trash.autoDelete': 'Auto-delete after',
+  'trash.never': 'Never',
+  'trash.isEmpty': 'Trash is empty',
+  'trash.keptUntilDeleted': 'Kept until deleted',
+  'trash.deletedToday': 'Deleted today',
+  'trash.deletedIn': { one: 'Deleted in {count} day', other: 'Deleted in {count} days' },
+  'trash.empty.title': 'Empty Trash',
+  'trash.empty.message': { one: 'Permanently delete {count} task?', other: 'Permanently delete {count} tasks?' },
+  'trash.empty.confirm': 'Empty',
+
+  // Backup
+  'backup.title': 'Backup',
+  'backup.export': 'Export',
+  'backup.share': 'Share backup',
+  'backup.shareTitle': 'Task Manager backup',
+  'backup.import': 'Import',
+  'backup.pastePlaceholder': 'Paste a backup here',
+  'backup.check': 'Check backup',
+  'backup.ready': '{tasks} and {categories} ready to import',
+  'backup.skipped': { one: '{count} record will be skipped', other: '{count} records will be skipped' },
+  'backup.mode.merge': 'Merge',
+  'backup.mode.replace': 'Replace',
+  'backup.conflictHint': 'When an id exists on both sides:',
+  'backup.conflict.keep': 'Keep mine',
+  'backup.conflict.overwrite': 'Use backup',
+  'backup.conflict.duplicate': 'Keep both',
+  'backup.replaceWarning': 'Current tasks and categories will be replaced. You can undo this afterwards.',
+  'backup.error.json': 'Not valid JSON',
+  'backup.error.format': 'Not a task manager backup',
+  'backup.error.version': 'Unsupported backup version {version}',
+  'backup.error.noTasks': 'Backup has no task list',
+  'backup.entity.task': 'task #{number}',
+  'backup.entity.category': 'category #{number}',
+
+  // Calendar
+  'calendar.month': 'Month',
+  'calendar.week': 'Week',
+  'calendar.today': 'Today',
+  'calendar.nothingDue': 'Nothing due this day',
+  'calendar.noDate': 'No date',
+  'calendar.dropHint': 'Drop a task here to clear its due date',
+
+  // Statistics
+  'stats.range.week': '7 days',
+  'stats.range.month': '30 days',
+  'stats.range.quarter': '90 days',
+  'stats.range.year': 'Year',
+  'stats.total': 'Total Tasks',
+  'stats.active': 'Active',
+  'stats.completed': 'Completed',
+  'stats.highPriority': 'High Priority',
+  'stats.overdue': 'Overdue',
+  'stats.completion': 'Completion',
+  'stats.subtasksDone': 'Subtasks Done',
+  'stats.subtaskCompletion': 'Subtask Completion',
+  'stats.doneIn.week': 'Done in 7 days',
+  'stats.doneIn.month': 'Done in 30 days',
+  'stats.doneIn.quarter': 'Done in 90 days',
+  'stats.doneIn.year': 'Done this year',
+  'stats.currentStreak': 'Current Streak',
+  'stats.longestStreak': 'Longest Streak',
+  'stats.streakDays': '{count}d',
+  'stats.averageTime': 'Avg. Time to Done',
+  'stats.noCategory': 'No category',
+  'stats.history': 'History',
+  'stats.completedPer.day': 'Completed per day',
+  'stats.completedPer.week': 'Completed per week',
+  'stats.onTimeVsLate': 'On time vs late',
+  'stats.onTime': 'On time',
+  'stats.late': 'Late',
+  'stats.onTimeLabel': 'on time',
+  'stats.doneLabel': 'done',
+  'stats.byPriority': 'By priority',
+  'stats.byCategory': 'By category',
+  'stats.nothingCompleted': 'Nothing completed in this range',
+
+  // Settings
+  'settings.appearance': 'Appearance',
+  'settings.theme': 'Theme',
+  'settings.accent': 'Accent color',
+  'settings.highContrast': 'High contrast',
+  'settings.languageAndRegion': 'Language and region',
+  'settings.language': 'Language',
+  'settings.language.system': 'System',
+  'settings.weekStartsOn': 'Week starts on',
+  'settings.weekStart.sunday': 'Sunday',
+  'settings.weekStart.monday': 'Monday',
+  'settings.dateFormat': 'Date format',
+  'settings.tasks': 'Tasks',
+  'settings.defaultPriority': 'Default priority',
+  'settings.defaultSort': 'Default sort',
+  'settings.confirmDelete': 'Confirm before deleting',
+  'settings.autoClear': 'Clear completed after',
+  'settings.feedback': 'Feedback',
+  'settings.haptics': 'Haptics',
+  'settings.confetti': 'Confetti when all done',
+  'settings.data': 'Data',
+  'settings.backup': 'Backup and restore',
+  'settings.sync': 'Sync',
+  'settings.syncServer': 'Sync server',
+  'settings.syncNow': 'Sync now',
+  'settings.lastSynced': 'Last synced {time}',
+  'settings.neverSynced': 'Not synced yet',
+
+  // Sync
+  'sync.status.idle': 'All changes synced',
+  'sync.status.pending': { one: '{count} change waiting to sync', other: '{count} changes waiting to sync' },
+  'sync.status.syncing': 'Syncing',
+  'sync.status.offline': 'Offline, changes will sync later',
+  'sync.status.error': 'Sync failed',
+  'sync.server.title': 'Sync server',
+  'sync.server.message': 'Tasks sync with this server across your devices. Leave it empty to turn sync off.',
+
+  // Screen reader descriptions
+  'a11y.task.priority.low': 'low priority',
+  'a11y.task.priority.medium': 'medium priority',
+  'a11y.task.priority.high': 'high priority',
+  'a11y.task.due': 'due {date}',
+  'a11y.task.overdue': 'overdue',
+  'a11y.task.repeats': 'repeats',
+  'a11y.subtasksDone': { one: '{done} of {count} subtask done', other: '{done} of {count} subtasks done' },
+  'a11y.movedUp': 'Moved up',
+  'a11y.movedDown': 'Moved down',
+  'a11y.undo': 'Undo',
+  'a11y.redo': 'Redo',
+  'a11y.lightTheme': 'Switch to light theme',
+  'a11y.darkTheme': 'Switch to dark theme',
+  'a11y.trash': { one: 'Trash, {count} task', other: 'Trash, {count} tasks' },
+  'a11y.clearAll': 'Move all tasks to trash',
+  'a11y.search': 'Search tasks',
+  'a11y.clearSearch': 'Clear search',
+  'a11y.recentSearch': 'Recent search {query}',
+  'a11y.clearRecentSearches': 'Clear recent searches',
+  'a11y.newTask': 'New task',
+  'a11y.priority': 'Priority, {priority}',
+  'a11y.newTaskPriorityHint': 'Changes the priority of the new task',
+  'a11y.category': 'Category',
+  'a11y.categoryNamed': 'Category, {name}',
+  'a11y.dueDate': 'Due date',
+  'a11y.changeDueDate': 'Changes the due date',
+  'a11y.removeDueDate': 'Remove due date',
+  'a11y.repeat': 'Repeat',
+  'a11y.repeatRule': 'Repeat, {rule}',
+  'a11y.addTask': 'Add task',
+  'a11y.noCategory': 'No category',
+  'a11y.newCategory': 'New category',
+  'a11y.quickAddApply': 'Applies this field to the new task',
+  'a11y.quickAddIgnore': 'Keeps this as part of the task text',
+  'a11y.filter.all': { one: 'All, {count} task', other: 'All, {count} tasks' },
+  'a11y.filter.active': { one: 'Active, {count} task', other: 'Active, {count} tasks' },
+  'a11y.filter.completed': { one: 'Completed, {count} task', other: 'Completed, {count} tasks' },
+  'a11y.categoryFilter': { one: '{name}, {count} task', other: '{name}, {count} tasks' },
+  'a11y.manageCategories': 'Manage categories',
+  'a11y.sort': 'Sort, {mode}',
+  'a11y.sortAscending': 'Sort, {mode}, ascending',
+  'a11y.sortDescending': 'Sort, {mode}, descending',
+  'a11y.shareTask': 'Share task',
+  'a11y.action.markDone': 'Mark as done',
+  'a11y.action.markNotDone': 'Mark as not done',
+  'a11y.action.priority': 'Change priority',
+  'a11y.action.moveUp': 'Move up',
+  'a11y.action.moveDown': 'Move down',
+  'a11y.action.select': 'Select',
+  'a11y.markedDone': 'Marked as done',
+  'a11y.markedNotDone': 'Marked as not done',
+  'a11y.deleteTask': 'Delete task',
+  'a11y.selectTask': 'Select {text}',
+  'a11y.doneTask': 'Done: {text}',
+  'a11y.opensDetails': 'Opens task details',
+  'a11y.taskName': 'Task name',
+  'a11y.dueOn': 'Due {date}',
+  'a11y.changeTime': 'Changes the time',
+  'a11y.changePriority': 'Changes the priority',
+  'a11y.rename': 'Rename',
+  'a11y.dueDateNamed': 'Due date, {date}',
+  'a11y.setDueDate': 'Set due date',
+  'a11y.subtasks': 'Subtasks',
+  'a11y.subtasksProgress': 'Subtasks, {done} of {count} done',
+  'a11y.reminderNamed': 'Reminder, {reminder}',
+  'a11y.setReminder': 'Set reminder',
+  'a11y.skipOccurrence': 'Skip this occurrence',
+  'a11y.moreActions': 'More actions',
+  'a11y.syncNow': 'Syncs now'
+};
@@ -0,0 +1,379 @@
+// Spanish messages. Keys missing here fall back to English.
+// See utils/i18n.js for placeholders and plural forms.
+
+export default {
+  'language.name': 'Español',
+
+  // Relative due dates
+  'due.overdue': 'Vencida',
+  'due.today': 'Vence hoy',
+  'due.tomorrow': 'Vence mañana',
+  'due.inMinutes': { one: 'Vence en {count} min', other: 'Vence en {count} min' },
+  'due.inHours': { one: 'Vence en {count} hora', other: 'Vence en {count} horas' },
+  'due.inDays': { one: 'Vence en {count} día', other: 'Vence en {count} días' },
+  'due.inWeeks': { one: 'Vence en {count} semana', other: 'Vence en {count} semanas' },
+  'due.inMonths': { one: 'Vence en {count} mes', other: 'Vence en {count} meses' },
+
+  // Durations
+  'duration.minutes': '{count} min',
+  'duration.hours': '{count} h',
+  'duration.days': { one: '{count} día', other: '{count} días' },
+
+  // Recurrence summaries, e.g. "Every 2 weeks on Mon, Thu, 5 times"
+  'recurrence.every.daily': { one: 'Cada día', other: 'Cada {count} días' },
+  'recurrence.every.weekly': { one: 'Cada semana', other: 'Cada {count} semanas' },
+  'recurrence.every.monthly': { one: 'Cada mes', other: 'Cada {count} meses' },
+  'recurrence.onWeekdays': '{rule} los {days}',
+  'recurrence.onLastDay': '{rule} el último día',
+  'recurrence.onDay': '{rule} el día {day}',
+  'recurrence.times': { one: '{rule}, {count} vez', other: '{rule}, {count} veces' },
+  'recurrence.until': '{rule}, hasta el {date}',
+  'recurrence.title': 'Repetir',
+  'recurrence.never': 'Nunca',
+  'recurrence.daily': 'Diaria',
+  'recurrence.weekly': 'Semanal',
+  'recurrence.monthly': 'Mensual',
+  'recurrence.everyLabel': 'Cada',
+  'recurrence.unit.daily': { one: 'día', other: 'días' },
+  'recurrence.unit.weekly': { one: 'semana', other: 'semanas' },
+  'recurrence.unit.monthly': { one: 'mes', other: 'meses' },
+  'recurrence.sameDay': 'Mismo día',
+  'recurrence.firstDay': 'Primer día',
+  'recurrence.lastDay': 'Último día',
+  'recurrence.ends': 'Termina',
+  'recurrence.after': 'Después de',
+  'recurrence.onDate': 'En fecha',
+  'recurrence.occurrences': { one: 'repetición', other: 'repeticiones' },
+  'recurrence.doesNotRepeat': 'No se repite',
+
+  // Reminders
+  'reminders.snooze10': 'Posponer 10 min',
+  'reminders.snooze60': 'Posponer 1 hora',
+  'reminders.option.due': 'A la hora de vencimiento',
+  'reminders.option.10': '10 minutos antes',
+  'reminders.option.30': '30 minutos antes',
+  'reminders.option.60': '1 hora antes',
+  'reminders.option.1440': '1 día antes',
+  'reminders.atDueTime': 'A la hora de vencimiento',
+  'reminders.minutesBefore': '{count} min antes',
+  'reminders.hoursBefore': { one: '{count} hora antes', other: '{count} horas antes' },
+  'reminders.daysBefore': { one: '{count} día antes', other: '{count} días antes' },
+  'reminders.taskDue': 'Tarea pendiente',
+  'reminders.reminder': 'Recordatorio',
+  'reminders.channel': 'Recordatorios de tareas',
+  'reminders.title': 'Recordarme',
+  'reminders.none': 'Sin recordatorio',
+  'reminders.custom': 'Hora personalizada...',
+  'reminders.customNamed': 'Personalizado: {reminder}',
+  'reminders.needsDueDate': 'Pon una fecha de vencimiento para recordar en relación a ella.',
+
+  // Due date sections and sort modes
+  'sections.overdue': 'Vencidas',
+  'sections.today': 'Hoy',
+  'sections.tomorrow': 'Mañana',
+  'sections.later': 'Más adelante',
+  'sections.none': 'Sin fecha',
+  'sort.manual': 'Manual',
+  'sort.dueDate': 'Vencimiento',
+  'sort.priority': 'Prioridad',
+  'sort.createdAt': 'Creación',
+  'sort.alphabetical': 'Alfabético',
+  'sort.title': 'Ordenar por',
+  'sort.thenBy': 'Después por',
+  'sort.hint': 'Toca de nuevo el modo elegido para invertirlo. Arrastra para reordenar en modo Manual.',
+  'sort.groupByDue': 'Agrupar por vencimiento',
+  'sort.groupByDueHint': 'Vencidas, Hoy, Mañana, Más adelante y Sin fecha',
+
+  // Shared words
+  'common.ok': 'Aceptar',
+  'common.cancel': 'Cancelar',
+  'common.delete': 'Eliminar',
+  'common.save': 'Guardar',
+  'common.done': 'Listo',
+  'common.edit': 'Editar',
+  'common.clear': 'Borrar',
+  'common.off': 'No',
+  'common.loading': 'Cargando...',
+  'common.days': { one: '{count} día', other: '{count} días' },
+  'common.tasks': { one: '{count} tarea', other: '{count} tareas' },
+  'common.categories': { one: '{count} categoría', other: '{count} categorías' },
+  'priority.low': 'Baja',
+  'priority.medium': 'Media',
+  'priority.high': 'Alta',
+
+  // Themes
+  'theme.system': 'Sistema',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.accent.indigo': 'Índigo',
+  'theme.accent.blue': 'Azul',
+  'theme.accent.teal': 'Verde azulado',
+  'theme.accent.rose': 'Rosa',
+  'theme.accent.amber': 'Ámbar',
+
+  // Tabs
+  'tabs.tasks': 'Tareas',
+  'tabs.calendar': 'Calendario',
+  'tabs.stats': 'Estadísticas',
+  'tabs.settings': 'Ajustes',
+
+  // Task list
+  'tasks.title': 'Gestor de tareas',
+  'tasks.toGo': { one: '¡Te queda {count} tarea!', other: '¡Te quedan {count} tareas!' },
+  'tasks.allCaughtUp': '¡Todo al día!',
+  'tasks.searchPlaceholder': 'Buscar tareas...',
+  'tasks.addPlaceholder': '¿Qué hay que hacer?',
+  'tasks.noCategory': 'Ninguna',
+  'tasks.newCategory': 'Nueva',
+  'tasks.setTime': 'Fijar hora',
+  'tasks.allDay': 'Todo el día',
+  'tasks.filter.all': 'Todas',
+  'tasks.filter.active': 'Activas',
+  'tasks.filter.completed': 'Completadas',
+  'tasks.allCategories': 'Todas las categorías',
+  'tasks.empty.search': 'Ninguna tarea coincide con tu búsqueda',
+  'tasks.empty.searchHint': 'Prueba con otro término',
+  'tasks.empty.all': 'Aún no hay tareas',
+  'tasks.empty.allHint': '¡Añade tu primera tarea arriba!',
+  'tasks.empty.active': '¡Todas las tareas completadas!',
+  'tasks.empty.activeHint': '¡Disfruta de tu tiempo libre!',
+  'tasks.empty.completed': 'Aún no hay tareas completadas',
+  'tasks.empty.completedHint': '¡Manos a la obra!',
+  'tasks.clearCompleted': 'Borrar completadas ({count})',
+  'tasks.clearAll.title': 'Borrar todo',
+  'tasks.clearAll.message': '¿Mover todas las tareas a la papelera?',
+  'tasks.clearAll.confirm': 'Borrar todo',
+  'quickAdd.priority.low': 'Prioridad baja',
+  'quickAdd.priority.medium': 'Prioridad media',
+  'quickAdd.priority.high': 'Prioridad alta',
+  'detail.title': 'Detalles de la tarea',
+  'detail.missing': 'Esta tarea ya no existe',
+  'detail.notes': 'Notas',
+  'detail.notesPlaceholder': 'Añade detalles, enlaces o una lista',
+  'detail.addNotes': 'Añadir notas',
+  'storageError.title': 'No se pudieron cargar tus tareas',
+  'storageError.backedUp': 'No se pudieron leer tus tareas guardadas ({error}). Se guardó una copia en {key} para que no se pierda nada.',
+  'storageError.generic': 'No se pudieron leer tus datos guardados. Reinicia la app.',
+
+  // Undo messages
+  'undo.action': 'DESHACER',
+  'undo.taskTrashed': 'Tarea movida a la papelera',
+  'undo.completedTrashed': { one: '{count} tarea completada movida a la papelera', other: '{count} tareas completadas movidas a la papelera' },
+  'undo.allTrashed': { one: '{count} tarea movida a la papelera', other: '{count} tareas movidas a la papelera' },
+  'undo.bulk.completed': { one: '{count} tarea completada', other: '{count} tareas completadas' },
+  'undo.bulk.reopened': { one: '{count} tarea reabierta', other: '{count} tareas reabiertas' },
+  'undo.bulk.priority': { one: 'Prioridad cambiada en {count} tarea', other: 'Prioridad cambiada en {count} tareas' },
+  'undo.bulk.rescheduled': { one: '{count} tarea reprogramada', other: '{count} tareas reprogramadas' },
+  'undo.bulk.category': { one: 'Categoría cambiada en {count} tarea', other: 'Categoría cambiada en {count} tareas' },
+  'undo.bulk.trashed': { one: '{count} tarea movida a la papelera', other: '{count} tareas movidas a la papelera' },
+  'undo.imported': { one: '{count} tarea importada', other: '{count} tareas importadas' },
+
+  // Task rows
+  'task.delete.title': 'Eliminar tarea',
+  'task.delete.message': 'La tarea se moverá a la papelera, desde donde podrás restaurarla más tarde.',
+  'task.editPlaceholder': 'Editar tarea...',
+  'task.delete.confirm': '¿Eliminar esta tarea?',
+  'subtasks.addPlaceholder': 'Añadir elemento',
+  'subtasks.autoComplete': 'Completar la tarea cuando todos los elementos estén hechos',
+
+  // Categories, selection and trash
+  'categories.title': 'Categorías',
+  'categories.addPlaceholder': 'Nueva categoría (p. ej. nombre del cliente)',
+  'categories.empty': 'Aún no hay categorías. Crea una para agrupar tus tareas.',
+  'categories.duplicate.title': 'Categoría duplicada',
+  'categories.duplicate.message': 'Ya existe una categoría llamada "{name}".',
+  'categories.delete.title': 'Eliminar categoría',
+  'categories.delete.message': '¿Eliminar "{name}"? Sus tareas se conservarán sin categoría.',
+  'selection.count': '{count} seleccionadas',
+  'selection.selectAll': 'Seleccionar todo',
+  'selection.deselectAll': 'Deseleccionar todo',
+  'selection.complete': 'Completar',
+  'selection.reopen': 'Reabrir',
+  'selection.priority': 'Prioridad',
+  'selection.date': 'Fecha',
+  'selection.category': 'Categoría',
+  'trash.title': 'Papelera',
+  'trash.autoDelete': 'Eliminar automáticamente tras',
+  'trash.never': 'Nunca',
+  'trash.isEmpty': 'La papelera está vacía',
+  'trash.keptUntilDeleted': 'Se conserva hasta que la elimines',
+  'trash.deletedToday': 'Se elimina hoy',
+  'trash.deletedIn': { one: 'Se elimina en {count} día', other: 'Se elimina en {count} días' },
+  'trash.empty.title': 'Vaciar papelera',
+  'trash.empty.message': { one: '¿Eliminar {count} tarea para siempre?', other: '¿Eliminar {count} tareas para siempre?' },
+  'trash.empty.confirm': 'Vaciar',
+
+  // Backup
+  'backup.title': 'Copia de seguridad',
+  'backup.export': 'Exportar',
+  'backup.share': 'Compartir copia',
+  'backup.shareTitle': 'Copia de seguridad del gestor de tareas',
+  'backup.import': 'Importar',
+  'backup.pastePlaceholder': 'Pega aquí una copia de seguridad',
+  'backup.check': 'Comprobar copia',
+  'backup.ready': '{tasks} y {categories} listas para importar',
+  'backup.skipped': { one: 'Se omitirá {count} registro', other: 'Se omitirán {count} registros' },
+  'backup.mode.merge': 'Combinar',
+  'backup.mode.replace': 'Reemplazar',
+  'backup.conflictHint': 'Cuando un id existe en ambos lados:',
+  'backup.conflict.keep': 'Conservar los míos',
+  'backup.conflict.overwrite': 'Usar la copia',
+  'backup.conflict.duplicate': 'Conservar ambos',
+  'backup.replaceWarning': 'Se reemplazarán las tareas y categorías actuales. Podrás deshacerlo después.',
+  'backup.error.json': 'No es un JSON válido',
+  'backup.error.format': 'No es una copia del gestor de tareas',
+  'backup.error.version': 'Versión de copia no compatible: {version}',
+  'backup.error.noTasks': 'La copia no tiene lista de tareas',
+  'backup.entity.task': 'tarea n.º {number}',
+  'backup.entity.category': 'categoría n.º {number}',
+
+  // Calendar
+  'calendar.month': 'Mes',
+  'calendar.week': 'Semana',
+  'calendar.today': 'Hoy',
+  'calendar.nothingDue': 'Nada vence este día',
+  'calendar.noDate': 'Sin fecha',
+  'calendar.dropHint': 'Suelta aquí una tarea para quitarle la fecha',
+
+  // Statistics
+  'stats.range.week': '7 días',
+  'stats.range.month': '30 días',
+  'stats.range.quarter': '90 días',
+  'stats.range.year': 'Año',
+  'stats.total': 'Tareas totales',
+  'stats.active': 'Activas',
+  'stats.completed': 'Completadas',
+  'stats.highPriority': 'Prioridad alta',
+  'stats.overdue': 'Vencidas',
+  'stats.completion': 'Completado',
+  'stats.subtasksDone': 'Subtareas hechas',
+  'stats.subtaskCompletion': 'Subtareas completadas',
+  'stats.doneIn.week': 'Hechas en 7 días',
+  'stats.doneIn.month': 'Hechas en 30 días',
+  'stats.doneIn.quarter': 'Hechas en 90 días',
+  'stats.doneIn.year': 'Hechas este año',
+  'stats.currentStreak': 'Racha actual',
+  'stats.longestStreak': 'Racha más larga',
+  'stats.streakDays': '{count} d',
+  'stats.averageTime': 'Tiempo medio hasta hecha',
+  'stats.noCategory': 'Sin categoría',
+  'stats.history': 'Historial',
+  'stats.completedPer.day': 'Completadas por día',
+  'stats.completedPer.week': 'Completadas por semana',
+  'stats.onTimeVsLate': 'A tiempo frente a tarde',
+  'stats.onTime': 'A tiempo',
+  'stats.late': 'Tarde',
+  'stats.onTimeLabel': 'a tiempo',
+  'stats.doneLabel': 'hechas',
+  'stats.byPriority': 'Por prioridad',
+  'stats.byCategory': 'Por categoría',
+  'stats.nothingCompleted': 'Nada completado en este periodo',
+
+  // Settings
+  'settings.appearance': 'Apariencia',
+  'settings.theme': 'Tema',
+  'settings.accent': 'Color de acento',
+  'settings.highContrast': 'Alto contraste',
+  'settings.languageAndRegion': 'Idioma y región',
+  'settings.language': 'Idioma',
+  'settings.language.system': 'Sistema',
+  'settings.weekStartsOn': 'La semana empieza el',
+  'settings.weekStart.sunday': 'Domingo',
+  'settings.weekStart.monday': 'Lunes',
+  'settings.dateFormat': 'Formato de fecha',
+  'settings.tasks': 'Tareas',
+  'settings.defaultPriority': 'Prioridad predeterminada',
+  'settings.defaultSort': 'Orden predeterminado',
+  'settings.confirmDelete': 'Confirmar antes de eliminar',
+  'settings.autoClear': 'Borrar completadas tras',
+  'settings.feedback': 'Respuesta',
+  'settings.haptics': 'Vibración',
+  'settings.confetti': 'Confeti al terminar todo',
+  'settings.data': 'Datos',
+  'settings.backup': 'Copia de seguridad y restauración',
+  'settings.sync': 'Sincronización',
+  'settings.syncServer': 'Servidor de sincronización',
+  'settings.syncNow': 'Sincronizar ahora',
+  'settings.lastSynced': 'Última sincronización: {time}',
+  'settings.neverSynced': 'Aún sin sincronizar',
+
+  // Sync
+  'sync.status.idle': 'Todos los cambios sincronizados',
+  'sync.status.pending': { one: '{count} cambio pendiente de sincronizar', other: '{count} cambios pendientes de sincronizar' },
+  'sync.status.syncing': 'Sincronizando',
+  'sync.status.offline': 'Sin conexión, los cambios se sincronizarán más tarde',
+  'sync.status.error': 'Error al sincronizar',
+  'sync.server.title': 'Servidor de sincronización',
+  'sync.server.message': 'Las tareas se sincronizan con este servidor entre tus dispositivos. Déjalo vacío para desactivar la sincronización.',
+
+  // Screen reader descriptions
+  'a11y.task.priority.low': 'prioridad baja',
+  'a11y.task.priority.medium': 'prioridad media',
+  'a11y.task.priority.high': 'prioridad alta',
+  'a11y.task.due': 'vence {date}',
+  'a11y.task.overdue': 'vencida',
+  'a11y.task.repeats': 'se repite',
+  'a11y.subtasksDone': { one: '{done} de {count} subtarea hecha', other: '{done} de {count} subtareas hechas' },
+  'a11y.movedUp': 'Movida arriba',
+  'a11y.movedDown': 'Movida abajo',
+  'a11y.undo': 'Deshacer',
+  'a11y.redo': 'Rehacer',
+  'a11y.lightTheme': 'Cambiar al tema claro',
+  'a11y.darkTheme': 'Cambiar al tema oscuro',
+  'a11y.trash': { one: 'Papelera, {count} tarea', other: 'Papelera, {count} tareas' },
+  'a11y.clearAll': 'Mover todas las tareas a la papelera',
+  'a11y.search': 'Buscar tareas',
+  'a11y.clearSearch': 'Borrar búsqueda',
+  'a11y.recentSearch': 'Búsqueda reciente {query}',
+  'a11y.clearRecentSearches': 'Borrar búsquedas recientes',
+  'a11y.newTask': 'Nueva tarea',
+  'a11y.priority': 'Prioridad, {priority}',
+  'a11y.newTaskPriorityHint': 'Cambia la prioridad de la nueva tarea',
+  'a11y.category': 'Categoría',
+  'a11y.categoryNamed': 'Categoría, {name}',
+  'a11y.dueDate': 'Fecha de vencimiento',
+  'a11y.changeDueDate': 'Cambia la fecha de vencimiento',
+  'a11y.removeDueDate': 'Quitar fecha de vencimiento',
+  'a11y.repeat': 'Repetir',
+  'a11y.repeatRule': 'Repetir, {rule}',
+  'a11y.addTask': 'Añadir tarea',
+  'a11y.noCategory': 'Sin categoría',
+  'a11y.newCategory': 'Nueva categoría',
+  'a11y.quickAddApply': 'Aplica este campo a la nueva tarea',
+  'a11y.quickAddIgnore': 'Lo mantiene como parte del texto de la tarea',
+  'a11y.filter.all': { one: 'Todas, {count} tarea', other: 'Todas, {count} tareas' },
+  'a11y.filter.active': { one: 'Activas, {count} tarea', other: 'Activas, {count} tareas' },
+  'a11y.filter.completed': { one: 'Completadas, {count} tarea', other: 'Completadas, {count} tareas' },
+  'a11y.categoryFilter': { one: '{name}, {count} tarea', other: '{name}, {count} tareas' },
+  'a11y.manageCategories': 'Gestionar categorías',
+  'a11y.sort': 'Ordenar, {mode}',
+  'a11y.sortAscending': 'Ordenar, {mode}, ascendente',
+  'a11y.sortDescending': 'Ordenar, {mode}, descendente',
+  'a11y.shareTask': 'Compartir tarea',
+  'a11y.action.markDone': 'Marcar como hecha',
+  'a11y.action.markNotDone': 'Marcar como no hecha',
+  'a11y.action.priority': 'Cambiar prioridad',
+  'a11y.action.moveUp': 'Mover arriba',
+  'a11y.action.moveDown': 'Mover abajo',
+  'a11y.action.select': 'Seleccionar',
+  'a11y.markedDone': 'Marcada como hecha',
+  'a11y.markedNotDone': 'Marcada como no hecha',
+  'a11y.deleteTask': 'Eliminar tarea',
+  'a11y.selectTask': 'Seleccionar {text}',
+  'a11y.doneTask': 'Hecha: {text}',
+  'a11y.opensDetails': 'Abre los detalles de la tarea',
+  'a11y.taskName': 'Nombre de la tarea',
+  'a11y.dueOn': 'Vence {date}',
+  'a11y.changeTime': 'Cambia la hora',
+  'a11y.changePriority': 'Cambia la prioridad',
+  'a11y.rename': 'Renombrar',
+  'a11y.dueDateNamed': 'Fecha de vencimiento, {date}',
+  'a11y.setDueDate': 'Poner fecha de vencimiento',
+  'a11y.subtasks': 'Subtareas',
+  'a11y.subtasksProgress': 'Subtareas, {done} de {count} hechas',
+  'a11y.reminderNamed': 'Recordatorio, {reminder}',
+  'a11y.setReminder': 'Poner recordatorio',
+  'a11y.skipOccurrence': 'Saltar esta repetición',
+  'a11y.moreActions': 'Más acciones',
+  'a11y.syncNow': 'Sincroniza ahora'
+};
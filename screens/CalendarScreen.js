@@ -0,0 +1,429 @@
+import React, { useState, useRef } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  ScrollView,
+  Animated,
+  PanResponder
+} from 'react-native';
+import { Ionicons, MaterialIcons } from '@expo/vector-icons';
+import * as Haptics from '../utils/haptics';
+import CalendarGrid from '../comp/CalendarGrid';
+import { startOfDay, formatDueDate, formatTime, isAllDay, isOverdue } from '../utils/dates';
+import { useTheme } from '../comp/ThemeContext';
+import { t } from '../utils/i18n';
+import {
+  getDayKey,
+  addDays,
+  addMonths,
+  getWeekDays,
+  getMonthWeeks,
+  formatMonthTitle,
+  formatWeekTitle,
+  formatDayTitle,
+  groupTasksByDay,
+  findDropTarget
+} from '../utils/calendar';
+
+// Drop target key of the unscheduled tray
+const NO_DATE = 'none';
+
+// Grip that starts dragging a task; the screen owns the drag itself
+const DragHandle = ({ taskId, handlersRef, color }) => {
+  const responder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: (event) => handlersRef.current.start(taskId, event.nativeEvent.pageX, event.nativeEvent.pageY),
+      onPanResponderMove: (event) => handlersRef.current.move(event.nativeEvent.pageX, event.nativeEvent.pageY),
+      onPanResponderRelease: () => handlersRef.current.end(),
+      onPanResponderTerminate: () => handlersRef.current.cancel()
+    })
+  ).current;
+
+  return (
+    <View {...responder.panHandlers} style={styles.dragHandle} hitSlop={8}>
+      <MaterialIcons name="drag-indicator" size={20} color={color} />
+    </View>
+  );
+};
+
+// Month or week calendar of due dates. Tasks can be dragged onto another
+// day to reschedule them, or onto the "No date" tray to clear their date.
+const CalendarScreen = ({
+  tasks,
+  weekStartsOn = 0,
+  dateFormat,
+  onOpenTask,
+  onReschedule
+}) => {
+  const { colors } = useTheme();
+  const [viewMode, setViewMode] = useState('month');
+  const [selectedDay, setSelectedDay] = useState(() => startOfDay(new Date()));
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [hoverKey, setHoverKey] = useState(null);
+
+  const rootRef = useRef();
+  const trayRef = useRef();
+  const cellsRef = useRef({});
+  const targetsRef = useRef([]);
+  const rootOffsetRef = useRef({ x: 0, y: 0 });
+  const hoverRef = useRef(null);
+  const handlersRef = useRef({});
+  const ghost = useRef(new Animated.ValueXY()).current;
+
+  const tasksByDay = groupTasksByDay(tasks);
+  const unscheduled = tasks.filter(task => !task.dueDate);
+  const dayTasks = tasksByDay[getDayKey(selectedDay)] || [];
+  const weeks = viewMode === 'month'
+    ? getMonthWeeks(selectedDay, weekStartsOn)
+    : [getWeekDays(selectedDay, weekStartsOn)];
+  const days = weeks.flat();
+
+  const cellRef = (key) => (view) => {
+    if (view) cellsRef.current[key] = view;
+    else delete cellsRef.current[key];
+  };
+
+  // Move by a month or a week, keeping a day of the new range selected
+  const step = (direction) => {
+    setSelectedDay(viewMode === 'month'
+      ? addMonths(selectedDay, direction)
+      : addDays(selectedDay, direction * 7));
+    Haptics.selectionAsync();
+  };
+
+  const goToToday = () => {
+    setSelectedDay(startOfDay(new Date()));
+    Haptics.selectionAsync();
+  };
+
+  const selectDay = (day) => {
+    setSelectedDay(day);
+    Haptics.selectionAsync();
+  };
+
+  // Drop targets are measured when a drag starts, since the view may have
+  // scrolled since the cells were laid out
+  const measureTargets = () => {
+    targetsRef.current = [];
+    const measure = (view, key, day) => {
+      view.measureInWindow((x, y, width, height) => {
+        targetsRef.current.push({ key, day, rect: { x, y, width, height } });
+      });
+    };
+    days.forEach(day => {
+      const key = getDayKey(day);
+      if (cellsRef.current[key]) measure(cellsRef.current[key], key, day);
+    });
+    if (trayRef.current) measure(trayRef.current, NO_DATE, null);
+    if (rootRef.current) {
+      rootRef.current.measureInWindow((x, y) => {
+        rootOffsetRef.current = { x, y };
+      });
+    }
+  };
+
+  const finishDrag = () => {
+    hoverRef.current = null;
+    setHoverKey(null);
+    setDraggedTask(null);
+  };
+
+  handlersRef.current = {
+    start: (taskId, pageX, pageY) => {
+      const task = tasks.find(item => item.id === taskId);
+      if (!task) return;
+      measureTargets();
+      ghost.setValue({ x: pageX - rootOffsetRef.current.x, y: pageY - rootOffsetRef.current.y });
+      setDraggedTask(task);
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium);
+    },
+    move: (pageX, pageY) => {
+      ghost.setValue({ x: pageX - rootOffsetRef.current.x, y: pageY - rootOffsetRef.current.y });
+      const targets = targetsRef.current;
+      const index = findDropTarget(targets.map(target => target.rect), pageX, pageY);
+      const key = index === -1 ? null : targets[index].key;
+      if (key !== hoverRef.current) {
+        hoverRef.current = key;
+        setHoverKey(key);
+        if (key) Haptics.selectionAsync();
+      }
+    },
+    end: () => {
+      const target = targetsRef.current.find(item => item.key === hoverRef.current);
+      const currentKey = draggedTask && draggedTask.dueDate ? getDayKey(draggedTask.dueDate) : NO_DATE;
+      if (target && draggedTask && target.key !== currentKey) {
+        onReschedule(draggedTask, target.day);
+        if (target.day) setSelectedDay(target.day);
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+      }
+      finishDrag();
+    },
+    cancel: finishDrag
+  };
+
+  const renderTask = (task) => (
+    <Pressable
+      key={task.id}
+      onPress={() => onOpenTask(task.id)}
+      style={({ pressed }) => [
+        styles.row,
+        { backgroundColor: colors.card },
+        draggedTask && task.id === draggedTask.id && styles.draggedRow,
+        pressed && styles.pressed
+      ]}
+    >
+      <DragHandle taskId={task.id} handlersRef={handlersRef} color={colors.subtext} />
+      <View style={[styles.priorityDot, { backgroundColor: colors[`${task.priority}Priority`] }]} />
+      <Text
+        style={[styles.rowText, {
+          color: task.completed ? colors.subtext : colors.text,
+          textDecorationLine: task.completed ? 'line-through' : 'none'
+        }]}
+        numberOfLines={1}
+      >
+        {task.text}
+      </Text>
+      {task.dueDate && !isAllDay(task) && (
+        <Text style={[styles.rowTime, { color: isOverdue(task) ? colors.warning : colors.subtext }]}>
+          {formatTime(task.dueDate)}
+        </Text>
+      )}
+    </Pressable>
+  );
+
+  return (
+    <View ref={rootRef} style={[styles.container, { backgroundColor: colors.background }]}>
+      <ScrollView
+        contentContainerStyle={styles.content}
+        scrollEnabled={!draggedTask}
+      >
+        {/* Range navigation */}
+        <View style={styles.navRow}>
+          <Pressable onPress={() => step(-1)} style={styles.navButton}>
+            <Ionicons name="chevron-back" size={22} color={colors.primary} />
+          </Pressable>
+          <Text style={[styles.navTitle, { color: colors.text }]}>
+            {viewMode === 'month' ? formatMonthTitle(selectedDay) : formatWeekTitle(selectedDay, weekStartsOn, dateFormat)}
+          </Text>
+          <Pressable onPress={() => step(1)} style={styles.navButton}>
+            <Ionicons name="chevron-forward" size={22} color={colors.primary} />
+          </Pressable>
+        </View>
+
+        <View style={styles.modeRow}>
+          {['month', 'week'].map(mode => (
+            <Pressable
+              key={mode}
+              onPress={() => setViewMode(mode)}
+              style={[
+                styles.modeButton,
+                { borderColor: colors.border },
+                viewMode === mode && { backgroundColor: colors.primary, borderColor: colors.primary }
+              ]}
+            >
+              <Text style={[styles.modeText, { color: viewMode === mode ? 'white' : colors.text }]}>
+                {t(mode === 'month' ? 'calendar.month' : 'calendar.week')}
+              </Text>
+            </Pressable>
+          ))}
+          <Pressable onPress={goToToday} style={[styles.modeButton, styles.todayButton, { borderColor: colors.border }]}>
+            <Text style={[styles.modeText, { color: colors.primary }]}>{t('calendar.today')}</Text>
+          </Pressable>
+        </View>
+
+        <View style={[styles.calendarCard, { backgroundColor: colors.card }]}>
+          <CalendarGrid
+            weeks={weeks}
+            month={viewMode === 'month' ? selectedDay.getMonth() : undefined}
+            selectedDay={selectedDay}
+            tasksByDay={tasksByDay}
+            weekStartsOn={weekStartsOn}
+            hoverKey={hoverKey}
+            onSelectDay={selectDay}
+            cellRef={cellRef}
+          />
+        </View>
+
+        {/* Tasks of the selected day */}
+        <View style={styles.sectionHeader}>
+          <Text style={[styles.sectionTitle, { color: colors.text }]}>{formatDayTitle(selectedDay)}</Text>
+          <Text style={[styles.sectionCount, { color: colors.subtext }]}>{dayTasks.length}</Text>
+        </View>
+        {dayTasks.length > 0 ? dayTasks.map(renderTask) : (
+          <Text style={[styles.emptyText, { color: colors.subtext }]}>{t('calendar.nothingDue')}</Text>
+        )}
+
+        {/* Unscheduled tasks, also a drop target to clear a date */}
+        <View
+          ref={trayRef}
+          style={[
+            styles.tray,
+            { borderColor: colors.border },
+            hoverKey === NO_DATE && { borderColor: colors.primary, backgroundColor: `${colors.primary}20` }
+          ]}
+        >
+          <View style={styles.sectionHeader}>
+            <Text style={[styles.sectionTitle, { color: colors.text }]}>{t('calendar.noDate')}</Text>
+            <Text style={[styles.sectionCount, { color: colors.subtext }]}>{unscheduled.length}</Text>
+          </View>
+          {unscheduled.length > 0 ? unscheduled.map(renderTask) : (
+            <Text style={[styles.emptyText, { color: colors.subtext }]}>
+              {t('calendar.dropHint')}
+            </Text>
+          )}
+        </View>
+      </ScrollView>
+
+      {/* Copy of the dragged task that follows the finger */}
+      {draggedTask && (
+        <Animated.View
+          pointerEvents="none"
+          style={[
+            styles.ghost,
+            { backgroundColor: colors.card, borderColor: colors.primary },
+            { transform: ghost.getTranslateTransform() }
+          ]}
+        >
+          <Text style={[styles.ghostText, { color: colors.text }]} numberOfLines={1}>
+            {draggedTask.text}
+          </Text>
+          {draggedTask.dueDate && (
+            <Text style={[styles.ghostDate, { color: colors.subtext }]}>{formatDueDate(draggedTask, dateFormat)}</Text>
+          )}
+        </Animated.View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  navRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  navButton: {
+    padding: 6,
+  },
+  navTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  modeRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  modeButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  todayButton: {
+    marginLeft: 'auto',
+    marginRight: 0,
+  },
+  modeText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  calendarCard: {
+    borderRadius: 12,
+    padding: 8,
+    marginBottom: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  sectionCount: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  emptyText: {
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingRight: 14,
+    marginBottom: 8,
+  },
+  draggedRow: {
+    opacity: 0.4,
+  },
+  dragHandle: {
+    paddingHorizontal: 8,
+  },
+  priorityDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 10,
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 15,
+  },
+  rowTime: {
+    fontSize: 13,
+    marginLeft: 8,
+  },
+  tray: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 8,
+  },
+  ghost: {
+    position: 'absolute',
+    top: -24,
+    left: -40,
+    width: 200,
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 10,
+    elevation: 6,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 6,
+  },
+  ghostText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  ghostDate: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+});
+
+export default CalendarScreen;
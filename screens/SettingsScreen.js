@@ -0,0 +1,280 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  ScrollView,
+  Switch
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  LANGUAGE_OPTIONS,
+  PRIORITY_OPTIONS,
+  WEEK_START_OPTIONS,
+  DATE_FORMAT_OPTIONS,
+  AUTO_CLEAR_OPTIONS
+} from '../utils/preferences';
+import { THEME_MODES, ACCENTS } from '../utils/theme';
+import { useTheme } from '../comp/ThemeContext';
+import { MAX_FONT_SCALE } from '../utils/accessibility';
+import { formatDay, formatTime } from '../utils/dates';
+import { t } from '../utils/i18n';
+
+const DATE_SAMPLE = new Date(2026, 9, 20);
+
+// Option lists carry either a message key or, for language names, fixed text
+const getOptionLabel = (option) =>
+  option.labelKey ? t(option.labelKey, { count: option.count }) : option.label;
+
+const SettingsScreen = ({
+  themeMode,
+  onThemeModeChange,
+  preferences,
+  onPreferenceChange,
+  sortLabel,
+  onOpenSort,
+  categoryCount,
+  trashCount,
+  onOpenCategories,
+  onOpenTrash,
+  onOpenBackup,
+  syncState,
+  syncPending,
+  lastSyncedAt,
+  onEditSyncServer,
+  onSyncNow
+}) => {
+  const { colors, scheme } = useTheme();
+  // Swatches show each accent as it would look with the current base
+  const shade = `${scheme}${preferences.highContrast ? 'Contrast' : ''}`;
+  // Each date format is shown as a sample date in the current language
+  const dateFormatChoices = DATE_FORMAT_OPTIONS.map(option => ({
+    ...option,
+    label: formatDay(DATE_SAMPLE, option.value)
+  }));
+  const syncHost = preferences.syncUrl.replace(/^https?:\/\//, '');
+  // Idle shows when the last sync finished, anything else the status itself
+  const lastSynced = lastSyncedAt && new Date(lastSyncedAt);
+  const syncDetail = syncState === 'idle'
+    ? (lastSynced
+      ? t('settings.lastSynced', { time: `${formatDay(lastSynced, preferences.dateFormat)} ${formatTime(lastSynced)}` })
+      : t('settings.neverSynced'))
+    : t(`sync.status.${syncState}`, { count: syncPending });
+
+  const renderRow = (icon, label, { detail, onPress, right } = {}) => (
+    <Pressable
+      onPress={onPress}
+      disabled={!onPress}
+      accessibilityRole={onPress ? 'button' : undefined}
+      style={({ pressed }) => [
+        styles.row,
+        { borderBottomColor: colors.border },
+        pressed && styles.pressed
+      ]}
+    >
+      <Ionicons name={icon} size={20} color={colors.primary} />
+      <Text style={[styles.rowLabel, { color: colors.text }]}>{label}</Text>
+      {detail !== undefined && (
+        <Text style={[styles.rowDetail, { color: colors.subtext }]}>{detail}</Text>
+      )}
+      {right || (onPress && <Ionicons name="chevron-forward" size={18} color={colors.subtext} />)}
+    </Pressable>
+  );
+
+  const renderSwitch = (icon, label, key) => renderRow(icon, label, {
+    right: (
+      <Switch
+        value={preferences[key]}
+        onValueChange={(value) => onPreferenceChange(key, value)}
+        accessibilityLabel={label}
+        trackColor={{ false: colors.border, true: colors.primary }}
+      />
+    )
+  });
+
+  // A labelled row of chips for settings with a few fixed values
+  const renderChoices = (icon, label, value, options, onChange) => (
+    <View style={[styles.optionBlock, { borderBottomColor: colors.border }]}>
+      <View style={styles.optionHeader}>
+        <Ionicons name={icon} size={20} color={colors.primary} />
+        <Text style={[styles.rowLabel, { color: colors.text }]}>{label}</Text>
+      </View>
+      <View style={styles.options}>
+        {options.map(option => {
+          const isActive = value === option.value;
+          return (
+            <Pressable
+              key={option.value}
+              onPress={() => onChange(option.value)}
+              accessibilityRole="radio"
+              accessibilityLabel={`${label}, ${getOptionLabel(option)}`}
+              accessibilityState={{ checked: isActive }}
+              style={[
+                styles.option,
+                { borderColor: isActive ? colors.primary : colors.border },
+                isActive && { backgroundColor: colors.primary }
+              ]}
+            >
+              <Text maxFontSizeMultiplier={MAX_FONT_SCALE} style={[styles.optionText, { color: isActive ? colors.onPrimary : colors.text }]}>
+                {getOptionLabel(option)}
+              </Text>
+            </Pressable>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderOptions = (icon, label, key, options) => renderChoices(
+    icon, label, preferences[key], options, (value) => onPreferenceChange(key, value)
+  );
+
+  const renderAccents = () => (
+    <View style={[styles.optionBlock, { borderBottomColor: colors.border }]}>
+      <View style={styles.optionHeader}>
+        <Ionicons name="color-palette-outline" size={20} color={colors.primary} />
+        <Text style={[styles.rowLabel, { color: colors.text }]}>{t('settings.accent')}</Text>
+      </View>
+      <View style={styles.options}>
+        {ACCENTS.map(accent => {
+          const isActive = preferences.accent === accent.value;
+          return (
+            <Pressable
+              key={accent.value}
+              onPress={() => onPreferenceChange('accent', accent.value)}
+              accessibilityRole="radio"
+              accessibilityLabel={`${t('settings.accent')}, ${t(accent.labelKey)}`}
+              accessibilityState={{ checked: isActive }}
+              style={[styles.swatchRing, { borderColor: isActive ? colors.text : 'transparent' }]}
+            >
+              <View style={[styles.swatch, { backgroundColor: accent[shade] }]} />
+            </Pressable>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  return (
+    <ScrollView
+      style={{ backgroundColor: colors.background }}
+      contentContainerStyle={styles.content}
+    >
+      <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('settings.appearance')}</Text>
+      <View style={[styles.section, { backgroundColor: colors.card }]}>
+        {renderChoices('contrast', t('settings.theme'), themeMode, THEME_MODES, onThemeModeChange)}
+        {renderAccents()}
+        {renderSwitch('eye-outline', t('settings.highContrast'), 'highContrast')}
+      </View>
+
+      <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('settings.languageAndRegion')}</Text>
+      <View style={[styles.section, { backgroundColor: colors.card }]}>
+        {renderOptions('language-outline', t('settings.language'), 'language', LANGUAGE_OPTIONS)}
+        {renderOptions('calendar-outline', t('settings.weekStartsOn'), 'weekStartsOn', WEEK_START_OPTIONS)}
+        {renderOptions('time-outline', t('settings.dateFormat'), 'dateFormat', dateFormatChoices)}
+      </View>
+
+      <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('settings.tasks')}</Text>
+      <View style={[styles.section, { backgroundColor: colors.card }]}>
+        {renderOptions('flag-outline', t('settings.defaultPriority'), 'defaultPriority', PRIORITY_OPTIONS)}
+        {renderRow('swap-vertical', t('settings.defaultSort'), { detail: sortLabel, onPress: onOpenSort })}
+        {renderSwitch('alert-circle-outline', t('settings.confirmDelete'), 'confirmDelete')}
+        {renderOptions('checkmark-done-outline', t('settings.autoClear'), 'autoClearCompletedDays', AUTO_CLEAR_OPTIONS)}
+      </View>
+
+      <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('settings.feedback')}</Text>
+      <View style={[styles.section, { backgroundColor: colors.card }]}>
+        {renderSwitch('phone-portrait-outline', t('settings.haptics'), 'haptics')}
+        {renderSwitch('sparkles-outline', t('settings.confetti'), 'confetti')}
+      </View>
+
+      <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('settings.sync')}</Text>
+      <View style={[styles.section, { backgroundColor: colors.card }]}>
+        {renderRow('cloud-outline', t('settings.syncServer'), { detail: syncHost || t('common.off'), onPress: onEditSyncServer })}
+        {!!syncHost && renderRow('sync-outline', t('settings.syncNow'), { detail: syncDetail, onPress: onSyncNow })}
+      </View>
+
+      <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('settings.data')}</Text>
+      <View style={[styles.section, { backgroundColor: colors.card }]}>
+        {renderRow('pricetags-outline', t('categories.title'), { detail: categoryCount, onPress: onOpenCategories })}
+        {renderRow('trash-bin-outline', t('trash.title'), { detail: trashCount, onPress: onOpenTrash })}
+        {renderRow('archive-outline', t('settings.backup'), { onPress: onOpenBackup })}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    padding: 20,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 8,
+    marginTop: 8,
+  },
+  section: {
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    marginBottom: 16,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  rowLabel: {
+    flex: 1,
+    fontSize: 16,
+    marginLeft: 12,
+  },
+  rowDetail: {
+    fontSize: 15,
+    marginRight: 6,
+  },
+  optionBlock: {
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  optionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  options: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+    marginLeft: 32,
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 6,
+  },
+  optionText: {
+    fontSize: 14,
+  },
+  swatchRing: {
+    padding: 3,
+    borderRadius: 20,
+    borderWidth: 2,
+    marginRight: 8,
+    marginBottom: 6,
+  },
+  swatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+  },
+  pressed: {
+    opacity: 0.7,
+  },
+});
+
+export default SettingsScreen;
@@ -0,0 +1,318 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  ScrollView
+} from 'react-native';
+import * as Haptics from '../utils/haptics';
+import BarChart from '../comp/BarChart';
+import DonutChart from '../comp/DonutChart';
+import { getSubtaskProgress } from '../utils/subtasks';
+import { isOverdue } from '../utils/dates';
+import { useTheme } from '../comp/ThemeContext';
+import { t, getLocale } from '../utils/i18n';
+import { findCategory } from '../utils/categories';
+import {
+  ANALYTICS_RANGES,
+  DEFAULT_RANGE,
+  getAnalytics,
+  formatDuration
+} from '../utils/analytics';
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+const StatsScreen = ({
+  tasks,
+  completions = [],
+  categories = [],
+  weekStartsOn = 0
+}) => {
+  const { colors } = useTheme();
+  const [rangeKey, setRangeKey] = useState(DEFAULT_RANGE);
+
+  const activeCount = tasks.filter(task => !task.completed).length;
+  const completedCount = tasks.filter(task => task.completed).length;
+  const highPriorityCount = tasks.filter(task => task.priority === 'high' && !task.completed).length;
+  const overdueCount = tasks.filter(task => isOverdue(task)).length;
+  const subtaskStats = getSubtaskProgress(tasks.flatMap(task => task.subtasks || []));
+
+  // History comes from the completion log, which outlives deleted tasks
+  const analytics = getAnalytics(completions, rangeKey, weekStartsOn);
+  const { onTime, streaks } = analytics;
+  const dueCompleted = onTime.onTime + onTime.late;
+
+  const cards = [
+    { label: t('stats.total'), value: tasks.length },
+    { label: t('stats.active'), value: activeCount },
+    { label: t('stats.completed'), value: completedCount },
+    { label: t('stats.highPriority'), value: highPriorityCount, color: colors.highPriority },
+    { label: t('stats.overdue'), value: overdueCount, color: colors.warning },
+    {
+      label: t('stats.completion'),
+      value: `${tasks.length > 0 ? Math.round((completedCount / tasks.length) * 100) : 0}%`
+    }
+  ];
+
+  if (subtaskStats.total > 0) {
+    cards.push(
+      { label: t('stats.subtasksDone'), value: `${subtaskStats.done}/${subtaskStats.total}` },
+      { label: t('stats.subtaskCompletion'), value: `${Math.round(subtaskStats.ratio * 100)}%` }
+    );
+  }
+
+  const historyCards = [
+    { label: t(`stats.doneIn.${analytics.range.key}`), value: analytics.completedCount },
+    { label: t('stats.currentStreak'), value: t('stats.streakDays', { count: streaks.current }) },
+    { label: t('stats.longestStreak'), value: t('stats.streakDays', { count: streaks.longest }) },
+    { label: t('stats.averageTime'), value: formatDuration(analytics.averageCompletionTime) }
+  ];
+
+  const chartData = analytics.buckets.map(bucket => ({
+    label: bucket.start.toLocaleDateString(getLocale(), { month: 'numeric', day: 'numeric' }),
+    value: bucket.count
+  }));
+
+  const prioritySegments = PRIORITIES.map(priority => ({
+    key: priority,
+    label: t(`priority.${priority}`),
+    color: colors[`${priority}Priority`],
+    value: (analytics.byPriority.find(item => item.key === priority) || { count: 0 }).count
+  }));
+
+  const categoryRows = analytics.byCategory.map(item => {
+    const category = findCategory(categories, item.key);
+    return {
+      key: String(item.key),
+      label: category ? category.name : t('stats.noCategory'),
+      color: category ? category.color : colors.subtext,
+      value: item.count
+    };
+  });
+  const maxCategory = Math.max(1, ...categoryRows.map(row => row.value));
+
+  const selectRange = (key) => {
+    setRangeKey(key);
+    Haptics.selectionAsync();
+  };
+
+  const renderCards = (items) => (
+    <View style={styles.statsGrid}>
+      {items.map(card => (
+        <View key={card.label} style={[styles.statCard, { backgroundColor: colors.card }]}>
+          <Text style={[styles.statValue, { color: card.color || colors.text }]}>{card.value}</Text>
+          <Text style={[styles.statLabel, { color: colors.subtext }]}>{card.label}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderLegend = (items) => (
+    <View style={styles.legend}>
+      {items.map(item => (
+        <View key={item.key} style={styles.legendItem}>
+          <View style={[styles.legendDot, { backgroundColor: item.color }]} />
+          <Text style={[styles.legendText, { color: colors.text }]}>{item.label}</Text>
+          <Text style={[styles.legendValue, { color: colors.subtext }]}>{item.value}</Text>
+        </View>
+      ))}
+    </View>
+  );
+
+  return (
+    <ScrollView
+      style={{ backgroundColor: colors.background }}
+      contentContainerStyle={styles.content}
+    >
+      {renderCards(cards)}
+
+      {/* History over the selected range */}
+      <Text style={[styles.sectionTitle, { color: colors.text }]}>{t('stats.history')}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.rangeRow}>
+        {ANALYTICS_RANGES.map(range => (
+          <Pressable
+            key={range.key}
+            onPress={() => selectRange(range.key)}
+            style={[
+              styles.rangeChip,
+              { borderColor: colors.border },
+              rangeKey === range.key && { backgroundColor: colors.primary, borderColor: colors.primary }
+            ]}
+          >
+            <Text style={[styles.rangeText, { color: rangeKey === range.key ? 'white' : colors.text }]}>
+              {t(range.labelKey)}
+            </Text>
+          </Pressable>
+        ))}
+      </ScrollView>
+
+      {renderCards(historyCards)}
+
+      <View style={[styles.chartCard, { backgroundColor: colors.card }]}>
+        <Text style={[styles.chartTitle, { color: colors.text }]}>
+          {t(`stats.completedPer.${analytics.range.bucket}`)}
+        </Text>
+        <BarChart data={chartData} />
+      </View>
+
+      <View style={[styles.chartCard, { backgroundColor: colors.card }]}>
+        <Text style={[styles.chartTitle, { color: colors.text }]}>{t('stats.onTimeVsLate')}</Text>
+        <View style={styles.donutRow}>
+          <DonutChart
+            segments={[
+              { value: onTime.onTime, color: colors.primary },
+              { value: onTime.late, color: colors.warning }
+            ]}
+            centerText={dueCompleted > 0 ? `${Math.round((onTime.onTime / dueCompleted) * 100)}%` : '–'}
+            centerLabel={t('stats.onTimeLabel')}
+          />
+          {renderLegend([
+            { key: 'onTime', label: t('stats.onTime'), color: colors.primary, value: onTime.onTime },
+            { key: 'late', label: t('stats.late'), color: colors.warning, value: onTime.late }
+          ])}
+        </View>
+      </View>
+
+      <View style={[styles.chartCard, { backgroundColor: colors.card }]}>
+        <Text style={[styles.chartTitle, { color: colors.text }]}>{t('stats.byPriority')}</Text>
+        <View style={styles.donutRow}>
+          <DonutChart
+            segments={prioritySegments}
+            centerText={analytics.completedCount}
+            centerLabel={t('stats.doneLabel')}
+          />
+          {renderLegend(prioritySegments)}
+        </View>
+      </View>
+
+      <View style={[styles.chartCard, { backgroundColor: colors.card }]}>
+        <Text style={[styles.chartTitle, { color: colors.text }]}>{t('stats.byCategory')}</Text>
+        {categoryRows.length > 0 ? categoryRows.map(row => (
+          <View key={row.key} style={styles.barRow}>
+            <Text style={[styles.barLabel, { color: colors.text }]} numberOfLines={1}>{row.label}</Text>
+            <View style={styles.barTrack}>
+              <View style={[styles.bar, { width: `${(row.value / maxCategory) * 100}%`, backgroundColor: row.color }]} />
+            </View>
+            <Text style={[styles.barValue, { color: colors.subtext }]}>{row.value}</Text>
+          </View>
+        )) : (
+          <Text style={[styles.emptyText, { color: colors.subtext }]}>{t('stats.nothingCompleted')}</Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    padding: 20,
+  },
+  statsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  statCard: {
+    width: '48%',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    alignItems: 'center',
+    elevation: 1,
+  },
+  statValue: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  statLabel: {
+    fontSize: 14,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  rangeRow: {
+    marginBottom: 16,
+  },
+  rangeChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  rangeText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  chartCard: {
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 1,
+  },
+  chartTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 12,
+  },
+  donutRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  legend: {
+    flex: 1,
+    marginLeft: 20,
+  },
+  legendItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 4,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 8,
+  },
+  legendText: {
+    flex: 1,
+    fontSize: 14,
+  },
+  legendValue: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  barRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginVertical: 5,
+  },
+  barLabel: {
+    width: 100,
+    fontSize: 14,
+  },
+  barTrack: {
+    flex: 1,
+    height: 10,
+    marginHorizontal: 8,
+  },
+  bar: {
+    height: 10,
+    borderRadius: 5,
+  },
+  barValue: {
+    width: 28,
+    textAlign: 'right',
+    fontSize: 14,
+  },
+  emptyText: {
+    fontSize: 14,
+  },
+});
+
+export default StatsScreen;
@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  Pressable,
+  StyleSheet,
+  TextInput,
+  ScrollView
+} from 'react-native';
+import { Ionicons, Feather } from '@expo/vector-icons';
+import * as Haptics from '../utils/haptics';
+import MarkdownView from '../comp/MarkdownView';
+import { describeRule } from '../utils/recurrence';
+import { getSubtaskProgress } from '../utils/subtasks';
+import { formatDueDate, isOverdue } from '../utils/dates';
+import { useTheme } from '../comp/ThemeContext';
+import { t } from '../utils/i18n';
+import { toggleChecklistItem } from '../utils/markdown';
+
+const TaskDetailScreen = ({
+  task,
+  category,
+  dateFormat,
+  onToggle,
+  onEditTitle,
+  onNotesChange
+}) => {
+  const { colors } = useTheme();
+  const [title, setTitle] = useState(task ? task.text : '');
+  const [notes, setNotes] = useState(task ? task.notes || '' : '');
+  const [isEditingNotes, setIsEditingNotes] = useState(false);
+  const savedNotesRef = useRef(notes);
+  const saveNotesRef = useRef();
+
+  // Follow changes made elsewhere, such as undo, while not typing
+  useEffect(() => {
+    if (!task) return;
+    savedNotesRef.current = task.notes || '';
+    if (!isEditingNotes) setNotes(savedNotesRef.current);
+  }, [task && task.notes]);
+
+  // Keep unsaved notes when leaving the screen mid-edit
+  useEffect(() => () => saveNotesRef.current(), []);
+
+  useEffect(() => {
+    if (task) setTitle(task.text);
+  }, [task && task.text]);
+
+  // Save once, whether editing ends by Done, blur or leaving the screen
+  const saveNotes = () => {
+    setIsEditingNotes(false);
+    if (!task || notes === savedNotesRef.current) return;
+    savedNotesRef.current = notes;
+    onNotesChange(notes);
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success);
+  };
+  saveNotesRef.current = saveNotes;
+
+  if (!task) {
+    return (
+      <View style={[styles.missing, { backgroundColor: colors.background }]}>
+        <Ionicons name="document-outline" size={48} color={colors.subtext} />
+        <Text style={[styles.missingText, { color: colors.subtext }]}>{t('detail.missing')}</Text>
+      </View>
+    );
+  }
+
+  const saveTitle = () => {
+    if (title.trim() && title !== task.text) {
+      onEditTitle(title.trim());
+    } else {
+      setTitle(task.text);
+    }
+  };
+
+  const priorityColor = task.priority === 'high' ? colors.highPriority :
+    task.priority === 'medium' ? colors.mediumPriority :
+    colors.lowPriority;
+  const subtaskProgress = getSubtaskProgress(task.subtasks);
+  const overdue = isOverdue(task);
+
+  const renderMeta = (icon, text, color = colors.subtext, IconSet = Feather) => (
+    <View style={[styles.meta, { borderColor: colors.border }]}>
+      <IconSet name={icon} size={13} color={color} />
+      <Text style={[styles.metaText, { color }]}>{text}</Text>
+    </View>
+  );
+
+  return (
+    <ScrollView
+      style={{ backgroundColor: colors.background }}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      {/* Title and completion */}
+      <View style={styles.titleRow}>
+        <Pressable onPress={onToggle} style={styles.checkboxContainer}>
+          <View style={[
+            styles.checkbox,
+            {
+              borderColor: task.completed ? colors.primary : colors.subtext,
+              backgroundColor: task.completed ? colors.primary : 'transparent'
+            }
+          ]}>
+            {task.completed && <Ionicons name="checkmark" size={16} color="white" />}
+          </View>
+        </Pressable>
+        <TextInput
+          style={[styles.title, {
+            color: task.completed ? colors.subtext : colors.text,
+            textDecorationLine: task.completed ? 'line-through' : 'none'
+          }]}
+          value={title}
+          onChangeText={setTitle}
+          onBlur={saveTitle}
+          onSubmitEditing={saveTitle}
+          multiline
+          blurOnSubmit
+          cursorColor={colors.primary}
+        />
+      </View>
+
+      {/* Summary of the task fields */}
+      <View style={styles.metaRow}>
+        {renderMeta('flag', t(`priority.${task.priority}`), priorityColor)}
+        {task.dueDate && renderMeta('calendar', formatDueDate(task, dateFormat), overdue ? colors.warning : colors.primary)}
+        {category && renderMeta('tag', category.name, category.color)}
+        {task.recurrence && renderMeta('repeat', describeRule(task.recurrence.rule))}
+        {subtaskProgress.total > 0 && renderMeta('check-square', `${subtaskProgress.done}/${subtaskProgress.total}`)}
+      </View>
+
+      {/* Notes */}
+      <View style={styles.notesHeader}>
+        <Text style={[styles.sectionTitle, { color: colors.subtext }]}>{t('detail.notes')}</Text>
+        <Pressable
+          onPress={isEditingNotes ? saveNotes : () => setIsEditingNotes(true)}
+          style={styles.editButton}
+        >
+          <Text style={[styles.editButtonText, { color: colors.primary }]}>
+            {t(isEditingNotes ? 'common.done' : 'common.edit')}
+          </Text>
+        </Pressable>
+      </View>
+
+      {isEditingNotes ? (
+        <>
+          <TextInput
+            style={[styles.notesInput, {
+              color: colors.text,
+              borderColor: colors.border,
+              backgroundColor: colors.card
+            }]}
+            value={notes}
+            onChangeText={setNotes}
+            onBlur={saveNotes}
+            placeholder={t('detail.notesPlaceholder')}
+            placeholderTextColor={colors.subtext}
+            multiline
+            autoFocus
+            cursorColor={colors.primary}
+          />
+          <Text style={[styles.hint, { color: colors.subtext }]}>
+            **bold**, *italic*, - list, - [ ] checklist, [link](https://…)
+          </Text>
+        </>
+      ) : notes.trim() ? (
+        <Pressable
+          onLongPress={() => setIsEditingNotes(true)}
+          style={[styles.notesCard, { backgroundColor: colors.card, borderColor: colors.border }]}
+        >
+          <MarkdownView
+            source={notes}
+            onToggleItem={(line) => onNotesChange(toggleChecklistItem(notes, line))}
+          />
+        </Pressable>
+      ) : (
+        <Pressable
+          onPress={() => setIsEditingNotes(true)}
+          style={[styles.notesCard, styles.emptyNotes, { borderColor: colors.border }]}
+        >
+          <Feather name="edit-3" size={16} color={colors.subtext} />
+          <Text style={[styles.emptyNotesText, { color: colors.subtext }]}>{t('detail.addNotes')}</Text>
+        </Pressable>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  missing: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  missingText: {
+    marginTop: 12,
+    fontSize: 16,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  checkboxContainer: {
+    padding: 6,
+    marginRight: 8,
+    marginTop: 2,
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    borderWidth: 2,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  title: {
+    flex: 1,
+    fontSize: 22,
+    fontWeight: 'bold',
+    paddingVertical: 4,
+  },
+  metaRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 16,
+  },
+  meta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderRadius: 12,
+    borderWidth: 1,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  metaText: {
+    fontSize: 13,
+    fontWeight: '500',
+    marginLeft: 4,
+  },
+  notesHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  editButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+  },
+  editButtonText: {
+    fontWeight: '600',
+  },
+  notesInput: {
+    minHeight: 200,
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    textAlignVertical: 'top',
+  },
+  hint: {
+    fontSize: 12,
+    marginTop: 8,
+  },
+  notesCard: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 14,
+  },
+  emptyNotes: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderStyle: 'dashed',
+  },
+  emptyNotesText: {
+    marginLeft: 8,
+    fontSize: 15,
+  },
+});
+
+export default TaskDetailScreen;
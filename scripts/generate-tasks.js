@@ -0,0 +1,82 @@
+// Generates a large task list for checking the task list under load. The
+// output is a backup file, so it can be imported from Settings > Backup and
+// restore (see utils/backup.js for the format).
+//
+//   npm run generate-tasks                  5,000 tasks
+//   npm run generate-tasks -- 20000 > tasks-backup.json
+//
+// The same count and seed always give the same tasks.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const BASE_ID = 1700000000000;
+
+const VERBS = ['Call', 'Email', 'Buy', 'Fix', 'Review', 'Plan', 'Book', 'Clean', 'Write', 'Pay'];
+const OBJECTS = ['the dentist', 'groceries', 'the report', 'flights', 'the garage', 'rent', 'slides', 'the bike', 'invoices', 'mom'];
+const PRIORITIES = ['low', 'medium', 'medium', 'high'];
+
+// Small seeded PRNG (mulberry32), so runs are repeatable
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+// `count` tasks with due dates from ten days ago to a month ahead, about a
+// fifth without one and a quarter completed
+const generateTasks = (count, { now = new Date(), seed = 1 } = {}) => {
+  const random = createRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const today = startOfDay(now);
+
+  return Array.from({ length: count }, (_, index) => {
+    const createdAt = new Date(now.getTime() - Math.floor(random() * 60) * DAY_MS);
+    const allDay = random() < 0.6;
+    let dueDate = null;
+    if (random() >= 0.2) {
+      dueDate = new Date(today.getTime() + (Math.floor(random() * 41) - 10) * DAY_MS);
+      if (!allDay) dueDate.setHours(8 + Math.floor(random() * 12), random() < 0.5 ? 0 : 30);
+    }
+    const completed = random() < 0.25;
+    const subtaskCount = random() < 0.3 ? 1 + Math.floor(random() * 4) : 0;
+
+    return {
+      id: BASE_ID + index,
+      text: `${pick(VERBS)} ${pick(OBJECTS)} ${index + 1}`,
+      completed,
+      completedAt: completed ? new Date(createdAt.getTime() + DAY_MS).toISOString() : null,
+      createdAt: createdAt.toISOString(),
+      priority: pick(PRIORITIES),
+      dueDate: dueDate && dueDate.toISOString(),
+      allDay: dueDate ? allDay : true,
+      category: null,
+      subtasks: Array.from({ length: subtaskCount }, (__, n) => ({
+        id: BASE_ID + count + index * 4 + n,
+        text: `Step ${n + 1}`,
+        completed: random() < 0.5
+      }))
+    };
+  });
+};
+
+if (require.main === module) {
+  // The app's modules are ES modules for the bundler, so Node loads them
+  // through the same Babel config
+  require('@babel/register');
+  const { serializeBackup } = require('../utils/backup');
+
+  const count = Number(process.argv[2]) || 5000;
+  process.stdout.write(`${serializeBackup({ tasks: generateTasks(count), categories: [], settings: {} })}\n`);
+}
+
+module.exports = { generateTasks };
@@ -0,0 +1,119 @@
+// Mock sync server for trying out and testing sync locally. It speaks the
+// protocol described in utils/sync.js and keeps everything in memory.
+//
+//   npm run sync-server            listens on port 4000
+//   PORT=5000 npm run sync-server
+//
+// Then set the sync server in the app's settings to
+// http://<this computer's address>:4000. Requests are logged, and
+// GET /records dumps the current state. Tests start their own instance
+// through createSyncServer.
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 4000;
+
+const timeOf = (iso) => (iso ? new Date(iso).getTime() : 0);
+
+const isAfter = (a, b) => timeOf(a) > timeOf(b);
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(data));
+  req.on('error', reject);
+});
+
+// A server with its own empty store, not yet listening
+const createSyncServer = ({ log = console.log } = {}) => {
+  // id -> { id, updatedAt, deleted, task, fieldTimes, seq }
+  const records = new Map();
+  let seq = 0;
+
+  // Merge one pushed change, field by field. The later write wins.
+  const applyChange = (change) => {
+    const key = String(change.id);
+    const record = records.get(key);
+
+    if (change.deleted) {
+      if (record && isAfter(record.updatedAt, change.updatedAt)) return;
+      records.set(key, { id: change.id, updatedAt: change.updatedAt, deleted: true, task: null, fieldTimes: {}, seq: ++seq });
+      return;
+    }
+
+    if (!record || record.deleted) {
+      // A deletion newer than this edit stands
+      if (record && !isAfter(change.updatedAt, record.updatedAt)) return;
+      records.set(key, {
+        id: change.id,
+        updatedAt: change.updatedAt,
+        deleted: false,
+        task: { ...change.fields, id: change.id },
+        fieldTimes: { ...change.fieldTimes },
+        seq: ++seq
+      });
+      return;
+    }
+
+    let changed = false;
+    Object.keys(change.fields).forEach(field => {
+      const time = change.fieldTimes[field];
+      if (!isAfter(record.fieldTimes[field], time)) {
+        record.task[field] = change.fields[field];
+        record.fieldTimes[field] = time;
+        changed = true;
+      }
+    });
+    if (changed) {
+      if (isAfter(change.updatedAt, record.updatedAt)) record.updatedAt = change.updatedAt;
+      record.seq = ++seq;
+    }
+  };
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    log(req.method, url.pathname + url.search);
+
+    if (url.pathname === '/changes' && req.method === 'GET') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      const changes = [...records.values()]
+        .filter(record => record.seq > since)
+        .sort((a, b) => a.seq - b.seq)
+        .map(({ seq: _seq, ...record }) => record);
+      send(res, 200, { cursor: String(seq), changes });
+      return;
+    }
+
+    if (url.pathname === '/changes' && req.method === 'POST') {
+      try {
+        const body = JSON.parse(await readBody(req));
+        if (!Array.isArray(body.changes)) throw new Error('changes must be a list');
+        body.changes.forEach(applyChange);
+        send(res, 200, { ok: true });
+      } catch (error) {
+        send(res, 400, { error: error.message });
+      }
+      return;
+    }
+
+    if (url.pathname === '/records' && req.method === 'GET') {
+      send(res, 200, [...records.values()]);
+      return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+  });
+};
+
+if (require.main === module) {
+  createSyncServer().listen(PORT, () => {
+    console.log(`Mock sync server listening on port ${PORT}`);
+  });
+}
+
+module.exports = { createSyncServer };
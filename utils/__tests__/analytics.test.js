@@ -0,0 +1,76 @@
+import { recordCompletions, reviveCompletions, getAnalytics } from '../analytics';
+
+const NOW = new Date(2026, 9, 14, 10, 0);
+const at = (date, hours = 9) => new Date(2026, 9, date, hours, 0);
+
+const task = (id, fields = {}) => ({
+  id,
+  text: `Task ${id}`,
+  completed: false,
+  completedAt: null,
+  createdAt: at(1),
+  priority: 'medium',
+  dueDate: null,
+  allDay: true,
+  category: null,
+  ...fields
+});
+
+const done = (id, date, fields = {}) => task(id, { completed: true, completedAt: at(date), ...fields });
+
+describe('recordCompletions', () => {
+  it('logs what the statistics need of each completed task', () => {
+    const log = recordCompletions([], [task(1), done(2, 13, { priority: 'high', category: 7, dueDate: at(12) })], NOW);
+    expect(log).toEqual([{
+      id: 2,
+      completedAt: at(13),
+      createdAt: at(1),
+      dueDate: at(12),
+      allDay: true,
+      priority: 'high',
+      category: 7
+    }]);
+  });
+
+  it('keeps completions of tasks that were deleted', () => {
+    const log = recordCompletions([], [done(1, 12), done(2, 13)], NOW);
+    expect(recordCompletions(log, [done(2, 13)], NOW).map(entry => entry.id)).toEqual([1, 2]);
+  });
+
+  it('drops the completion of a reopened task and logs it again when completed anew', () => {
+    const log = recordCompletions([], [done(1, 12)], NOW);
+    const reopened = recordCompletions(log, [task(1)], NOW);
+    expect(reopened).toEqual([]);
+    expect(recordCompletions(reopened, [done(1, 14)], NOW)).toEqual([expect.objectContaining({ id: 1, completedAt: at(14) })]);
+  });
+
+  it('returns the same log when nothing changed', () => {
+    const log = recordCompletions([], [done(1, 12)], NOW);
+    expect(recordCompletions(log, [done(1, 12), task(2)], NOW)).toBe(log);
+  });
+
+  it('forgets completions older than a year', () => {
+    const old = done(1, 12, { completedAt: new Date(2025, 8, 1) });
+    expect(recordCompletions([], [old], NOW)).toEqual([]);
+  });
+});
+
+describe('reviveCompletions', () => {
+  it('turns stored strings back into dates', () => {
+    const stored = JSON.parse(JSON.stringify(recordCompletions([], [done(1, 12, { dueDate: at(12) })], NOW)));
+    expect(reviveCompletions(stored)[0]).toMatchObject({ completedAt: at(12), createdAt: at(1), dueDate: at(12) });
+    expect(reviveCompletions(null)).toEqual([]);
+  });
+});
+
+describe('getAnalytics', () => {
+  it('counts logged completions whose tasks are gone', () => {
+    const log = recordCompletions([], [done(1, 13), done(2, 14, { dueDate: at(13) })], NOW);
+    const analytics = getAnalytics(recordCompletions(log, [], NOW), 'week', 0, NOW);
+
+    expect(analytics.completedCount).toBe(2);
+    expect(analytics.streaks).toEqual({ current: 2, longest: 2 });
+    expect(analytics.onTime).toEqual({ onTime: 0, late: 1 });
+    expect(analytics.byPriority).toEqual([{ key: 'medium', count: 2 }]);
+  });
+});
@@ -0,0 +1,77 @@
+import { BACKUP_FORMAT, BACKUP_VERSION, validateTask, parseBackup } from '../backup';
+import { createRule } from '../recurrence';
+import { reviveTask } from '../storage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const validTask = {
+  id: 1,
+  text: 'Pay rent',
+  completed: false,
+  priority: 'high',
+  createdAt: '2026-01-01T10:00:00.000Z',
+  dueDate: '2026-01-31T00:00:00.000Z'
+};
+
+const recurrence = {
+  rule: createRule('monthly', { endDate: '2026-12-31' }),
+  seriesId: 1,
+  occurrence: 1,
+  anchorDay: 31,
+  history: [{ dueDate: '2025-12-31T00:00:00.000Z', completedAt: null, skipped: true }]
+};
+
+const backupOf = (tasks) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  data: { tasks, categories: [] }
+});
+
+describe('validateTask', () => {
+  it('accepts a complete task', () => {
+    expect(validateTask({
+      ...validTask,
+      category: 2,
+      deletedAt: '2026-02-01T00:00:00.000Z',
+      subtasks: [{ id: 3, text: 'Transfer', completed: true }],
+      recurrence,
+      reminder: { type: 'before', offset: 30 }
+    })).toEqual([]);
+  });
+
+  it.each([
+    ['an empty recurrence', { recurrence: {} }, 'recurrence has no rule'],
+    ['an unknown frequency', { recurrence: { ...recurrence, rule: { ...recurrence.rule, frequency: 'hourly' } } }, 'unknown repeat frequency "hourly"'],
+    ['a zero interval', { recurrence: { ...recurrence, rule: { ...recurrence.rule, interval: 0 } } }, 'repeat interval must be a whole number from 1'],
+    ['a broken history', { recurrence: { ...recurrence, history: [null] } }, 'invalid recurrence history'],
+    ['a null subtask', { subtasks: [null] }, 'subtask 1 is not an object'],
+    ['a subtask without text', { subtasks: [{ id: 1, completed: false }] }, 'subtask 1 has no text'],
+    ['an object as category', { category: {} }, 'invalid category'],
+    ['an unreadable deletedAt', { deletedAt: 'yesterday' }, 'invalid deletedAt'],
+    ['an unknown reminder', { reminder: { type: 'soon' } }, 'invalid reminder']
+  ])('reports %s', (_, fields, problem) => {
+    expect(validateTask({ ...validTask, ...fields })).toContain(problem);
+  });
+});
+
+describe('parseBackup', () => {
+  it('skips bad records and reports them instead of failing later', () => {
+    const parsed = parseBackup(backupOf([
+      validTask,
+      { ...validTask, id: 2, recurrence: {} },
+      { ...validTask, id: 3, subtasks: [null] }
+    ]));
+
+    expect(parsed.ok).toBe(true);
+    expect(parsed.tasks.map(task => task.id)).toEqual([1]);
+    expect(parsed.errors.map(error => error.index)).toEqual([1, 2]);
+  });
+
+  it('only lets through tasks that revive', () => {
+    const parsed = parseBackup(backupOf([{ ...validTask, recurrence }]));
+    const [task] = parsed.tasks.map(reviveTask);
+    expect(task.recurrence.rule.endDate).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,138 @@
+import { parseQuickAdd } from '../quickAdd';
+
+// Wednesday, October 14 2026, 10:00 local time
+const NOW = new Date(2026, 9, 14, 10, 0);
+
+const CATEGORIES = [
+  { id: 7, name: 'Work' },
+  { id: 8, name: 'Client A' }
+];
+
+const day = (month, date, year = 2026) => new Date(year, month - 1, date);
+const at = (month, date, hours, minutes = 0) => new Date(2026, month - 1, date, hours, minutes);
+
+const parse = (input, options = {}) =>
+  parseQuickAdd(input, { categories: CATEGORIES, now: NOW, ...options });
+
+describe('parseQuickAdd', () => {
+  describe('dates and times', () => {
+    it.each([
+      ['Call mom tomorrow 3pm', 'Call mom', at(10, 15, 15), false],
+      ['Call mom tomorrow at 3:30 pm', 'Call mom', at(10, 15, 15, 30), false],
+      ['Pay rent next fri', 'Pay rent', day(10, 16), true],
+      ['Pay rent on fri', 'Pay rent', day(10, 16), true],
+      ['Gym wednesday', 'Gym', day(10, 21), true],
+      ['Gym friday 6pm !high', 'Gym', at(10, 16, 18), false],
+      ['Watch Friday Night Lights on saturday', 'Watch Friday Night Lights', day(10, 17), true],
+      ['Send report in 2 days', 'Send report', day(10, 16), true],
+      ['Send report in a week', 'Send report', day(10, 21), true],
+      ['Review in 1 month', 'Review', day(11, 14), true],
+      ['Plan next week', 'Plan', day(10, 21), true],
+      ['Clean up today', 'Clean up', day(10, 14), true],
+      ['Movie tonight', 'Movie', at(10, 14, 20), false],
+      ['Book flights due dec 5', 'Book flights', day(12, 5), true],
+      ['Book flights 5th dec', 'Book flights', day(12, 5), true],
+      ['Renew passport jan 5', 'Renew passport', day(1, 5, 2027), true],
+      ['Taxes 2027-04-15', 'Taxes', day(4, 15, 2027), true],
+      ['Lunch at noon', 'Lunch', at(10, 14, 12), false],
+      ['Deploy 15:00', 'Deploy', at(10, 14, 15), false]
+    ])('%s', (input, title, dueDate, allDay) => {
+      expect(parse(input)).toMatchObject({ title, dueDate, allDay });
+    });
+
+    it.each([
+      ['a time already passed today means tomorrow', 'Standup 9am', at(10, 15, 9)],
+      ['a time still ahead means today', 'Standup 11am', at(10, 14, 11)],
+      ['an explicit day keeps a passed time', 'Standup today 9am', at(10, 14, 9)],
+      ['midnight rolls over to tomorrow', 'Backup at midnight', at(10, 15, 0)]
+    ])('%s', (_, input, dueDate) => {
+      expect(parse(input).dueDate).toEqual(dueDate);
+    });
+
+    it.each([
+      ['Renew 2026-02-30'],
+      ['Party feb 30'],
+      ['Party 31 april'],
+      ['Call at 25:00'],
+      ['Call 13pm'],
+      ['Email mon'],
+      ['Watch Friday Night Lights'],
+      ['Wrap up todays notes']
+    ])('leaves "%s" alone', (input) => {
+      expect(parse(input)).toMatchObject({ title: input, dueDate: null, allDay: true, fragments: [] });
+    });
+  });
+
+  describe('priority and category', () => {
+    it.each([
+      ['Fix bug !high', 'high'],
+      ['Fix bug !h', 'high'],
+      ['!med Fix bug', 'medium'],
+      ['Fix bug !low', 'low'],
+      ['Fix bug !urgent', null]
+    ])('%s', (input, priority) => {
+      expect(parse(input).priority).toBe(priority);
+    });
+
+    it.each([
+      ['Prepare slides #work', 'Prepare slides', 7],
+      ['Send invoice #"client a"', 'Send invoice', 8],
+      ['Post #unknown tag', 'Post #unknown tag', null]
+    ])('%s', (input, title, category) => {
+      expect(parse(input)).toMatchObject({ title, category });
+    });
+  });
+
+  describe('recurrence', () => {
+    it.each([
+      ['Water plants every week', { frequency: 'weekly', interval: 1, weekdays: [] }, null],
+      ['Water plants every 2 weeks', { frequency: 'weekly', interval: 2 }, null],
+      ['Pay rent every other month', { frequency: 'monthly', interval: 2 }, null],
+      ['Standup every day 9am', { frequency: 'daily', interval: 1 }, at(10, 15, 9)],
+      ['Gym every monday and thursday', { frequency: 'weekly', weekdays: [1, 4] }, day(10, 15)],
+      ['Standup every weekday', { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }, day(10, 14)],
+      ['Standup every weekday 9am', { frequency: 'weekly', weekdays: [1, 2, 3, 4, 5] }, at(10, 15, 9)]
+    ])('%s', (input, rule, dueDate) => {
+      const result = parse(input);
+      expect(result.recurrence).toMatchObject(rule);
+      expect(result.dueDate).toEqual(dueDate);
+    });
+  });
+
+  it('lists every fragment it took out of the title', () => {
+    expect(parse('Call mom tomorrow 3pm !high #work every week')).toMatchObject({
+      title: 'Call mom',
+      fragments: [
+        { type: 'recurrence', text: 'every week' },
+        { type: 'date', text: 'tomorrow 3pm' },
+        { type: 'priority', text: '!high' },
+        { type: 'category', text: '#work' }
+      ]
+    });
+  });
+
+  it('keeps the input as the title when nothing else is left', () => {
+    expect(parse('tomorrow')).toMatchObject({ title: 'tomorrow', dueDate: day(10, 15) });
+  });
+
+  describe('ignore', () => {
+    it.each([
+      ['date', 'Meet tomorrow 3pm', { dueDate: null, allDay: true }],
+      ['priority', 'Fix bug !high', { priority: null }],
+      ['category', 'Prepare slides #work', { category: null }],
+      ['recurrence', 'Water plants every week', { recurrence: null }]
+    ])('keeps %s fragments as text', (type, input, fields) => {
+      const result = parse(input, { ignore: [type] });
+      expect(result).toMatchObject({ title: input, ...fields });
+      expect(result.fragments.map(fragment => fragment.type)).not.toContain(type);
+    });
+
+    it('still parses the other kinds', () => {
+      expect(parse('Fix bug tomorrow !high', { ignore: ['date'] })).toMatchObject({
+        title: 'Fix bug tomorrow',
+        dueDate: null,
+        priority: 'high'
+      });
+    });
+  });
+});
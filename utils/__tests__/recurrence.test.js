@@ -0,0 +1,246 @@
+import {
+  createRule,
+  getNextOccurrence,
+  isSeriesFinished,
+  attachRecurrence,
+  completeOccurrence,
+  reopenOccurrence,
+  skipOccurrence,
+  reviveRecurrence,
+  describeRule
+} from '../recurrence';
+import { setLanguage } from '../i18n';
+
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+const seriesTask = (rule, dueDate, fields = {}) =>
+  attachRecurrence({ id: 1, text: 'Repeat', completed: false, allDay: true, dueDate, ...fields }, rule);
+
+// Due dates of the next `count` instances, completing each one before it is due
+const completeTimes = (task, count) => {
+  const dates = [];
+  let current = task;
+  for (let i = 0; i < count && current; i++) {
+    current = completeOccurrence(current, day(2026, 1, 1), [current.id]).next;
+    if (current) dates.push(current.dueDate);
+  }
+  return dates;
+};
+
+beforeAll(() => setLanguage('en'));
+
+describe('createRule', () => {
+  it('fills in defaults', () => {
+    expect(createRule('daily')).toEqual({
+      frequency: 'daily',
+      interval: 1,
+      weekdays: [],
+      dayOfMonth: null,
+      endAfter: null,
+      endDate: null
+    });
+  });
+
+  it('cleans up options', () => {
+    const rule = createRule('weekly', { interval: '0', weekdays: [5, 1], dayOfMonth: 3, endAfter: '4' });
+    expect(rule).toMatchObject({ interval: 1, weekdays: [1, 5], dayOfMonth: null, endAfter: 4 });
+  });
+});
+
+describe('getNextOccurrence', () => {
+  it.each([
+    ['daily', createRule('daily'), day(2026, 1, 31), day(2026, 2, 1)],
+    ['every 3 days', createRule('daily', { interval: 3 }), day(2026, 12, 30), day(2027, 1, 2)],
+    ['weekly on the due weekday', createRule('weekly'), day(2026, 10, 14), day(2026, 10, 21)],
+    ['weekly, later the same week', createRule('weekly', { weekdays: [1, 5] }), day(2026, 10, 12), day(2026, 10, 16)],
+    ['weekly, into the next week', createRule('weekly', { weekdays: [1, 5] }), day(2026, 10, 16), day(2026, 10, 19)],
+    ['every 2 weeks, skipping a week', createRule('weekly', { interval: 2, weekdays: [1, 5] }), day(2026, 10, 16), day(2026, 10, 26)],
+    ['monthly on the same day', createRule('monthly'), day(2026, 3, 15), day(2026, 4, 15)],
+    ['monthly across the year', createRule('monthly', { interval: 2 }), day(2026, 11, 15), day(2027, 1, 15)],
+    ['monthly on a set day', createRule('monthly', { dayOfMonth: 1 }), day(2026, 3, 15), day(2026, 4, 1)],
+    ['monthly on the last day', createRule('monthly', { dayOfMonth: -1 }), day(2026, 1, 31), day(2026, 2, 28)],
+    ['monthly on the 31st in a short month', createRule('monthly', { dayOfMonth: 31 }), day(2026, 3, 31), day(2026, 4, 30)],
+    ['monthly on the 29th in a leap year', createRule('monthly', { dayOfMonth: 29 }), day(2028, 1, 29), day(2028, 2, 29)]
+  ])('%s', (_, rule, from, expected) => {
+    expect(getNextOccurrence(rule, from)).toEqual(expected);
+  });
+
+  it('keeps the time of day', () => {
+    expect(getNextOccurrence(createRule('daily'), new Date(2026, 2, 28, 9, 30))).toEqual(new Date(2026, 2, 29, 9, 30));
+  });
+
+  it('clamps monthly rules against their anchor day', () => {
+    expect(getNextOccurrence(createRule('monthly'), day(2026, 2, 28), 31)).toEqual(day(2026, 3, 31));
+  });
+});
+
+describe('isSeriesFinished', () => {
+  it('stops after the set number of occurrences', () => {
+    const rule = createRule('daily', { endAfter: 3 });
+    expect(isSeriesFinished(rule, 2, day(2026, 1, 3))).toBe(false);
+    expect(isSeriesFinished(rule, 3, day(2026, 1, 4))).toBe(true);
+  });
+
+  it('includes the whole end day', () => {
+    const rule = createRule('daily', { endDate: day(2026, 1, 10) });
+    expect(isSeriesFinished(rule, 0, new Date(2026, 0, 10, 23, 0))).toBe(false);
+    expect(isSeriesFinished(rule, 0, day(2026, 1, 11))).toBe(true);
+  });
+
+  it('stops when there is no next date', () => {
+    expect(isSeriesFinished(createRule('daily'), 0, null)).toBe(true);
+  });
+});
+
+describe('attachRecurrence', () => {
+  it('starts a series on the task', () => {
+    const task = seriesTask(createRule('monthly'), day(2026, 1, 31));
+    expect(task.recurrence).toMatchObject({ seriesId: 1, occurrence: 1, anchorDay: 31, history: [] });
+  });
+
+  it('keeps the series when the rule changes', () => {
+    const task = seriesTask(createRule('daily'), day(2026, 1, 5));
+    const changed = attachRecurrence({ ...task, recurrence: { ...task.recurrence, occurrence: 4 } }, createRule('weekly'));
+    expect(changed.recurrence).toMatchObject({ seriesId: 1, occurrence: 4, rule: { frequency: 'weekly' } });
+  });
+
+  it('removes the rule', () => {
+    expect(attachRecurrence(seriesTask(createRule('daily'), null), null).recurrence).toBeNull();
+  });
+});
+
+describe('completeOccurrence', () => {
+  it('completes the instance and spawns the next one', () => {
+    const now = new Date(2026, 0, 5, 8);
+    const task = seriesTask(createRule('daily'), day(2026, 1, 5), { subtasks: [] });
+    const { completed, next } = completeOccurrence(task, now, [1]);
+
+    expect(completed).toMatchObject({ id: 1, completed: true, completedAt: now });
+    expect(next).toMatchObject({ completed: false, completedAt: null, dueDate: day(2026, 1, 6) });
+    expect(next.recurrence).toMatchObject({ seriesId: 1, occurrence: 2 });
+    expect(next.recurrence.history).toEqual([{ dueDate: day(2026, 1, 5), completedAt: now, skipped: false }]);
+  });
+
+  it('rolls past occurrences forward so the next one is not overdue', () => {
+    const task = seriesTask(createRule('daily'), day(2026, 1, 1));
+    const { next } = completeOccurrence(task, new Date(2026, 0, 10, 12), [1]);
+    expect(next.dueDate).toEqual(day(2026, 1, 10));
+  });
+
+  it('ends the series after the last occurrence', () => {
+    const task = seriesTask(createRule('daily', { endAfter: 2 }), day(2026, 1, 5));
+    expect(completeTimes(task, 5)).toEqual([day(2026, 1, 6)]);
+  });
+
+  it('ends the series at the end date', () => {
+    const task = seriesTask(createRule('weekly', { endDate: day(2026, 1, 20) }), day(2026, 1, 5));
+    expect(completeTimes(task, 5)).toEqual([day(2026, 1, 12), day(2026, 1, 19)]);
+  });
+
+  it('gives every spawned instance its own id, even in the same millisecond', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(5000);
+    const first = seriesTask(createRule('daily'), day(2026, 1, 5), { id: 1 });
+    const second = seriesTask(createRule('daily'), day(2026, 1, 5), { id: 2 });
+
+    const a = completeOccurrence(first, day(2026, 1, 1), [1, 2]).next;
+    const b = completeOccurrence(second, day(2026, 1, 1), [1, 2, a.id]).next;
+    expect(new Set([1, 2, a.id, b.id]).size).toBe(4);
+    Date.now.mockRestore();
+  });
+
+  it('returns to the anchor day after a short month', () => {
+    const task = seriesTask(createRule('monthly'), day(2026, 1, 31));
+    expect(completeTimes(task, 4)).toEqual([day(2026, 2, 28), day(2026, 3, 31), day(2026, 4, 30), day(2026, 5, 31)]);
+  });
+
+  it('takes a due date moved by hand as the new anchor', () => {
+    const task = seriesTask(createRule('monthly'), day(2026, 1, 31));
+    const moved = { ...task, dueDate: day(2026, 1, 15) };
+    expect(completeTimes(moved, 2)).toEqual([day(2026, 2, 15), day(2026, 3, 15)]);
+  });
+});
+
+describe('reopenOccurrence', () => {
+  // Complete the task with `id` in `list` the way App.js does
+  const complete = (list, id) => list.flatMap(task => {
+    if (task.id !== id) return [task];
+    const { completed, next } = completeOccurrence(task, day(2026, 1, 1), list.map(item => item.id));
+    return next ? [next, completed] : [completed];
+  });
+
+  it('takes back the spawned instance and its history entry', () => {
+    const other = { id: 7, text: 'Other', completed: false };
+    const list = complete([seriesTask(createRule('daily'), day(2026, 1, 5)), other], 1);
+    const reopened = reopenOccurrence(list.find(task => task.id === 1), list);
+
+    expect(reopened.map(task => task.id)).toEqual([1, 7]);
+    expect(reopened[0]).toMatchObject({ completed: false, completedAt: null });
+    expect(reopened[0].recurrence.history).toEqual([]);
+  });
+
+  it('spawns the same occurrence once when completed again', () => {
+    const task = seriesTask(createRule('daily', { endAfter: 2 }), day(2026, 1, 5));
+    const completed = complete([task], 1);
+    const again = complete(reopenOccurrence(completed.find(item => item.id === 1), completed), 1);
+    const open = again.filter(item => !item.completed);
+
+    expect(open).toHaveLength(1);
+    expect(open[0].dueDate).toEqual(day(2026, 1, 6));
+    expect(open[0].recurrence).toMatchObject({ occurrence: 2, history: [expect.objectContaining({ dueDate: day(2026, 1, 5) })] });
+    // The second completion ends the series, so the reopen did not count
+    expect(complete(again, open[0].id).filter(item => !item.completed)).toEqual([]);
+  });
+
+  it('keeps a spawned instance that was already completed', () => {
+    const first = complete([seriesTask(createRule('daily'), day(2026, 1, 5))], 1);
+    const spawned = first.find(task => !task.completed);
+    const both = complete(first, spawned.id);
+    const reopened = reopenOccurrence(both.find(task => task.id === 1), both);
+
+    expect(reopened.find(task => task.id === spawned.id).completed).toBe(true);
+    expect(reopened.find(task => task.id === 1).completed).toBe(false);
+  });
+});
+
+describe('skipOccurrence', () => {
+  it('replaces the instance with the next one and records the skip', () => {
+    const task = seriesTask(createRule('weekly'), day(2026, 1, 5));
+    const next = skipOccurrence(task, day(2026, 1, 1), [1]);
+    expect(next.dueDate).toEqual(day(2026, 1, 12));
+    expect(next.recurrence.history).toEqual([{ dueDate: day(2026, 1, 5), completedAt: null, skipped: true }]);
+  });
+
+  it('returns null when the skipped instance was the last', () => {
+    const task = seriesTask(createRule('daily', { endAfter: 1 }), day(2026, 1, 5));
+    expect(skipOccurrence(task, day(2026, 1, 1), [1])).toBeNull();
+  });
+});
+
+describe('reviveRecurrence', () => {
+  it('turns stored strings back into dates', () => {
+    const stored = JSON.parse(JSON.stringify(completeOccurrence(
+      seriesTask(createRule('daily', { endDate: day(2026, 2, 1) }), day(2026, 1, 5)),
+      day(2026, 1, 5),
+      [1]
+    ).next.recurrence));
+    const revived = reviveRecurrence(stored);
+    expect(revived.rule.endDate).toEqual(day(2026, 2, 1));
+    expect(revived.history[0].dueDate).toEqual(day(2026, 1, 5));
+  });
+
+  it('passes through tasks without a series', () => {
+    expect(reviveRecurrence(null)).toBeNull();
+  });
+});
+
+describe('describeRule', () => {
+  it.each([
+    [createRule('daily'), 'Every day'],
+    [createRule('daily', { interval: 3 }), 'Every 3 days'],
+    [createRule('weekly', { interval: 2, weekdays: [1, 4] }), 'Every 2 weeks on Mon, Thu'],
+    [createRule('monthly', { dayOfMonth: -1 }), 'Every month on the last day'],
+    [createRule('monthly', { dayOfMonth: 15, endAfter: 5 }), 'Every month on day 15, 5 times']
+  ])('%j', (rule, text) => {
+    expect(describeRule(rule)).toBe(text);
+  });
+});
@@ -0,0 +1,155 @@
+import {
+  SNOOZE_ACTIONS,
+  getSnoozeActions,
+  getNotificationId,
+  getReminderTime,
+  describeReminder,
+  createReminderService
+} from '../reminders';
+import { setLanguage } from '../i18n';
+
+// Records what the service asks for instead of talking to the platform
+const createFakeScheduler = () => {
+  const scheduled = new Map();
+  return {
+    scheduled,
+    schedule: jest.fn(notification => scheduled.set(notification.id, notification)),
+    cancel: jest.fn(id => scheduled.delete(id))
+  };
+};
+
+const NOW = new Date(2026, 9, 14, 10, 0);
+
+const task = (fields = {}) => ({
+  id: 1760000000000,
+  text: 'Dentist',
+  completed: false,
+  allDay: false,
+  dueDate: new Date(2026, 9, 15, 14, 0),
+  reminder: { type: 'before', offset: 30 },
+  ...fields
+});
+
+let scheduler;
+let service;
+
+beforeEach(() => {
+  setLanguage('en');
+  scheduler = createFakeScheduler();
+  service = createReminderService(scheduler);
+});
+
+describe('getReminderTime', () => {
+  it.each([
+    ['at the due time', { reminder: { type: 'due' } }, new Date(2026, 9, 15, 14, 0)],
+    ['before the due time', { reminder: { type: 'before', offset: 60 * 24 } }, new Date(2026, 9, 14, 14, 0)],
+    ['at a custom time', { reminder: { type: 'custom', at: '2026-10-20T08:00:00' }, dueDate: null }, new Date(2026, 9, 20, 8, 0)],
+    ['from 9:00 on all-day tasks', { allDay: true, dueDate: new Date(2026, 9, 15), reminder: { type: 'before', offset: 60 } }, new Date(2026, 9, 15, 8, 0)]
+  ])('fires %s', (_, fields, expected) => {
+    expect(getReminderTime(task(fields))).toEqual(expected);
+  });
+
+  it.each([
+    ['no reminder', { reminder: null }],
+    ['a relative reminder without a due date', { dueDate: null }]
+  ])('is null for %s', (_, fields) => {
+    expect(getReminderTime(task(fields))).toBeNull();
+  });
+});
+
+describe('describeReminder', () => {
+  it.each([
+    [{ type: 'due' }, 'At due time'],
+    [{ type: 'before', offset: 10 }, '10 min before'],
+    [{ type: 'before', offset: 120 }, '2 hours before'],
+    [{ type: 'before', offset: 60 * 24 }, '1 day before']
+  ])('%j', (reminder, text) => {
+    expect(describeReminder(reminder)).toBe(text);
+  });
+});
+
+describe('getNotificationId', () => {
+  it('fits task ids into a 32-bit int', () => {
+    const id = Number(getNotificationId(1760000000000));
+    expect(id).toBeLessThan(2147483647);
+    expect(getNotificationId(1760000000000)).toBe(getNotificationId('1760000000000'));
+  });
+});
+
+describe('sync', () => {
+  it('schedules a reminder that is still ahead', () => {
+    expect(service.sync(task(), NOW)).toEqual(new Date(2026, 9, 15, 13, 30));
+    expect(scheduler.scheduled.get(getNotificationId(task().id))).toEqual({
+      id: getNotificationId(task().id),
+      date: new Date(2026, 9, 15, 13, 30),
+      title: 'Task due',
+      message: 'Dentist',
+      data: { taskId: task().id },
+      actions: getSnoozeActions()
+    });
+  });
+
+  it.each([
+    ['completed', { completed: true }],
+    ['in the trash', { deletedAt: NOW }],
+    ['already past', { dueDate: new Date(2026, 9, 14, 10, 15) }],
+    ['without a reminder', { reminder: null }]
+  ])('only cancels for tasks %s', (_, fields) => {
+    expect(service.sync(task(fields), NOW)).toBeNull();
+    expect(scheduler.cancel).toHaveBeenCalledWith(getNotificationId(task().id));
+    expect(scheduler.scheduled.size).toBe(0);
+  });
+});
+
+describe('syncAll', () => {
+  const other = task({ id: 2, text: 'Gym', reminder: { type: 'due' } });
+
+  it('schedules new tasks and leaves unchanged ones alone', () => {
+    service.syncAll([], [task(), other], NOW);
+    expect(scheduler.schedule).toHaveBeenCalledTimes(2);
+
+    service.syncAll([task(), other], [task(), other], NOW);
+    expect(scheduler.schedule).toHaveBeenCalledTimes(2);
+  });
+
+  it('reschedules tasks whose reminder changed', () => {
+    service.syncAll([], [task(), other], NOW);
+    service.syncAll([task(), other], [task({ dueDate: new Date(2026, 9, 16, 9, 0) }), other], NOW);
+
+    expect(scheduler.schedule).toHaveBeenCalledTimes(3);
+    expect(scheduler.scheduled.get(getNotificationId(task().id)).date).toEqual(new Date(2026, 9, 16, 8, 30));
+  });
+
+  it('cancels reminders of completed and removed tasks', () => {
+    service.syncAll([], [task(), other], NOW);
+    service.syncAll([task(), other], [task({ completed: true })], NOW);
+    expect(scheduler.scheduled.size).toBe(0);
+  });
+});
+
+describe('handleAction', () => {
+  const notification = (action) => ({
+    action,
+    title: 'Task due',
+    message: 'Dentist',
+    data: { taskId: task().id }
+  });
+
+  it.each(SNOOZE_ACTIONS.map(action => [action.id, action.minutes]))('%s snoozes for %i minutes', (id, minutes) => {
+    const date = service.handleAction(notification(id), NOW);
+    expect(date).toEqual(new Date(NOW.getTime() + minutes * 60 * 1000));
+    expect(scheduler.scheduled.get(getNotificationId(task().id))).toMatchObject({ date, message: 'Dentist' });
+  });
+
+  it('still works after the language changed', () => {
+    setLanguage('es');
+    expect(service.handleAction(notification('snooze10'), NOW)).toEqual(new Date(2026, 9, 14, 10, 10));
+    expect(scheduler.scheduled.get(getNotificationId(task().id)).actions[0].label).not.toBe('Snooze 10 min');
+  });
+
+  it('ignores unknown actions and notifications without a task', () => {
+    expect(service.handleAction(notification('Snooze 10 min'), NOW)).toBeNull();
+    expect(service.handleAction({ ...notification('snooze10'), data: {} }, NOW)).toBeNull();
+    expect(scheduler.schedule).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+import fs from 'fs';
+import path from 'path';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  STORAGE_KEYS,
+  SCHEMA_VERSION,
+  StorageError,
+  migrate,
+  parseTasks,
+  serializeTasks,
+  loadTasks
+} from '../storage';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+beforeEach(() => AsyncStorage.clear());
+
+describe('migrate', () => {
+  it('upgrades a bare v0 array to the current schema', () => {
+    const [milk, bank] = migrate(JSON.parse(fixture('tasks-v0.json')));
+    expect(milk).toMatchObject({ priority: 'medium', allDay: true, completedAt: null });
+    expect(bank).toMatchObject({ priority: 'high', allDay: true, completedAt: null });
+  });
+
+  it('recovers completion times of v1 recurring tasks from their history', () => {
+    const [plants, chapter] = migrate(JSON.parse(fixture('tasks-v1.json')));
+    expect(plants.completedAt).toBe('2024-03-16T09:30:00.000Z');
+    expect(chapter.completedAt).toBeNull();
+    expect(chapter.allDay).toBe(false);
+  });
+
+  it('leaves current payloads alone', () => {
+    const tasks = [{ id: 1, text: 'Done', completed: false, completedAt: null }];
+    expect(migrate({ version: SCHEMA_VERSION, tasks })).toEqual(tasks);
+  });
+
+  it('refuses data from a newer version', () => {
+    expect(() => migrate(JSON.parse(fixture('tasks-future.json')))).toThrow('newer version (99)');
+  });
+
+  it('refuses unknown shapes', () => {
+    expect(() => migrate(null)).toThrow('Unrecognized task data');
+    expect(() => migrate({ version: 2 })).toThrow('Unrecognized task data');
+    expect(() => migrate('tasks')).toThrow('Unrecognized task data');
+  });
+});
+
+describe('parseTasks', () => {
+  it('revives dates', () => {
+    const [plants] = parseTasks(fixture('tasks-v1.json'));
+    expect(plants.createdAt).toEqual(new Date('2024-03-09T16:00:00.000Z'));
+    expect(plants.dueDate).toEqual(new Date('2024-03-16T00:00:00.000Z'));
+    expect(plants.completedAt).toEqual(new Date('2024-03-16T09:30:00.000Z'));
+    expect(plants.recurrence.history[0].completedAt).toBeInstanceOf(Date);
+  });
+
+  it('round-trips what serializeTasks writes', () => {
+    const tasks = parseTasks(fixture('tasks-v0.json'));
+    expect(parseTasks(serializeTasks(tasks))).toEqual(tasks);
+  });
+
+  it('throws on corrupt text', () => {
+    expect(() => parseTasks(fixture('tasks-corrupt.txt'))).toThrow(SyntaxError);
+  });
+});
+
+describe('loadTasks', () => {
+  it('returns an empty list when nothing is stored', async () => {
+    await expect(loadTasks()).resolves.toEqual([]);
+  });
+
+  it('loads and migrates stored v0 and v1 payloads', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.tasks, fixture('tasks-v0.json'));
+    expect((await loadTasks()).map(task => task.text)).toEqual(['Buy milk', 'Call the bank']);
+
+    await AsyncStorage.setItem(STORAGE_KEYS.tasks, fixture('tasks-v1.json'));
+    expect((await loadTasks()).map(task => task.text)).toEqual(['Water plants', 'Read a chapter']);
+  });
+
+  it.each([
+    ['corrupt', 'tasks-corrupt.txt'],
+    ['newer version', 'tasks-future.json']
+  ])('copies %s data aside before failing', async (_, name) => {
+    const raw = fixture(name);
+    await AsyncStorage.setItem(STORAGE_KEYS.tasks, raw);
+
+    const error = await loadTasks().catch(e => e);
+    expect(error).toBeInstanceOf(StorageError);
+    expect(error.backupKey).toMatch(/^@tasks_corrupt_\d+$/);
+    expect(await AsyncStorage.getItem(error.backupKey)).toBe(raw);
+    // The original is left where it was
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.tasks)).toBe(raw);
+  });
+});
@@ -0,0 +1,301 @@
+import {
+  SyncError,
+  normalizeEndpoint,
+  changedFields,
+  recordChanges,
+  queueAll,
+  buildPush,
+  applyRemote,
+  acknowledge,
+  createSyncClient
+} from '../sync';
+
+const { createSyncServer } = require('../../scripts/sync-server');
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const at = (minute) => new Date(Date.UTC(2026, 9, 14, 10, minute));
+const iso = (minute) => at(minute).toISOString();
+
+const task = (id, fields = {}) => ({
+  id,
+  text: `Task ${id}`,
+  completed: false,
+  completedAt: null,
+  priority: 'medium',
+  createdAt: at(0),
+  dueDate: null,
+  recurrence: null,
+  ...fields
+});
+
+const byId = (tasks, id) => tasks.find(item => item.id === id);
+
+describe('normalizeEndpoint', () => {
+  it.each([
+    ['', ''],
+    ['   ', ''],
+    ['192.168.1.10:4000', 'http://192.168.1.10:4000'],
+    ['https://sync.example.com/', 'https://sync.example.com'],
+    [' HTTP://host:4000// ', 'HTTP://host:4000']
+  ])('%j', (text, endpoint) => {
+    expect(normalizeEndpoint(text)).toBe(endpoint);
+  });
+});
+
+describe('changedFields', () => {
+  it('compares the stored form of each field', () => {
+    const before = task(1, { dueDate: at(5) });
+    expect(changedFields(before, { ...before, dueDate: new Date(at(5)) })).toEqual([]);
+    expect(changedFields(before, { ...before, text: 'New', notes: 'Added' }).sort()).toEqual(['notes', 'text']);
+  });
+});
+
+describe('recordChanges', () => {
+  const one = task(1);
+
+  it('records new tasks in full', () => {
+    const outbox = recordChanges({}, [], [one], at(1));
+    expect(Object.keys(outbox[1].fields).sort()).toEqual(['completed', 'completedAt', 'createdAt', 'dueDate', 'priority', 'recurrence', 'text']);
+    expect(outbox[1].fields.text).toBe(iso(1));
+  });
+
+  it('adds only the changed fields to a pending entry', () => {
+    const first = recordChanges({}, [one], [{ ...one, text: 'Edited' }], at(1));
+    const second = recordChanges(first, [{ ...one, text: 'Edited' }], [{ ...one, text: 'Edited', priority: 'high' }], at(2));
+    expect(second[1].fields).toEqual({ text: iso(1), priority: iso(2) });
+  });
+
+  it('turns removed tasks into tombstones', () => {
+    const outbox = recordChanges({ 1: { id: 1, fields: { text: iso(1) } } }, [one], [], at(2));
+    expect(outbox[1]).toEqual({ id: 1, fields: {}, tombstone: iso(2) });
+  });
+
+  it('returns the same outbox when nothing changed', () => {
+    const outbox = {};
+    expect(recordChanges(outbox, [one], [one], at(1))).toBe(outbox);
+    expect(recordChanges(outbox, [one], [{ ...one }], at(1))).toBe(outbox);
+  });
+});
+
+describe('buildPush', () => {
+  it('sends the current values of pending fields', () => {
+    const tasks = [task(1, { text: 'Edited', notes: undefined })];
+    const outbox = { 1: { id: 1, fields: { text: iso(1), notes: iso(3) } } };
+    expect(buildPush(tasks, outbox)).toEqual([{
+      id: 1,
+      deleted: false,
+      updatedAt: iso(3),
+      fields: { text: 'Edited', notes: null },
+      fieldTimes: { text: iso(1), notes: iso(3) }
+    }]);
+  });
+
+  it('sends tombstones and skips entries without a task', () => {
+    const outbox = {
+      1: { id: 1, fields: {}, tombstone: iso(2) },
+      2: { id: 2, fields: { text: iso(1) } }
+    };
+    expect(buildPush([], outbox)).toEqual([{ id: 1, deleted: true, updatedAt: iso(2) }]);
+  });
+});
+
+describe('applyRemote', () => {
+  const remote = (id, fields, fieldTime, extra = {}) => ({
+    id,
+    updatedAt: fieldTime,
+    deleted: false,
+    task: JSON.parse(JSON.stringify(task(id, fields))),
+    fieldTimes: Object.fromEntries(Object.keys(task(id)).filter(key => key !== 'id').map(key => [key, fieldTime])),
+    ...extra
+  });
+
+  it('adds new tasks at the top', () => {
+    const { tasks } = applyRemote([task(1)], {}, [remote(2, { text: 'From elsewhere' }, iso(1))]);
+    expect(tasks.map(item => item.id)).toEqual([2, 1]);
+    expect(tasks[0]).toMatchObject({ text: 'From elsewhere', createdAt: at(0) });
+  });
+
+  it('takes remote fields unless the pending local one is newer', () => {
+    const local = [task(1, { text: 'Local', priority: 'low' })];
+    const outbox = { 1: { id: 1, fields: { text: iso(5), priority: iso(1) } } };
+    const result = applyRemote(local, outbox, [remote(1, { text: 'Remote', priority: 'high' }, iso(3))]);
+
+    expect(result.tasks[0]).toMatchObject({ text: 'Local', priority: 'high' });
+    expect(result.outbox).toEqual({ 1: { id: 1, fields: { text: iso(5) } } });
+  });
+
+  it('leaves the list alone when nothing differs', () => {
+    const local = [task(1)];
+    expect(applyRemote(local, {}, [remote(1, {}, iso(1))]).tasks).toBe(local);
+  });
+
+  it('removes tasks deleted elsewhere', () => {
+    const result = applyRemote([task(1), task(2)], {}, [{ id: 1, deleted: true, updatedAt: iso(2) }]);
+    expect(result.tasks.map(item => item.id)).toEqual([2]);
+  });
+
+  it('keeps a task edited here after it was deleted elsewhere', () => {
+    const outbox = { 1: { id: 1, fields: { text: iso(5) } } };
+    const result = applyRemote([task(1)], outbox, [{ id: 1, deleted: true, updatedAt: iso(2) }]);
+
+    expect(result.tasks.map(item => item.id)).toEqual([1]);
+    // Sent in full so the server can bring it back
+    expect(Object.keys(result.outbox[1].fields)).toContain('createdAt');
+  });
+
+  it('ignores older remote edits of a task deleted here', () => {
+    const outbox = { 1: { id: 1, fields: {}, tombstone: iso(5) } };
+    const result = applyRemote([], outbox, [remote(1, {}, iso(2))]);
+    expect(result.tasks).toEqual([]);
+    expect(result.outbox[1].tombstone).toBe(iso(5));
+  });
+});
+
+describe('acknowledge', () => {
+  it('drops what was sent and keeps what changed since', () => {
+    const pushed = {
+      1: { id: 1, fields: { text: iso(1), priority: iso(1) } },
+      2: { id: 2, fields: {}, tombstone: iso(1) }
+    };
+    const current = {
+      1: { id: 1, fields: { text: iso(1), priority: iso(4) } },
+      2: { id: 2, fields: {}, tombstone: iso(1) },
+      3: { id: 3, fields: { text: iso(4) } }
+    };
+    expect(acknowledge(current, pushed)).toEqual({
+      1: { id: 1, fields: { priority: iso(4) } },
+      3: { id: 3, fields: { text: iso(4) } }
+    });
+  });
+});
+
+describe('against the mock server', () => {
+  let server;
+  let endpoint;
+
+  beforeEach(done => {
+    server = createSyncServer({ log: () => {} });
+    server.listen(0, '127.0.0.1', () => {
+      endpoint = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  const createDevice = () => ({ tasks: [], outbox: {}, cursor: null });
+
+  const edit = (device, tasks, now) => {
+    device.outbox = recordChanges(device.outbox, device.tasks, tasks, now);
+    device.tasks = tasks;
+  };
+
+  const update = (device, id, fields, now) =>
+    edit(device, device.tasks.map(item => (item.id === id ? { ...item, ...fields } : item)), now);
+
+  // The steps of syncNow in useSync, without the React state around them
+  const sync = async (device) => {
+    const client = createSyncClient(endpoint);
+    const pulled = await client.pull(device.cursor);
+    const merged = applyRemote(device.tasks, device.outbox, pulled.changes);
+    device.tasks = merged.tasks;
+    device.cursor = pulled.cursor;
+    device.outbox = merged.outbox;
+
+    const changes = buildPush(merged.tasks, merged.outbox);
+    if (changes.length > 0) await client.push(changes);
+    device.outbox = acknowledge(device.outbox, merged.outbox);
+  };
+
+  // Two devices that both have tasks 1 and 2, with nothing pending
+  const pairedDevices = async () => {
+    const phone = createDevice();
+    const tablet = createDevice();
+    edit(phone, [task(1), task(2)], at(1));
+    await sync(phone);
+    await sync(tablet);
+    return { phone, tablet };
+  };
+
+  it('uploads a full list and brings it to another device', async () => {
+    const phone = createDevice();
+    phone.tasks = [task(1), task(2), task(3)];
+    phone.outbox = queueAll(phone.tasks, at(1));
+    await sync(phone);
+    expect(phone.outbox).toEqual({});
+
+    const tablet = createDevice();
+    await sync(tablet);
+    expect(tablet.tasks.map(item => item.id).sort()).toEqual([1, 2, 3]);
+    expect(byId(tablet.tasks, 1)).toEqual({ ...task(1), deletedAt: undefined });
+  });
+
+  it('merges edits to different fields of the same task', async () => {
+    const { phone, tablet } = await pairedDevices();
+    update(phone, 1, { text: 'Renamed on phone' }, at(2));
+    update(tablet, 1, { priority: 'high' }, at(3));
+
+    await sync(phone);
+    await sync(tablet);
+    await sync(phone);
+
+    [phone, tablet].forEach(device => {
+      expect(byId(device.tasks, 1)).toMatchObject({ text: 'Renamed on phone', priority: 'high' });
+      expect(device.outbox).toEqual({});
+    });
+  });
+
+  it('keeps the later edit of the same field', async () => {
+    const { phone, tablet } = await pairedDevices();
+    update(tablet, 2, { text: 'Later' }, at(5));
+    update(phone, 2, { text: 'Earlier' }, at(3));
+
+    await sync(tablet);
+    await sync(phone);
+    await sync(tablet);
+
+    expect(byId(phone.tasks, 2).text).toBe('Later');
+    expect(byId(tablet.tasks, 2).text).toBe('Later');
+  });
+
+  it('passes deletions on', async () => {
+    const { phone, tablet } = await pairedDevices();
+    edit(phone, phone.tasks.filter(item => item.id !== 1), at(2));
+
+    await sync(phone);
+    await sync(tablet);
+
+    expect(tablet.tasks.map(item => item.id)).toEqual([2]);
+    expect(tablet.outbox).toEqual({});
+  });
+
+  it('brings back a task edited offline after it was deleted elsewhere', async () => {
+    const { phone, tablet } = await pairedDevices();
+    edit(phone, phone.tasks.filter(item => item.id !== 1), at(2));
+    await sync(phone);
+    update(tablet, 1, { text: 'Still needed' }, at(4));
+
+    await sync(tablet);
+    await sync(phone);
+
+    expect(byId(tablet.tasks, 1)).toMatchObject({ text: 'Still needed' });
+    expect(byId(phone.tasks, 1)).toMatchObject({ text: 'Still needed', createdAt: at(0) });
+  });
+
+  it('keeps edits in the outbox while the server is unreachable', async () => {
+    const phone = createDevice();
+    edit(phone, [task(1)], at(1));
+    const offline = createSyncClient('http://127.0.0.1:1');
+
+    const error = await offline.pull(null).catch(e => e);
+    expect(error).toBeInstanceOf(SyncError);
+    expect(error.offline).toBe(true);
+    expect(Object.keys(phone.outbox)).toEqual(['1']);
+
+    await sync(phone);
+    expect(phone.outbox).toEqual({});
+  });
+});
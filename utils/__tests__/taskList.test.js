@@ -0,0 +1,81 @@
+import { buildBackup, parseBackup } from '../backup';
+import { reviveTask } from '../storage';
+import { parseQuery, matchesQuery } from '../search';
+import { SORT_MODES, sortTasks } from '../sort';
+import { DUE_SECTIONS, getDueSectionKey, groupByDue } from '../sections';
+import { calendarDaysBetween } from '../dates';
+import { setLanguage } from '../i18n';
+
+const { generateTasks } = require('../../scripts/generate-tasks');
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// The list pipeline of the main screen, checked against the generated
+// 5,000 task dataset from scripts/generate-tasks.js
+
+const COUNT = 5000;
+const NOW = new Date(2026, 9, 14, 10, 0);
+
+let tasks;
+
+beforeAll(() => {
+  setLanguage('en');
+  tasks = generateTasks(COUNT, { now: NOW }).map(reviveTask);
+});
+
+const ids = (list) => list.map(task => task.id);
+
+it('generates the same valid, importable tasks every time', () => {
+  const backup = JSON.stringify(buildBackup({ tasks: generateTasks(COUNT, { now: NOW }), categories: [], settings: {} }));
+  const parsed = parseBackup(backup);
+
+  expect(parsed.errors).toEqual([]);
+  expect(parsed.tasks).toHaveLength(COUNT);
+  expect(new Set(ids(parsed.tasks)).size).toBe(COUNT);
+  expect(generateTasks(COUNT, { now: NOW })).toEqual(generateTasks(COUNT, { now: NOW }));
+});
+
+it('covers every section', () => {
+  const keys = new Set(tasks.map(task => getDueSectionKey(task, NOW)));
+  expect([...keys].sort()).toEqual(DUE_SECTIONS.map(section => section.key).sort());
+});
+
+describe.each(SORT_MODES.map(mode => mode.key))('sorted by %s', (mode) => {
+  const sort = { mode, direction: 'asc', secondary: 'priority', groupByDue: true };
+
+  it('keeps every task exactly once', () => {
+    const sorted = sortTasks(tasks, sort);
+    expect([...ids(sorted)].sort()).toEqual([...ids(tasks)].sort());
+  });
+
+  it('groups into sections in display order with unique keys', () => {
+    const sorted = sortTasks(tasks, sort);
+    const sections = groupByDue(sorted, NOW);
+    const flattened = sections.flatMap(section => section.data);
+
+    expect(sections.map(section => section.key)).toEqual(DUE_SECTIONS.map(section => section.key));
+    expect(new Set(flattened.map(task => String(task.id))).size).toBe(COUNT);
+    sections.forEach(section => {
+      section.data.forEach(task => expect(getDueSectionKey(task, NOW)).toBe(section.key));
+    });
+    // Each section keeps the sorted order
+    const position = new Map(sorted.map((task, index) => [task.id, index]));
+    sections.forEach(section => {
+      const positions = section.data.map(task => position.get(task.id));
+      expect(positions).toEqual([...positions].sort((a, b) => a - b));
+    });
+  });
+});
+
+it('filters by a search query', () => {
+  const terms = parseQuery('due:today p:high -is:done');
+  const found = tasks.filter(task => matchesQuery(task, terms, { now: NOW }));
+
+  expect(found.length).toBeGreaterThan(0);
+  found.forEach(task => {
+    expect(task).toMatchObject({ priority: 'high', completed: false });
+    expect(calendarDaysBetween(NOW, task.dueDate)).toBe(0);
+  });
+});
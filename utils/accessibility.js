@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { AccessibilityInfo, Animated } from 'react-native';
+import { formatDueDate, isOverdue } from './dates';
+import { getSubtaskProgress } from './subtasks';
+import { t } from './i18n';
+
+// Largest font scale for text inside compact controls (chips, tabs, badges)
+// so the largest accessibility sizes grow them without breaking rows
+export const MAX_FONT_SCALE = 1.5;
+
+// Whether the OS asks for reduced motion, kept up to date while mounted
+export const useReduceMotion = () => {
+  const [reduceMotion, setReduceMotion] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    AccessibilityInfo.isReduceMotionEnabled().then(value => {
+      if (active) setReduceMotion(value);
+    });
+    const subscription = AccessibilityInfo.addEventListener('reduceMotionChanged', setReduceMotion);
+    return () => {
+      active = false;
+      subscription.remove();
+    };
+  }, []);
+
+  return reduceMotion;
+};
+
+// Animated.spring and Animated.timing that jump straight to the end value
+// when motion is reduced
+export const springTo = (value, toValue, reduceMotion, config = {}) => {
+  if (reduceMotion) {
+    value.setValue(toValue);
+    return;
+  }
+  Animated.spring(value, { toValue, useNativeDriver: true, ...config }).start();
+};
+
+export const timingTo = (value, toValue, reduceMotion, config = {}) => {
+  if (reduceMotion) {
+    value.setValue(toValue);
+    return;
+  }
+  Animated.timing(value, { toValue, useNativeDriver: true, ...config }).start();
+};
+
+// What a screen reader says for a task row, e.g.
+// "Buy milk, high priority, Work, due Oct 20, overdue, 1 of 3 subtasks done"
+export const describeTask = (task, category, dateFormat) => {
+  const parts = [task.text, t(`a11y.task.priority.${task.priority || 'medium'}`)];
+  if (category) parts.push(category.name);
+  if (task.dueDate) {
+    parts.push(t('a11y.task.due', { date: formatDueDate(task, dateFormat) }));
+    if (isOverdue(task)) parts.push(t('a11y.task.overdue'));
+  }
+  const progress = getSubtaskProgress(task.subtasks);
+  if (progress.total > 0) parts.push(t('a11y.subtasksDone', { done: progress.done, count: progress.total }));
+  if (task.recurrence) parts.push(t('a11y.task.repeats'));
+  return parts.join(', ');
+};
+
+export const announce = (message) => AccessibilityInfo.announceForAccessibility(message);
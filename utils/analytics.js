@@ -0,0 +1,185 @@
+import { startOfDay, getDueDeadline } from './dates';
+import { getDayKey, addDays, startOfWeek } from './calendar';
+import { t } from './i18n';
+
+// Productivity history for the statistics screen. It comes from a log of
+// completions kept next to the task list, so tasks purged from the trash
+// still count. Each entry holds what the charts need of a completed task:
+//
+//   { id, completedAt, createdAt, dueDate, allDay, priority, category }
+//
+// Tasks completed before completion times were recorded have no completedAt
+// and are left out.
+
+const HOUR_MS = 1000 * 60 * 60;
+const DAY_MS = HOUR_MS * 24;
+
+// Entries older than the longest range are dropped, so streaks only look
+// back this far
+export const COMPLETION_LOG_DAYS = 365;
+
+// Ranges up to a month are charted per day, longer ones per week
+export const ANALYTICS_RANGES = [
+  { key: 'week', labelKey: 'stats.range.week', days: 7, bucket: 'day' },
+  { key: 'month', labelKey: 'stats.range.month', days: 30, bucket: 'day' },
+  { key: 'quarter', labelKey: 'stats.range.quarter', days: 90, bucket: 'week' },
+  { key: 'year', labelKey: 'stats.range.year', days: 365, bucket: 'week' }
+];
+
+export const DEFAULT_RANGE = 'month';
+
+export const getRange = (key) =>
+  ANALYTICS_RANGES.find(range => range.key === key) || ANALYTICS_RANGES[1];
+
+const isCompletedTask = (task) => task.completed && task.completedAt;
+
+const toLogEntry = (task) => ({
+  id: task.id,
+  completedAt: new Date(task.completedAt),
+  createdAt: task.createdAt ? new Date(task.createdAt) : null,
+  dueDate: task.dueDate ? new Date(task.dueDate) : null,
+  allDay: task.allDay,
+  priority: task.priority || 'medium',
+  category: task.category || null
+});
+
+const isSameTime = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+// Bring the log in step with the task list: log new completions and drop
+// the entries of tasks that were reopened. Entries of tasks that are gone
+// stay. Returns the same log when nothing changed.
+export const recordCompletions = (log, tasks, now = new Date()) => {
+  const cutoff = addDays(now, -COMPLETION_LOG_DAYS);
+  const byId = new Map(tasks.map(task => [task.id, task]));
+
+  const kept = log.filter(entry => {
+    if (new Date(entry.completedAt) < cutoff) return false;
+    const task = byId.get(entry.id);
+    return !task || (isCompletedTask(task) && isSameTime(task.completedAt, entry.completedAt));
+  });
+  const logged = new Set(kept.map(entry => entry.id));
+  const added = tasks
+    .filter(task => isCompletedTask(task) && !logged.has(task.id) && new Date(task.completedAt) >= cutoff)
+    .map(toLogEntry);
+
+  if (added.length === 0 && kept.length === log.length) return log;
+  return [...kept, ...added];
+};
+
+// Convert the stored date strings of a log back into Date objects
+export const reviveCompletions = (stored) => (Array.isArray(stored) ? stored : []).map(entry => ({
+  ...entry,
+  completedAt: new Date(entry.completedAt),
+  createdAt: entry.createdAt ? new Date(entry.createdAt) : null,
+  dueDate: entry.dueDate ? new Date(entry.dueDate) : null
+}));
+
+// Log entries whose completion falls inside [start, end]
+export const getCompletedBetween = (log, start, end) =>
+  log.filter(entry => {
+    const at = new Date(entry.completedAt);
+    return at >= start && at <= end;
+  });
+
+// Completion counts per day or week, oldest first, including empty buckets
+export const bucketCompletions = (completed, start, end, bucket = 'day', weekStartsOn = 0) => {
+  const first = bucket === 'week' ? startOfWeek(start, weekStartsOn) : startOfDay(start);
+  const buckets = [];
+  const index = {};
+  for (let day = first; day <= end; day = addDays(day, bucket === 'week' ? 7 : 1)) {
+    index[getDayKey(day)] = buckets.length;
+    buckets.push({ start: day, count: 0 });
+  }
+
+  completed.forEach(entry => {
+    const day = bucket === 'week' ? startOfWeek(entry.completedAt, weekStartsOn) : startOfDay(entry.completedAt);
+    const i = index[getDayKey(day)];
+    if (i !== undefined) buckets[i].count += 1;
+  });
+  return buckets;
+};
+
+// Consecutive days with at least one completion. The current streak is
+// still alive when today has nothing done yet but yesterday had.
+export const getStreaks = (log, now = new Date()) => {
+  const days = new Set(log.map(entry => getDayKey(entry.completedAt)));
+
+  let current = 0;
+  let day = days.has(getDayKey(now)) ? startOfDay(now) : addDays(now, -1);
+  while (days.has(getDayKey(day))) {
+    current += 1;
+    day = addDays(day, -1);
+  }
+
+  let longest = 0;
+  days.forEach(key => {
+    // Only count from the first day of each run
+    const [y, m, d] = key.split('-').map(Number);
+    const start = new Date(y, m - 1, d);
+    if (days.has(getDayKey(addDays(start, -1)))) return;
+    let length = 0;
+    for (let next = start; days.has(getDayKey(next)); next = addDays(next, 1)) length += 1;
+    longest = Math.max(longest, length);
+  });
+
+  return { current, longest };
+};
+
+// Mean time from creation to completion in ms, or null with nothing to average
+export const getAverageCompletionTime = (completed) => {
+  const durations = completed
+    .filter(entry => entry.createdAt)
+    .map(entry => new Date(entry.completedAt) - new Date(entry.createdAt))
+    .filter(ms => ms >= 0);
+  if (durations.length === 0) return null;
+  return durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+};
+
+// Completions with a due date, split by whether they beat the deadline
+export const getOnTimeStats = (completed) => {
+  const stats = { onTime: 0, late: 0 };
+  completed.forEach(entry => {
+    if (!entry.dueDate) return;
+    if (new Date(entry.completedAt) <= getDueDeadline(entry)) stats.onTime += 1;
+    else stats.late += 1;
+  });
+  return stats;
+};
+
+// Completions per key, largest first, e.g. by priority or category
+export const getBreakdown = (completed, getKey) => {
+  const counts = new Map();
+  completed.forEach(entry => {
+    const key = getKey(entry);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+// Everything the statistics screen charts for one range of the log
+export const getAnalytics = (log, rangeKey, weekStartsOn = 0, now = new Date()) => {
+  const range = getRange(rangeKey);
+  const start = addDays(now, -(range.days - 1));
+  const completed = getCompletedBetween(log, start, now);
+
+  return {
+    range,
+    completedCount: completed.length,
+    buckets: bucketCompletions(completed, start, now, range.bucket, weekStartsOn),
+    streaks: getStreaks(log, now),
+    averageCompletionTime: getAverageCompletionTime(completed),
+    onTime: getOnTimeStats(completed),
+    byPriority: getBreakdown(completed, entry => entry.priority),
+    byCategory: getBreakdown(completed, entry => entry.category)
+  };
+};
+
+// Short duration such as "45 min", "5 h" or "2.5 days"
+export const formatDuration = (ms) => {
+  if (ms === null) return '–';
+  if (ms < HOUR_MS) return t('duration.minutes', { count: Math.max(1, Math.round(ms / (1000 * 60))) });
+  if (ms < DAY_MS) return t('duration.hours', { count: Math.round(ms / HOUR_MS) });
+  return t('duration.days', { count: Math.round((ms / DAY_MS) * 10) / 10 });
+};
@@ -0,0 +1,232 @@
+// Export and import of the whole task database as a versioned JSON document:
+//
+// {
+//   format: 'task-manager-backup',
+//   version: 1,
+//   exportedAt: '2026-10-19T09:00:00.000Z',
+//   data: { tasks: [...], categories: [...], settings: {...} }
+// }
+//
+// New entities go under `data` as extra keys. Importers ignore keys they do
+// not know, so older app versions can still read newer backups.
+
+import { t } from './i18n';
+import { nextFreeId } from './ids';
+import { FREQUENCIES } from './recurrence';
+
+export const BACKUP_FORMAT = 'task-manager-backup';
+export const BACKUP_VERSION = 1;
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+export const buildBackup = ({ tasks, categories, settings }, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: now.toISOString(),
+  data: { tasks, categories, settings }
+});
+
+export const serializeBackup = (state) => JSON.stringify(buildBackup(state), null, 2);
+
+const isValidId = (value) =>
+  (typeof value === 'number' && isFinite(value)) || (typeof value === 'string' && value.length > 0);
+
+const isMissing = (value) => value === null || value === undefined;
+
+const isValidDate = (value) => !isMissing(value) && !isNaN(new Date(value).getTime());
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isWholeNumber = (value, min, max = Infinity) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+const REMINDER_TYPES = ['due', 'before', 'custom'];
+
+// Problems with the fields of one subtask, prefixed with its position
+const validateSubtask = (subtask, index) => {
+  const label = `subtask ${index + 1}`;
+  if (!isObject(subtask)) return [`${label} is not an object`];
+  const problems = [];
+  if (!isValidId(subtask.id)) problems.push(`${label} has no valid id`);
+  if (typeof subtask.text !== 'string') problems.push(`${label} has no text`);
+  if (typeof subtask.completed !== 'boolean') problems.push(`${label} completed must be true or false`);
+  return problems;
+};
+
+// Problems with a recurrence series, see utils/recurrence.js for its shape
+const validateRecurrence = (recurrence) => {
+  if (!isObject(recurrence)) return ['recurrence is not an object'];
+  const { rule } = recurrence;
+  if (!isObject(rule)) return ['recurrence has no rule'];
+
+  const problems = [];
+  if (!FREQUENCIES.includes(rule.frequency)) problems.push(`unknown repeat frequency "${rule.frequency}"`);
+  if (!isWholeNumber(rule.interval, 1)) problems.push('repeat interval must be a whole number from 1');
+  const weekdays = isMissing(rule.weekdays) ? [] : rule.weekdays;
+  if (!Array.isArray(weekdays) || !weekdays.every(day => isWholeNumber(day, 0, 6))) {
+    problems.push('repeat weekdays must be a list of days 0 to 6');
+  }
+  if (!isMissing(rule.dayOfMonth) && rule.dayOfMonth !== -1 && !isWholeNumber(rule.dayOfMonth, 1, 31)) {
+    problems.push('invalid repeat day of month');
+  }
+  if (!isMissing(rule.endAfter) && !isWholeNumber(rule.endAfter, 1)) problems.push('invalid repeat count');
+  if (!isMissing(rule.endDate) && !isValidDate(rule.endDate)) problems.push('invalid repeat end date');
+  if (!isValidId(recurrence.seriesId)) problems.push('recurrence has no valid series id');
+  if (!isWholeNumber(recurrence.occurrence, 1)) problems.push('invalid recurrence occurrence');
+  if (!isMissing(recurrence.anchorDay) && !isWholeNumber(recurrence.anchorDay, 1, 31)) {
+    problems.push('invalid recurrence anchor day');
+  }
+  if (!isMissing(recurrence.history)) {
+    const history = Array.isArray(recurrence.history) ? recurrence.history : [null];
+    const validEntry = (entry) => isObject(entry)
+      && (isMissing(entry.dueDate) || isValidDate(entry.dueDate))
+      && (isMissing(entry.completedAt) || isValidDate(entry.completedAt));
+    if (!history.every(validEntry)) problems.push('invalid recurrence history');
+  }
+  return problems;
+};
+
+// Problems with a reminder, see utils/reminders.js for its shape
+const validateReminder = (reminder) => {
+  if (!isObject(reminder) || !REMINDER_TYPES.includes(reminder.type)) return ['invalid reminder'];
+  if (reminder.type === 'before' && !(typeof reminder.offset === 'number' && isFinite(reminder.offset))) {
+    return ['reminder offset must be a number'];
+  }
+  if (reminder.type === 'custom' && !isValidDate(reminder.at)) return ['invalid reminder time'];
+  return [];
+};
+
+// List of problems with one task record, empty when valid
+export const validateTask = (task) => {
+  const problems = [];
+  if (!task || typeof task !== 'object' || Array.isArray(task)) return ['not an object'];
+  if (!isValidId(task.id)) problems.push('missing or invalid id');
+  if (typeof task.text !== 'string' || !task.text.trim()) problems.push('missing text');
+  if (typeof task.completed !== 'boolean') problems.push('completed must be true or false');
+  if (task.priority !== undefined && !PRIORITIES.includes(task.priority)) {
+    problems.push(`unknown priority "${task.priority}"`);
+  }
+  if (!isValidDate(task.createdAt)) problems.push('invalid createdAt');
+  if (!isMissing(task.dueDate) && !isValidDate(task.dueDate)) {
+    problems.push('invalid dueDate');
+  }
+  if (!isMissing(task.completedAt) && !isValidDate(task.completedAt)) {
+    problems.push('invalid completedAt');
+  }
+  if (task.notes !== undefined && typeof task.notes !== 'string') {
+    problems.push('notes must be text');
+  }
+  if (task.subtasks !== undefined) {
+    if (Array.isArray(task.subtasks)) {
+      task.subtasks.forEach((subtask, index) => problems.push(...validateSubtask(subtask, index)));
+    } else {
+      problems.push('subtasks must be a list');
+    }
+  }
+  if (!isMissing(task.category) && !isValidId(task.category)) problems.push('invalid category');
+  if (!isMissing(task.deletedAt) && !isValidDate(task.deletedAt)) problems.push('invalid deletedAt');
+  if (!isMissing(task.recurrence)) problems.push(...validateRecurrence(task.recurrence));
+  if (!isMissing(task.reminder)) problems.push(...validateReminder(task.reminder));
+  return problems;
+};
+
+// List of problems with one category record, empty when valid
+export const validateCategory = (category) => {
+  const problems = [];
+  if (!category || typeof category !== 'object' || Array.isArray(category)) return ['not an object'];
+  if (!isValidId(category.id)) problems.push('missing or invalid id');
+  if (typeof category.name !== 'string' || !category.name.trim()) problems.push('missing name');
+  if (typeof category.color !== 'string') problems.push('missing color');
+  return problems;
+};
+
+// Parse and validate backup text. Returns
+// { ok, error, tasks, categories, settings, errors: [{ entity, index, problems }] }
+// where tasks/categories contain only the records that passed validation.
+export const parseBackup = (text) => {
+  const result = { ok: false, error: null, tasks: [], categories: [], settings: {}, errors: [] };
+
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    result.error = t('backup.error.json');
+    return result;
+  }
+
+  if (!doc || doc.format !== BACKUP_FORMAT) {
+    result.error = t('backup.error.format');
+    return result;
+  }
+  if (typeof doc.version !== 'number' || doc.version > BACKUP_VERSION) {
+    result.error = t('backup.error.version', { version: doc.version });
+    return result;
+  }
+  if (!doc.data || !Array.isArray(doc.data.tasks)) {
+    result.error = t('backup.error.noTasks');
+    return result;
+  }
+
+  const collect = (entity, records, validate) => records.filter((record, index) => {
+    const problems = validate(record);
+    if (problems.length > 0) result.errors.push({ entity, index, problems });
+    return problems.length === 0;
+  });
+
+  result.tasks = collect('task', doc.data.tasks, validateTask);
+  result.categories = collect('category', doc.data.categories || [], validateCategory);
+  result.settings = doc.data.settings && typeof doc.data.settings === 'object' ? doc.data.settings : {};
+  result.ok = true;
+  return result;
+};
+
+// Merge incoming records into existing ones by id.
+// conflict: 'keep' keeps the existing record, 'overwrite' takes the incoming
+// one, 'duplicate' adds the incoming record under a fresh id.
+// Returns { records, idMap } where idMap maps renamed incoming ids.
+const mergeById = (existing, incoming, conflict, makeId) => {
+  const ids = new Set(existing.map(record => record.id));
+  const idMap = {};
+  let records = [...existing];
+
+  incoming.forEach(record => {
+    if (!ids.has(record.id)) {
+      records.push(record);
+      ids.add(record.id);
+    } else if (conflict === 'overwrite') {
+      records = records.map(r => (r.id === record.id ? record : r));
+    } else if (conflict === 'duplicate') {
+      const id = makeId(ids);
+      idMap[record.id] = id;
+      records.push({ ...record, id });
+      ids.add(id);
+    }
+  });
+
+  return { records, idMap };
+};
+
+// Combine imported data with the current data.
+// mode 'replace' discards current records, 'merge' combines them.
+export const applyImport = (current, imported, mode = 'merge', conflict = 'keep') => {
+  if (mode === 'replace') {
+    return { tasks: imported.tasks, categories: imported.categories };
+  }
+
+  const categories = mergeById(current.categories, imported.categories, conflict, nextFreeId);
+  // Point tasks at the new ids of duplicated categories
+  const incomingTasks = imported.tasks.map(task =>
+    categories.idMap[task.category] !== undefined
+      ? { ...task, category: categories.idMap[task.category] }
+      : task
+  );
+  const tasks = mergeById(current.tasks, incomingTasks, conflict, nextFreeId);
+
+  return { tasks: tasks.records, categories: categories.records };
+};
+
+// Human readable lines for validation errors. The problems name raw backup
+// fields, so they stay untranslated.
+export const describeErrors = (errors) =>
+  errors.map(({ entity, index, problems }) =>
+    `${t(`backup.entity.${entity}`, { number: index + 1 })}: ${problems.join(', ')}`);
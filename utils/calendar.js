@@ -0,0 +1,111 @@
+import { isAllDay, startOfDay, withTime, formatDay, formatWeekday } from './dates';
+import { getLocale } from './i18n';
+
+// Date math for the calendar screen. `weekStartsOn` is the weekday a week
+// begins on (0 Sunday, 1 Monday), as chosen in settings.
+
+export const getWeekdayLabels = (weekStartsOn = 0) =>
+  Array.from({ length: 7 }, (_, i) => formatWeekday((i + weekStartsOn) % 7, 'narrow'));
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Local calendar day as YYYY-MM-DD, stable across time zones and DST
+export const getDayKey = (date) => formatDay(date, 'iso');
+
+export const isSameDay = (a, b) => getDayKey(a) === getDayKey(b);
+
+export const addDays = (date, days) => {
+  const result = startOfDay(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Clamps to the first of the month so Jan 31 + 1 month doesn't skip February
+export const addMonths = (date, months) => {
+  const result = startOfDay(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+export const startOfWeek = (date, weekStartsOn = 0) =>
+  addDays(date, -((new Date(date).getDay() - weekStartsOn + 7) % 7));
+
+// The 7 days of the week containing `date`
+export const getWeekDays = (date, weekStartsOn = 0) => {
+  const first = startOfWeek(date, weekStartsOn);
+  return Array.from({ length: 7 }, (_, i) => addDays(first, i));
+};
+
+// Whole weeks covering the month of `date`, padded with the neighbouring months
+export const getMonthWeeks = (date, weekStartsOn = 0) => {
+  const first = addMonths(date, 0);
+  const last = addDays(addMonths(date, 1), -1);
+  const weeks = [];
+  for (let day = startOfWeek(first, weekStartsOn); day <= last; day = addDays(day, 7)) {
+    weeks.push(getWeekDays(day, weekStartsOn));
+  }
+  return weeks;
+};
+
+export const formatMonthTitle = (date) =>
+  new Date(date).toLocaleDateString(getLocale(), { month: 'long', year: 'numeric' });
+
+export const formatWeekTitle = (date, weekStartsOn = 0, dateFormat) => {
+  const days = getWeekDays(date, weekStartsOn);
+  return `${formatDay(days[0], dateFormat)} – ${formatDay(days[6], dateFormat)}`;
+};
+
+export const formatDayTitle = (date) =>
+  new Date(date).toLocaleDateString(getLocale(), { weekday: 'long', month: 'long', day: 'numeric' });
+
+// Tasks of one day in agenda order: timed tasks by time first, then priority
+const compareDayTasks = (a, b) => {
+  const aTimed = !isAllDay(a);
+  const bTimed = !isAllDay(b);
+  if (aTimed !== bTimed) return aTimed ? -1 : 1;
+  if (aTimed && bTimed) {
+    const diff = new Date(a.dueDate) - new Date(b.dueDate);
+    if (diff !== 0) return diff;
+  }
+  return PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority];
+};
+
+// Scheduled tasks keyed by day, each day already in agenda order
+export const groupTasksByDay = (tasks) => {
+  const days = {};
+  tasks.forEach(task => {
+    if (!task.dueDate) return;
+    const key = getDayKey(task.dueDate);
+    (days[key] = days[key] || []).push(task);
+  });
+  Object.keys(days).forEach(key => days[key].sort(compareDayTasks));
+  return days;
+};
+
+// Up to `max` dots for a day cell, open tasks first, plus how many didn't fit
+export const getDayDots = (dayTasks = [], max = 3) => {
+  const ordered = [...dayTasks].sort((a, b) =>
+    (a.completed - b.completed) || (PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority])
+  );
+  return {
+    dots: ordered.slice(0, max).map(task => ({
+      id: task.id,
+      priority: task.priority,
+      completed: task.completed
+    })),
+    overflow: Math.max(0, ordered.length - max)
+  };
+};
+
+// Due value for a task moved to `day`; timed tasks keep their time of day
+export const moveDueToDay = (task, day) => {
+  if (task.dueDate && !isAllDay(task)) return withTime(day, new Date(task.dueDate));
+  return startOfDay(day);
+};
+
+// Index of the rect containing the point, or -1. Rects come from measureInWindow.
+export const findDropTarget = (rects, x, y) =>
+  rects.findIndex(rect =>
+    rect && x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+  );
@@ -0,0 +1,33 @@
+// Palette offered when creating or recoloring a category
+export const CATEGORY_COLORS = [
+  '#6366f1',
+  '#3b82f6',
+  '#06b6d4',
+  '#10b981',
+  '#84cc16',
+  '#f59e0b',
+  '#f97316',
+  '#ef4444',
+  '#ec4899',
+  '#a855f7'
+];
+
+// Build a new category object
+export const createCategory = (name, color = CATEGORY_COLORS[0]) => ({
+  id: Date.now(),
+  name: name.trim(),
+  color,
+  createdAt: new Date()
+});
+
+// Next color in the palette, used to cycle a category's color
+export const getNextColor = (color) => {
+  const index = CATEGORY_COLORS.indexOf(color);
+  return CATEGORY_COLORS[(index + 1) % CATEGORY_COLORS.length];
+};
+
+// Find a category by id
+export const findCategory = (categories, id) => {
+  if (id === null || id === undefined) return null;
+  return categories.find(category => category.id === id) || null;
+};
@@ -0,0 +1,103 @@
+// Due date helpers shared by the list, the statistics and the item rows.
+//
+// A task's dueDate is either all-day (`allDay` true, stored at local
+// midnight) or timed (`allDay: false`, the exact moment it is due). Tasks
+// saved before times were supported have no `allDay` flag and are treated
+// as all-day, which matches the date-only picker they were created with.
+
+import { t, getLocale } from './i18n';
+
+const MINUTE_MS = 1000 * 60;
+const HOUR_MS = MINUTE_MS * 60;
+
+export const isAllDay = (task) => task.allDay !== false;
+
+export const startOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
+export const endOfDay = (date) => {
+  const result = new Date(date);
+  result.setHours(23, 59, 59, 999);
+  return result;
+};
+
+// Whole calendar days from `now` to `date` (negative when in the past)
+export const calendarDaysBetween = (now, date) =>
+  Math.round((startOfDay(date) - startOfDay(now)) / (HOUR_MS * 24));
+
+// Moment after which the task counts as late
+export const getDueDeadline = (task) => {
+  if (!task.dueDate) return null;
+  return isAllDay(task) ? endOfDay(task.dueDate) : new Date(task.dueDate);
+};
+
+export const isOverdue = (task, now = new Date()) => {
+  if (!task.dueDate || task.completed) return false;
+  return getDueDeadline(task) < now;
+};
+
+// Normalize a picked date to the stored due value
+export const toDueDate = (date, allDay) => (allDay ? startOfDay(date) : new Date(date));
+
+// Combine the day of `date` with the time of day of `time`
+export const withTime = (date, time) => {
+  const result = new Date(date);
+  result.setHours(time.getHours(), time.getMinutes(), 0, 0);
+  return result;
+};
+
+// Relative label such as "Due in 45 min" or "Due tomorrow", in the
+// current language
+export const getTimeRemaining = (task, now = new Date()) => {
+  if (!task.dueDate) return '';
+  const due = new Date(task.dueDate);
+
+  if (isOverdue(task, now)) return t('due.overdue');
+
+  if (!isAllDay(task)) {
+    const diff = due - now;
+    if (diff < HOUR_MS) return t('due.inMinutes', { count: Math.max(1, Math.round(diff / MINUTE_MS)) });
+    if (diff < HOUR_MS * 12) return t('due.inHours', { count: Math.floor(diff / HOUR_MS) });
+  }
+
+  const days = calendarDaysBetween(now, due);
+  if (days <= 0) return t('due.today');
+  if (days === 1) return t('due.tomorrow');
+  if (days < 7) return t('due.inDays', { count: days });
+  if (days < 30) return t('due.inWeeks', { count: Math.floor(days / 7) });
+  return t('due.inMonths', { count: Math.floor(days / 30) });
+};
+
+// Day label in one of the formats offered in settings: "Oct 20",
+// "20 Oct" or "2026-10-20". Month names follow the current language.
+export const formatDay = (date, dateFormat = 'monthDay') => {
+  const d = new Date(date);
+  if (dateFormat === 'iso') {
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  }
+  const month = d.toLocaleDateString(getLocale(), { month: 'short' });
+  if (dateFormat === 'dayMonth') return `${d.getDate()} ${month}`;
+  return `${month} ${d.getDate()}`;
+};
+
+// Weekday name in the current language, 0 being Sunday. `style` is
+// 'narrow' ("S"), 'short' ("Sun") or 'long' ("Sunday").
+export const formatWeekday = (weekday, style = 'short') =>
+  new Date(2026, 0, 4 + weekday).toLocaleDateString(getLocale(), { weekday: style });
+
+// Time of day in the current locale, e.g. "5:00 PM" or "17:00"
+export const formatTime = (date) =>
+  new Date(date).toLocaleTimeString(getLocale(), { hour: 'numeric', minute: '2-digit' });
+
+// Short label for the due badge, e.g. "Oct 20" or "Oct 20, 5:00 PM"
+export const formatDueDate = (task, dateFormat) => {
+  const due = new Date(task.dueDate);
+  const day = formatDay(due, dateFormat);
+  if (isAllDay(task)) return day;
+  return `${day}, ${formatTime(due)}`;
+};
@@ -0,0 +1,59 @@
+// Promise based dialogs shown through the themed AlertModal. DialogHost
+// registers itself here, and callers import this as `* as dialog`:
+//
+//   if (await dialog.confirm({ title: 'Delete?', destructive: true })) ...
+//
+// Requests made while a dialog is open wait their turn. Button labels
+// default to the current language.
+//
+// iOS presents one modal at a time, so a dialog from a screen inside a
+// Modal has to come from a DialogHost rendered inside that Modal. Requests
+// go to the host mounted last.
+
+import { t } from './i18n';
+
+let hosts = [];
+
+// Returns a function that unregisters the host again
+export const addDialogHost = (host) => {
+  hosts = [...hosts, host];
+  return () => {
+    hosts = hosts.filter(item => item !== host);
+  };
+};
+
+// Resolves with `fallback` when no host is mounted, e.g. during loading
+const open = (request, fallback) => new Promise(resolve => {
+  const show = hosts[hosts.length - 1];
+  if (!show) {
+    resolve(fallback);
+    return;
+  }
+  show({ ...request, resolve });
+});
+
+// Message with a single button. Resolves once dismissed.
+export const alert = ({ title, message = '', type = 'info', confirmText = t('common.ok') }) =>
+  open({ kind: 'alert', title, message, type, confirmText }, undefined);
+
+// Resolves true when confirmed and false when cancelled
+export const confirm = ({
+  title,
+  message = '',
+  type = 'confirm',
+  confirmText = t('common.ok'),
+  cancelText = t('common.cancel'),
+  destructive = false
+}) => open({ kind: 'confirm', title, message, type, confirmText, cancelText, destructive }, false);
+
+// Resolves with the entered text, or null when cancelled
+export const prompt = ({
+  title,
+  message = '',
+  type = 'info',
+  defaultValue = '',
+  placeholder = '',
+  confirmText = t('common.ok'),
+  cancelText = t('common.cancel')
+}) => open({ kind: 'prompt', title, message, type, defaultValue, placeholder, confirmText, cancelText }, null);
+
@@ -0,0 +1,18 @@
+import * as ExpoHaptics from 'expo-haptics';
+
+// Drop-in replacement for expo-haptics that honours the haptics preference.
+// Components import it as `* as Haptics` and call it exactly as before.
+
+let enabled = true;
+
+export const setHapticsEnabled = (value) => {
+  enabled = value;
+};
+
+export const { ImpactFeedbackStyle, NotificationFeedbackType } = ExpoHaptics;
+
+export const selectionAsync = () => (enabled ? ExpoHaptics.selectionAsync() : Promise.resolve());
+
+export const impactAsync = (style) => (enabled ? ExpoHaptics.impactAsync(style) : Promise.resolve());
+
+export const notificationAsync = (type) => (enabled ? ExpoHaptics.notificationAsync(type) : Promise.resolve());
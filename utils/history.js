@@ -0,0 +1,129 @@
+// Undo/redo history for the task list.
+//
+// Each entry records only the tasks a mutation touched (their state before
+// and after, null when absent) plus the id order of the list when the order
+// changed. That keeps entries small enough to persist, and lets undo and
+// redo replay the same change in either direction.
+
+export const HISTORY_LIMIT = 50;
+
+export const emptyHistory = () => ({ past: [], future: [] });
+
+const idsOf = (tasks) => tasks.map(task => task.id);
+
+const sameOrder = (a, b) => a.length === b.length && a.every((id, i) => id === b[i]);
+
+// Describe the change from prevTasks to nextTasks, or null if nothing changed
+export const createEntry = (label, prevTasks, nextTasks) => {
+  const before = new Map(prevTasks.map(task => [task.id, task]));
+  const after = new Map(nextTasks.map(task => [task.id, task]));
+  const changes = [];
+
+  before.forEach((task, id) => {
+    if (after.get(id) !== task) {
+      changes.push({ id, before: task, after: after.get(id) || null });
+    }
+  });
+  after.forEach((task, id) => {
+    if (!before.has(id)) changes.push({ id, before: null, after: task });
+  });
+
+  const orderBefore = idsOf(prevTasks);
+  const orderAfter = idsOf(nextTasks);
+  const orderChanged = !sameOrder(orderBefore, orderAfter);
+
+  if (changes.length === 0 && !orderChanged) return null;
+
+  // The full id order is only worth storing when the change moved tasks
+  return {
+    label,
+    timestamp: Date.now(),
+    changes,
+    ...(orderChanged && { orderBefore, orderAfter })
+  };
+};
+
+// Apply one side ('before' or 'after') of an entry to the current tasks
+const applyEntry = (tasks, entry, side) => {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  entry.changes.forEach(change => {
+    if (change[side]) {
+      byId.set(change.id, change[side]);
+    } else {
+      byId.delete(change.id);
+    }
+  });
+
+  // Without a stored order the tasks stay where they are now
+  const order = (side === 'before' ? entry.orderBefore : entry.orderAfter) || idsOf(tasks);
+  const result = [];
+  order.forEach(id => {
+    if (byId.has(id)) {
+      result.push(byId.get(id));
+      byId.delete(id);
+    }
+  });
+  // Tasks the entry doesn't know about keep their place at the end
+  byId.forEach(task => result.push(task));
+  return result;
+};
+
+// Record a mutation, dropping the redo branch and the oldest entries
+export const record = (history, entry, limit = HISTORY_LIMIT) => {
+  if (!entry) return history;
+  return {
+    past: [...history.past, entry].slice(-limit),
+    future: []
+  };
+};
+
+export const canUndo = (history) => history.past.length > 0;
+
+export const canRedo = (history) => history.future.length > 0;
+
+// Returns { history, tasks, entry } or null when there is nothing to undo
+export const undo = (history, tasks) => {
+  if (!canUndo(history)) return null;
+  const entry = history.past[history.past.length - 1];
+  return {
+    entry,
+    tasks: applyEntry(tasks, entry, 'before'),
+    history: {
+      past: history.past.slice(0, -1),
+      future: [entry, ...history.future]
+    }
+  };
+};
+
+// Returns { history, tasks, entry } or null when there is nothing to redo
+export const redo = (history, tasks) => {
+  if (!canRedo(history)) return null;
+  const [entry, ...future] = history.future;
+  return {
+    entry,
+    tasks: applyEntry(tasks, entry, 'after'),
+    history: {
+      past: [...history.past, entry],
+      future
+    }
+  };
+};
+
+// Rebuild a stored history, converting task snapshots with `reviveTask`
+export const reviveHistory = (stored, reviveTask) => {
+  if (!stored || !Array.isArray(stored.past) || !Array.isArray(stored.future)) {
+    return emptyHistory();
+  }
+  const reviveEntry = (entry) => ({
+    ...entry,
+    changes: entry.changes.map(change => ({
+      ...change,
+      before: change.before ? reviveTask(change.before) : null,
+      after: change.after ? reviveTask(change.after) : null
+    }))
+  });
+  return {
+    past: stored.past.map(reviveEntry),
+    future: stored.future.map(reviveEntry)
+  };
+};
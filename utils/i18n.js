@@ -0,0 +1,76 @@
+import en from '../locales/en';
+import es from '../locales/es';
+
+// Translations. Catalogs in locales/ map message keys to text, with
+// `{name}` placeholders filled from the params passed to `t`. A message
+// that depends on a count is an object of plural forms, picked with
+// `params.count`:
+//
+//   'tasks.toGo': { one: '{count} task to go!', other: '{count} tasks to go!' }
+//
+// Hermes has no Intl.PluralRules or Intl.RelativeTimeFormat, so plural
+// rules live here and relative dates are plain messages (see utils/dates.js).
+// Dates and times go through toLocaleDateString with getLocale().
+
+export const CATALOGS = { en, es };
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// 'system' follows the device language when there is a catalog for it
+export const SYSTEM_LANGUAGE = 'system';
+
+// CLDR plural category for `count`, per language
+const PLURAL_RULES = {
+  en: (count) => (count === 1 ? 'one' : 'other'),
+  es: (count) => (count === 1 ? 'one' : 'other')
+};
+
+let language = DEFAULT_LANGUAGE;
+let locale = DEFAULT_LANGUAGE;
+
+const getSystemLocale = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().locale || DEFAULT_LANGUAGE;
+  } catch (error) {
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+// Language actually used for a preference: its own value, or for 'system'
+// the device language, falling back to English without a catalog for it
+export const resolveLanguage = (preference, systemLocale = getSystemLocale()) => {
+  if (CATALOGS[preference]) return preference;
+  const systemLanguage = systemLocale.split('-')[0];
+  return CATALOGS[systemLanguage] ? systemLanguage : DEFAULT_LANGUAGE;
+};
+
+// Switch every later `t` call and date format to `preference`. The device
+// locale is kept when it is in the same language, so es-MX stays es-MX.
+export const setLanguage = (preference) => {
+  const systemLocale = getSystemLocale();
+  language = resolveLanguage(preference, systemLocale);
+  locale = systemLocale.split('-')[0] === language ? systemLocale : language;
+  return language;
+};
+
+export const getLanguage = () => language;
+
+// BCP 47 tag for toLocaleDateString and friends
+export const getLocale = () => locale;
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+const lookup = (code, key, params) => {
+  const message = CATALOGS[code][key];
+  if (message === undefined || typeof message === 'string') return message;
+  const rule = PLURAL_RULES[code] || PLURAL_RULES[DEFAULT_LANGUAGE];
+  return message[rule(params.count)] || message.other;
+};
+
+// Message for `key` in the current language, falling back to English and
+// then to the key itself so a missing translation is easy to spot
+export const t = (key, params = {}) => {
+  const message = lookup(language, key, params) || lookup(DEFAULT_LANGUAGE, key, params);
+  return message === undefined ? key : interpolate(message, params);
+};
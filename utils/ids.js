@@ -0,0 +1,9 @@
+// Task and category ids are numbers based on Date.now().
+
+// Fresh numeric id not in `ids`, so records made in the same millisecond
+// still get distinct ids
+export const nextFreeId = (ids) => {
+  let id = Date.now();
+  while (ids.has(id)) id += 1;
+  return id;
+};
@@ -0,0 +1,30 @@
+// Deep links into the app, e.g. taskmanager://task/1729334400000 opens the
+// detail screen of that task. The scheme is registered in app.json.
+
+export const LINK_PREFIX = 'taskmanager://';
+
+// Task ids are timestamps, but imported tasks may carry string ids
+export const parseTaskId = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+export const getTaskLink = (taskId) => `${LINK_PREFIX}task/${encodeURIComponent(taskId)}`;
+
+// Linking configuration for the NavigationContainer
+export const linking = {
+  prefixes: [LINK_PREFIX],
+  config: {
+    screens: {
+      Main: {
+        screens: {
+          Tasks: 'tasks',
+          Calendar: 'calendar',
+          Stats: 'stats',
+          Settings: 'settings'
+        }
+      },
+      TaskDetail: {
+        path: 'task/:taskId',
+        parse: { taskId: parseTaskId }
+      }
+    }
+  }
+};
@@ -0,0 +1,103 @@
+// A small markdown subset for task notes:
+//
+//   # Heading, ## Heading        headings, up to three levels
+//   - item, * item, 1. item      bullet and numbered lists
+//   - [ ] todo, - [x] done       checklist items, tappable in the preview
+//   **bold**, *italic*, `code`   inline styles
+//   [label](https://…)           links, bare http(s) URLs are linked too
+//
+// Anything else is a paragraph. Blank lines separate paragraphs; single
+// line breaks inside a paragraph are kept.
+
+const HEADING = /^(#{1,3})\s+(.*)$/;
+const CHECKBOX = /^\s*[-*+]\s+\[( |x|X)\]\s+(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const ORDERED = /^\s*(\d+)[.)]\s+(.*)$/;
+
+const INLINE = /(\*\*([^*]+)\*\*|__([^_]+)__|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s)]+)|\*([^*\s][^*]*?)\*|_([^_\s][^_]*?)_)/g;
+
+const LINK_SCHEMES = /^(https?:|mailto:)/i;
+
+// Split notes into blocks. `line` is the source line index of each block,
+// so checklist items can be toggled in place.
+export const parseMarkdown = (source = '') => {
+  const blocks = [];
+  let paragraph = null;
+
+  const closeParagraph = () => {
+    if (paragraph) blocks.push(paragraph);
+    paragraph = null;
+  };
+
+  source.split('\n').forEach((raw, line) => {
+    if (!raw.trim()) {
+      closeParagraph();
+      return;
+    }
+
+    let match;
+    if ((match = HEADING.exec(raw))) {
+      closeParagraph();
+      blocks.push({ type: 'heading', level: match[1].length, text: match[2], line });
+    } else if ((match = CHECKBOX.exec(raw))) {
+      closeParagraph();
+      blocks.push({ type: 'checkbox', checked: match[1].toLowerCase() === 'x', text: match[2], line });
+    } else if ((match = BULLET.exec(raw))) {
+      closeParagraph();
+      blocks.push({ type: 'bullet', text: match[1], line });
+    } else if ((match = ORDERED.exec(raw))) {
+      closeParagraph();
+      blocks.push({ type: 'ordered', number: Number(match[1]), text: match[2], line });
+    } else if (paragraph) {
+      paragraph.text += `\n${raw}`;
+    } else {
+      paragraph = { type: 'paragraph', text: raw, line };
+    }
+  });
+
+  closeParagraph();
+  return blocks;
+};
+
+// Split a block's text into styled runs
+export const parseInline = (text) => {
+  const runs = [];
+  let cursor = 0;
+  let match;
+
+  INLINE.lastIndex = 0;
+  while ((match = INLINE.exec(text)) !== null) {
+    if (match.index > cursor) runs.push({ type: 'text', text: text.slice(cursor, match.index) });
+
+    const [whole, , bold, boldAlt, code, label, url, bareUrl, italic, italicAlt] = match;
+    if (bold || boldAlt) runs.push({ type: 'bold', text: bold || boldAlt });
+    else if (code) runs.push({ type: 'code', text: code });
+    else if (label) runs.push(isSafeLink(url) ? { type: 'link', text: label, url } : { type: 'text', text: whole });
+    else if (bareUrl) runs.push({ type: 'link', text: bareUrl, url: bareUrl });
+    else runs.push({ type: 'italic', text: italic || italicAlt });
+
+    cursor = match.index + whole.length;
+  }
+
+  if (cursor < text.length) runs.push({ type: 'text', text: text.slice(cursor) });
+  return runs;
+};
+
+// Only web and mail links are opened from notes
+export const isSafeLink = (url) => LINK_SCHEMES.test(url);
+
+// Tick or untick the checklist item on `line`
+export const toggleChecklistItem = (source, line) => {
+  const lines = source.split('\n');
+  const match = CHECKBOX.exec(lines[line] || '');
+  if (!match) return source;
+
+  lines[line] = lines[line].replace(/\[( |x|X)\]/, match[1] === ' ' ? '[x]' : '[ ]');
+  return lines.join('\n');
+};
+
+// Plain text version of the notes, used for search and previews
+export const stripMarkdown = (source = '') =>
+  parseMarkdown(source)
+    .map(block => parseInline(block.text).map(run => run.text).join(''))
+    .join(' ');
@@ -0,0 +1,77 @@
+import { ACCENTS, DEFAULT_ACCENT } from './theme';
+import { CATALOGS, SYSTEM_LANGUAGE } from './i18n';
+
+// User preferences, stored together under STORAGE_KEYS.preferences. The
+// theme mode and the list sort keep their own keys from before this existed.
+
+export const DEFAULT_PREFERENCES = {
+  language: SYSTEM_LANGUAGE,
+  accent: DEFAULT_ACCENT,
+  highContrast: false,
+  defaultPriority: 'medium',
+  haptics: true,
+  confetti: true,
+  weekStartsOn: 0,
+  dateFormat: 'monthDay',
+  confirmDelete: true,
+  autoClearCompletedDays: 0,
+  // Sync server address, see utils/sync.js; empty when sync is off
+  syncUrl: ''
+};
+
+// Option labels are message keys, with `count` for plural messages.
+// Language names are shown in their own language, so they are not keys.
+export const LANGUAGE_OPTIONS = [
+  { value: SYSTEM_LANGUAGE, labelKey: 'settings.language.system' },
+  ...Object.keys(CATALOGS).map(code => ({ value: code, label: CATALOGS[code]['language.name'] }))
+];
+
+export const PRIORITY_OPTIONS = [
+  { value: 'low', labelKey: 'priority.low' },
+  { value: 'medium', labelKey: 'priority.medium' },
+  { value: 'high', labelKey: 'priority.high' }
+];
+
+export const WEEK_START_OPTIONS = [
+  { value: 0, labelKey: 'settings.weekStart.sunday' },
+  { value: 1, labelKey: 'settings.weekStart.monday' }
+];
+
+// Shown as the format itself, see formatDay in utils/dates.js
+export const DATE_FORMAT_OPTIONS = [
+  { value: 'monthDay' },
+  { value: 'dayMonth' },
+  { value: 'iso' }
+];
+
+// Days after completion before a task moves to the trash; 0 never does
+export const AUTO_CLEAR_OPTIONS = [
+  { value: 0, labelKey: 'common.off' },
+  { value: 1, labelKey: 'common.days', count: 1 },
+  { value: 7, labelKey: 'common.days', count: 7 },
+  { value: 30, labelKey: 'common.days', count: 30 }
+];
+
+const OPTIONS = {
+  language: LANGUAGE_OPTIONS,
+  accent: ACCENTS,
+  defaultPriority: PRIORITY_OPTIONS,
+  weekStartsOn: WEEK_START_OPTIONS,
+  dateFormat: DATE_FORMAT_OPTIONS,
+  autoClearCompletedDays: AUTO_CLEAR_OPTIONS
+};
+
+// Merge stored values over the defaults, dropping any that are no longer valid
+export const revivePreferences = (stored) => {
+  const preferences = { ...DEFAULT_PREFERENCES };
+  if (!stored || typeof stored !== 'object') return preferences;
+
+  Object.keys(DEFAULT_PREFERENCES).forEach(key => {
+    const value = stored[key];
+    const valid = OPTIONS[key]
+      ? OPTIONS[key].some(option => option.value === value)
+      : typeof value === typeof DEFAULT_PREFERENCES[key];
+    if (valid) preferences[key] = value;
+  });
+  return preferences;
+};
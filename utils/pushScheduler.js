@@ -0,0 +1,105 @@
+import { Platform } from 'react-native';
+import PushNotification from 'react-native-push-notification';
+import PushNotificationIOS from '@react-native-community/push-notification-ios';
+import { t } from './i18n';
+
+// Scheduler backed by react-native-push-notification, see utils/reminders.js
+// for the interface it implements.
+//
+// Android shows the action buttons listed on each notification and reports a
+// press by the button's label. iOS only shows buttons of a registered
+// category and reports a press by the button's id. Each notification keeps
+// its label -> id map in userInfo so both come back as the stable id.
+
+const CHANNEL_ID = 'task-reminders';
+const IOS_CATEGORY = 'task-reminder';
+
+// Stable id of the pressed button, or null for a tap on the notification
+const getActionId = (action, actionIds = {}) => {
+  if (!action) return null;
+  if (actionIds[action]) return actionIds[action];
+  return Object.values(actionIds).includes(action) ? action : null;
+};
+
+// Must run once at startup, outside of any component lifecycle. onOpen gets
+// the notification data when the notification itself is tapped.
+const configure = (onAction, onOpen = () => {}) => {
+  PushNotification.configure({
+    onNotification: (notification) => {
+      const { actionIds, ...data } = notification.data || notification.userInfo || {};
+      const action = getActionId(notification.action, actionIds);
+      if (action) {
+        onAction({
+          action,
+          title: notification.title,
+          message: notification.message,
+          data
+        });
+      } else if (notification.userInteraction) {
+        onOpen(data);
+      }
+      if (notification.finish) {
+        notification.finish(PushNotificationIOS.FetchResult.NoData);
+      }
+    },
+    onAction: (notification) => {
+      const { actionIds, ...data } = notification.data || notification.userInfo || {};
+      onAction({
+        action: getActionId(notification.action, actionIds),
+        title: notification.title,
+        message: notification.message,
+        data
+      });
+    },
+    permissions: { alert: true, badge: false, sound: true },
+    popInitialNotification: true,
+    requestPermissions: Platform.OS === 'ios',
+  });
+};
+
+// Android lists the channel by name in the app's notification settings. Run
+// it once the app language is known and again when it changes, which
+// renames the existing channel.
+const createChannel = () => {
+  PushNotification.createChannel(
+    {
+      channelId: CHANNEL_ID,
+      channelName: t('reminders.channel'),
+      importance: 4,
+    },
+    () => {}
+  );
+};
+
+const schedule = ({ id, date, title, message, data, actions = [] }) => {
+  if (Platform.OS === 'ios') {
+    // Registered again each time so the labels follow the app language
+    PushNotificationIOS.setNotificationCategories([{
+      id: IOS_CATEGORY,
+      actions: actions.map(action => ({ id: action.id, title: action.label, options: { foreground: false } })),
+    }]);
+  }
+
+  PushNotification.localNotificationSchedule({
+    channelId: CHANNEL_ID,
+    id,
+    date,
+    title,
+    message,
+    userInfo: {
+      ...data,
+      id,
+      actionIds: Object.fromEntries(actions.map(action => [action.label, action.id])),
+    },
+    allowWhileIdle: true,
+    actions: actions.map(action => action.label),
+    category: IOS_CATEGORY,
+    invokeApp: false,
+  });
+};
+
+const cancel = (id) => {
+  PushNotification.cancelLocalNotification(id);
+};
+
+export default { configure, createChannel, schedule, cancel };
@@ -0,0 +1,309 @@
+// Natural language parsing for the quick add input. Recognized fragments
+// are taken out of the title:
+//
+//   today, tonight, tomorrow     also tmrw / tmr
+//   monday … sunday              the next such day, after on / next / this
+//                                or last in the text (before a time,
+//                                !priority or #category); "mon" etc. only
+//                                after on / next / this
+//   in 3 days, in a week         days, weeks or months from today
+//   next week, next month
+//   jan 5, 5 jan, 2026-01-05     the next such date when no year is given
+//   due / by / on …              optional before any of the dates above
+//   3pm, 3:30 pm, 15:00          also "at 3pm", noon, midnight
+//   !high, !med, !low            also !h / !m / !l
+//   #work, #"client a"           existing categories only
+//   every day, every 2 weeks     also every other week / month
+//   every monday, every weekday  weekly on those days, starting on the first
+//
+// Only the first fragment of each kind is used; any repeat stays in the
+// title. Callers can pass `ignore` to keep a kind of fragment as plain text.
+
+import { createRule } from './recurrence';
+import { startOfDay } from './dates';
+
+const WEEKDAYS = [
+  ['sunday', 'sun'],
+  ['monday', 'mon'],
+  ['tuesday', 'tue', 'tues'],
+  ['wednesday', 'wed'],
+  ['thursday', 'thu', 'thur', 'thurs'],
+  ['friday', 'fri'],
+  ['saturday', 'sat']
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const PRIORITY_WORDS = {
+  high: 'high', h: 'high',
+  medium: 'medium', med: 'medium', m: 'medium',
+  low: 'low', l: 'low'
+};
+
+const UNIT_FREQUENCIES = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+const FULL_WEEKDAY = WEEKDAYS.map(names => names[0]).join('|');
+const ANY_WEEKDAY = WEEKDAYS.flat().sort((a, b) => b.length - a.length).join('|');
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const END = '(?=$|[\\s,.;!?])';
+const DUE = '(?:(?:due|by|on)\\s+)?';
+const TIME = '(?:at\\s+)?(?:\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)|\\d{1,2}:\\d{2}|noon|midnight)';
+// What may follow a weekday named on its own. Anywhere else, as in "Watch
+// Friday Night Lights", the name is part of the title.
+const ONLY_TIME_AND_TAGS_AFTER = `(?=(?:\\s+${TIME})?(?:\\s+[!#](?:"[^"]*"|\\S+))*[\\s,.;!?]*$)`;
+
+const weekdayIndex = (name) => WEEKDAYS.findIndex(names => names.includes(name.toLowerCase()));
+
+const addDays = (date, days) => {
+  const result = startOfDay(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const addMonths = (date, months) => {
+  const result = startOfDay(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  // Clamp to the end of shorter months, e.g. Jan 31 + 1 month = Feb 28
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Next day with the given weekday, counting today only when `includeToday`
+const nextWeekday = (now, weekday, includeToday = false) => {
+  let days = (weekday - now.getDay() + 7) % 7;
+  if (days === 0 && !includeToday) days = 7;
+  return addDays(now, days);
+};
+
+// Next occurrence of a month and day, this year or the next
+const nextMonthDay = (now, month, day) => {
+  const date = new Date(now.getFullYear(), month, day);
+  if (date.getMonth() !== month) return null;
+  if (date < startOfDay(now)) date.setFullYear(date.getFullYear() + 1);
+  return date;
+};
+
+const toHours = (hours, minutes, meridiem) => {
+  let h = parseInt(hours, 10);
+  const m = minutes ? parseInt(minutes, 10) : 0;
+  if (m > 59) return null;
+  if (meridiem) {
+    if (h < 1 || h > 12) return null;
+    const pm = meridiem.toLowerCase().startsWith('p');
+    if (h === 12) h = pm ? 12 : 0;
+    else if (pm) h += 12;
+  } else if (h > 23) {
+    return null;
+  }
+  return { hours: h, minutes: m };
+};
+
+const amount = (value) => (/^an?$/i.test(value) ? 1 : parseInt(value, 10));
+
+// Each matcher handles one kind of fragment. `parse` returns the detected
+// value, or null to leave the text alone.
+const DATE_MATCHERS = [
+  {
+    pattern: new RegExp(`${DUE}(\\d{4})-(\\d{2})-(\\d{2})`),
+    parse: ([, year, month, day]) => {
+      const date = new Date(Number(year), Number(month) - 1, Number(day));
+      return date.getMonth() === Number(month) - 1 ? { date } : null;
+    }
+  },
+  {
+    pattern: new RegExp(`${DUE}${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?`),
+    parse: ([, month, day], now) => {
+      const date = nextMonthDay(now, MONTHS.indexOf(month.slice(0, 3).toLowerCase()), Number(day));
+      return date ? { date } : null;
+    }
+  },
+  {
+    pattern: new RegExp(`${DUE}(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}`),
+    parse: ([, day, month], now) => {
+      const date = nextMonthDay(now, MONTHS.indexOf(month.slice(0, 3).toLowerCase()), Number(day));
+      return date ? { date } : null;
+    }
+  },
+  {
+    pattern: /in\s+(\d+|an?)\s+(day|week|month)s?/,
+    parse: ([, count, unit], now) => {
+      const n = amount(count);
+      if (unit.toLowerCase() === 'month') return { date: addMonths(now, n) };
+      return { date: addDays(now, unit.toLowerCase() === 'week' ? n * 7 : n) };
+    }
+  },
+  {
+    pattern: /next\s+(week|month)/,
+    parse: ([, unit], now) => ({
+      date: unit.toLowerCase() === 'week' ? addDays(now, 7) : addMonths(now, 1)
+    })
+  },
+  {
+    pattern: new RegExp(`${DUE}(today|tonight|tomorrow|tmrw|tmr)`),
+    parse: ([, word], now) => {
+      const lower = word.toLowerCase();
+      if (lower === 'today') return { date: startOfDay(now) };
+      if (lower === 'tonight') return { date: startOfDay(now), time: { hours: 20, minutes: 0 } };
+      return { date: addDays(now, 1) };
+    }
+  },
+  {
+    pattern: new RegExp(`(?:(?:due|by|on|next|this)\\s+(${ANY_WEEKDAY})|(${FULL_WEEKDAY})${ONLY_TIME_AND_TAGS_AFTER})`),
+    parse: ([, short, full], now) => ({ date: nextWeekday(now, weekdayIndex(short || full)) })
+  }
+];
+
+const TIME_MATCHERS = [
+  {
+    pattern: /(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)/,
+    parse: ([, hours, minutes, meridiem]) => toHours(hours, minutes, meridiem)
+  },
+  {
+    pattern: /(?:at\s+)?(\d{1,2}):(\d{2})/,
+    parse: ([, hours, minutes]) => toHours(hours, minutes)
+  },
+  {
+    pattern: /(?:at\s+)?(noon|midnight)/,
+    parse: ([, word]) => ({ hours: word.toLowerCase() === 'noon' ? 12 : 0, minutes: 0 })
+  }
+];
+
+const RECURRENCE_MATCHERS = [
+  {
+    pattern: /every\s+weekday/,
+    parse: () => createRule('weekly', { weekdays: [1, 2, 3, 4, 5] })
+  },
+  {
+    pattern: new RegExp(`every\\s+((?:${ANY_WEEKDAY})(?:\\s*(?:,|and)\\s*(?:${ANY_WEEKDAY}))*)`),
+    parse: ([, days]) => createRule('weekly', {
+      weekdays: [...new Set(days.split(/\s*(?:,|and)\s*/i).map(weekdayIndex))]
+    })
+  },
+  {
+    pattern: /every\s+(other\s+|\d+\s+)?(day|week|month)s?/,
+    parse: ([, count, unit]) => {
+      const interval = !count ? 1 : /other/i.test(count) ? 2 : parseInt(count, 10);
+      return createRule(UNIT_FREQUENCIES[unit.toLowerCase()], { interval });
+    }
+  }
+];
+
+// First match of `pattern` as a whole phrase, ignoring case
+const findPhrase = (text, pattern) => {
+  const regex = new RegExp(`(^|\\s)(?:${pattern.source})${END}`, 'i');
+  const match = regex.exec(text);
+  if (!match) return null;
+
+  const start = match.index + match[1].length;
+  const fragment = match[0].slice(match[1].length);
+  // Drop the leading-space group so matchers see their own groups from 1
+  const groups = [fragment, ...match.slice(2)];
+  return { groups, fragment, start, end: start + fragment.length };
+};
+
+// Try each matcher in turn and cut the first accepted fragment from the text
+const extract = (state, matchers, now) => {
+  for (const matcher of matchers) {
+    const found = findPhrase(state.text, matcher.pattern);
+    if (!found) continue;
+    const value = matcher.parse(found.groups, now);
+    if (value === null || value === undefined) continue;
+
+    state.text = `${state.text.slice(0, found.start)} ${state.text.slice(found.end)}`;
+    return { value, fragment: found.fragment };
+  }
+  return null;
+};
+
+const extractPriority = (state) => {
+  const match = /(^|\s)!([a-z]+)(?=$|[\s,.;?])/i.exec(state.text);
+  if (!match || !PRIORITY_WORDS[match[2].toLowerCase()]) return null;
+
+  const start = match.index + match[1].length;
+  const fragment = match[0].slice(match[1].length);
+  state.text = `${state.text.slice(0, start)} ${state.text.slice(start + fragment.length)}`;
+  return { value: PRIORITY_WORDS[match[2].toLowerCase()], fragment };
+};
+
+const extractCategory = (state, categories) => {
+  const pattern = /(^|\s)#(?:"([^"]+)"|(\S+))/g;
+  let match;
+  while ((match = pattern.exec(state.text)) !== null) {
+    const name = (match[2] || match[3]).toLowerCase();
+    const category = categories.find(c => c.name.toLowerCase() === name);
+    if (!category) continue;
+
+    const start = match.index + match[1].length;
+    const fragment = match[0].slice(match[1].length);
+    state.text = `${state.text.slice(0, start)} ${state.text.slice(start + fragment.length)}`;
+    return { value: category, fragment };
+  }
+  return null;
+};
+
+// Combine the detected day and time into a due date and all-day flag
+const resolveDue = (date, time, now) => {
+  if (!date && !time) return { dueDate: null, allDay: true };
+  if (!time) return { dueDate: startOfDay(date), allDay: true };
+
+  const due = new Date(date || now);
+  due.setHours(time.hours, time.minutes, 0, 0);
+  // A time on its own means its next occurrence
+  if (!date && due <= now) due.setDate(due.getDate() + 1);
+  return { dueDate: due, allDay: false };
+};
+
+// Parse quick add text into a title and the task fields it mentions.
+// `fragments` lists what was detected, in the order the kinds are parsed.
+export const parseQuickAdd = (input, { categories = [], now = new Date(), ignore = [] } = {}) => {
+  const state = { text: input };
+  const fragments = [];
+  const skip = (type) => ignore.includes(type);
+
+  const recurrence = skip('recurrence') ? null : extract(state, RECURRENCE_MATCHERS, now);
+  if (recurrence) fragments.push({ type: 'recurrence', text: recurrence.fragment });
+
+  const date = skip('date') ? null : extract(state, DATE_MATCHERS, now);
+  const time = skip('date') ? null : extract(state, TIME_MATCHERS, now);
+  if (date || time) {
+    fragments.push({ type: 'date', text: [date, time].filter(Boolean).map(part => part.fragment).join(' ') });
+  }
+
+  const priority = skip('priority') ? null : extractPriority(state);
+  if (priority) fragments.push({ type: 'priority', text: priority.fragment });
+
+  const category = skip('category') ? null : extractCategory(state, categories);
+  if (category) fragments.push({ type: 'category', text: category.fragment });
+
+  // A weekly rule on set days starts on the first of them that is still ahead
+  const rule = recurrence ? recurrence.value : null;
+  let day = date ? date.value.date : null;
+  if (!day && rule && rule.weekdays.length > 0) {
+    day = rule.weekdays
+      .map(weekday => {
+        const candidate = nextWeekday(now, weekday, true);
+        const passed = time && resolveDue(candidate, time.value, now).dueDate <= now;
+        return passed ? nextWeekday(now, weekday) : candidate;
+      })
+      .sort((a, b) => a - b)[0];
+  }
+
+  // "tonight" carries its own time
+  const dayTime = date ? date.value.time : null;
+  const { dueDate, allDay } = resolveDue(day, time ? time.value : dayTime, now);
+
+  const title = state.text.replace(/\s+/g, ' ').trim();
+
+  return {
+    title: title || input.trim(),
+    dueDate,
+    allDay,
+    priority: priority ? priority.value : null,
+    category: category ? category.value.id : null,
+    recurrence: rule,
+    fragments
+  };
+};
@@ -0,0 +1,249 @@
+// Recurrence rule engine. Pure functions only, no React or storage access,
+// so the scheduling math can be exercised on its own.
+//
+// A rule looks like:
+// {
+//   frequency: 'daily' | 'weekly' | 'monthly',
+//   interval: 1,              // every N days / weeks / months
+//   weekdays: [1, 3],         // weekly only, 0 = Sunday; empty = weekday of the due date
+//   dayOfMonth: 1,            // monthly only, -1 = last day; null = day of the due date
+//   endAfter: 10,             // stop after N occurrences (null = never)
+//   endDate: Date             // stop after this date (null = never)
+// }
+//
+// A recurring task carries `recurrence: { rule, seriesId, occurrence, anchorDay, history }`
+// where history is a list of { dueDate, completedAt, skipped } entries shared
+// by every instance of the series. `anchorDay` is the day of the month the
+// series started on, so a monthly series from Jan 31 returns to the 31st
+// after being clamped to Feb 28.
+
+import { getDueDeadline, formatDay, formatWeekday } from './dates';
+import { t } from './i18n';
+import { nextFreeId } from './ids';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Build a rule with defaults filled in
+export const createRule = (frequency, options = {}) => ({
+  frequency,
+  interval: Math.max(1, parseInt(options.interval, 10) || 1),
+  weekdays: frequency === 'weekly' ? [...(options.weekdays || [])].sort() : [],
+  dayOfMonth: frequency === 'monthly' && options.dayOfMonth !== undefined ? options.dayOfMonth : null,
+  endAfter: options.endAfter ? Math.max(1, parseInt(options.endAfter, 10)) : null,
+  endDate: options.endDate ? new Date(options.endDate) : null
+});
+
+// Sunday-based start of the week, at midnight
+const startOfWeek = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - start.getDay());
+  return start;
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const nextWeekly = (rule, from) => {
+  const weekdays = rule.weekdays.length > 0 ? rule.weekdays : [from.getDay()];
+  const fromWeek = startOfWeek(from);
+
+  // One full cycle of weeks is always enough to find the next match
+  for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+    const candidate = addDays(from, offset);
+    const weeksApart = Math.round((startOfWeek(candidate) - fromWeek) / (7 * DAY_MS));
+    if (weeksApart % rule.interval === 0 && weekdays.includes(candidate.getDay())) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const nextMonthly = (rule, from, anchorDay) => {
+  const targetMonth = from.getMonth() + rule.interval;
+  const year = from.getFullYear() + Math.floor(targetMonth / 12);
+  const month = targetMonth % 12;
+  const lastDay = daysInMonth(year, month);
+  const wanted = rule.dayOfMonth === null || rule.dayOfMonth === undefined
+    ? anchorDay || from.getDate()
+    : rule.dayOfMonth === -1 ? lastDay : rule.dayOfMonth;
+
+  const result = new Date(from);
+  result.setFullYear(year, month, Math.min(wanted, lastDay));
+  return result;
+};
+
+// Next occurrence strictly after `from`, ignoring end conditions. Monthly
+// rules without a day of their own land on `anchorDay`, clamped to the month.
+export const getNextOccurrence = (rule, from, anchorDay) => {
+  const base = new Date(from);
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(base, rule.interval);
+    case 'weekly':
+      return nextWeekly(rule, base);
+    case 'monthly':
+      return nextMonthly(rule, base, anchorDay);
+    default:
+      return null;
+  }
+};
+
+// Whether a series with `count` finished occurrences should spawn `nextDate`
+export const isSeriesFinished = (rule, count, nextDate) => {
+  if (rule.endAfter && count >= rule.endAfter) return true;
+  if (rule.endDate && nextDate) {
+    const end = new Date(rule.endDate);
+    end.setHours(23, 59, 59, 999);
+    if (nextDate > end) return true;
+  }
+  return !nextDate;
+};
+
+// Day of the month a series is anchored to. A due date that isn't the anchor
+// (clamped to its month) was moved by hand, and its day becomes the anchor.
+const getAnchorDay = (recurrence, dueDate) => {
+  if (!dueDate) return null;
+  const date = new Date(dueDate);
+  const anchor = recurrence && recurrence.anchorDay;
+  const clamped = anchor && Math.min(anchor, daysInMonth(date.getFullYear(), date.getMonth()));
+  return clamped === date.getDate() ? anchor : date.getDate();
+};
+
+// Start a recurrence series on a task
+export const attachRecurrence = (task, rule) => ({
+  ...task,
+  recurrence: rule ? {
+    rule,
+    seriesId: task.recurrence ? task.recurrence.seriesId : task.id,
+    occurrence: task.recurrence ? task.recurrence.occurrence : 1,
+    anchorDay: getAnchorDay(task.recurrence, task.dueDate),
+    history: task.recurrence ? task.recurrence.history : []
+  } : null
+});
+
+// Build the next instance of a series, or null when the series has ended.
+// Occurrences that already lie in the past are rolled forward so the new
+// instance is never born overdue. `ids` are the ids already in use.
+const spawnNext = (task, history, now, ids) => {
+  const { rule } = task.recurrence;
+  const from = task.dueDate || now;
+  const anchorDay = getAnchorDay(task.recurrence, from);
+  let next = getNextOccurrence(rule, from, anchorDay);
+  while (next && getDueDeadline({ ...task, dueDate: next }) <= now) {
+    next = getNextOccurrence(rule, next, anchorDay);
+  }
+
+  if (isSeriesFinished(rule, history.length, next)) return null;
+
+  return {
+    ...task,
+    id: nextFreeId(new Set([...ids, task.id])),
+    completed: false,
+    completedAt: null,
+    createdAt: new Date(now),
+    dueDate: next,
+    recurrence: {
+      ...task.recurrence,
+      occurrence: task.recurrence.occurrence + 1,
+      anchorDay,
+      history
+    }
+  };
+};
+
+// Complete the current instance. Returns the completed instance and the
+// next one (null when the series has ended). Pass the ids of the other tasks
+// so the next instance gets one of its own, even within the same millisecond.
+export const completeOccurrence = (task, now = new Date(), ids = []) => {
+  const history = [
+    ...task.recurrence.history,
+    { dueDate: task.dueDate, completedAt: new Date(now), skipped: false }
+  ];
+  return {
+    completed: {
+      ...task,
+      completed: true,
+      completedAt: new Date(now),
+      recurrence: { ...task.recurrence, history }
+    },
+    next: spawnNext(task, history, now, ids)
+  };
+};
+
+// Undo completing an instance: reopen it without its history entry and drop
+// the instance its completion spawned, if that one is still open. Returns
+// the new task list, so completing it again spawns the same occurrence.
+export const reopenOccurrence = (task, list) => {
+  const { seriesId, occurrence, history } = task.recurrence;
+  const last = history[history.length - 1];
+  const reopened = {
+    ...task,
+    completed: false,
+    completedAt: null,
+    recurrence: { ...task.recurrence, history: last && !last.skipped ? history.slice(0, -1) : history }
+  };
+  const isSpawned = (item) => !item.completed && !!item.recurrence &&
+    item.recurrence.seriesId === seriesId && item.recurrence.occurrence === occurrence + 1;
+
+  return list
+    .filter(item => !isSpawned(item))
+    .map(item => (item.id === task.id ? reopened : item));
+};
+
+// Skip the current instance without completing it. Returns the instance
+// that replaces it, or null when the skipped one was the last.
+export const skipOccurrence = (task, now = new Date(), ids = []) => {
+  const history = [
+    ...task.recurrence.history,
+    { dueDate: task.dueDate, completedAt: null, skipped: true }
+  ];
+  return spawnNext(task, history, now, ids);
+};
+
+// Convert stored date strings back into Date objects
+export const reviveRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+  return {
+    ...recurrence,
+    rule: {
+      ...recurrence.rule,
+      endDate: recurrence.rule.endDate ? new Date(recurrence.rule.endDate) : null
+    },
+    history: (recurrence.history || []).map(entry => ({
+      ...entry,
+      dueDate: entry.dueDate ? new Date(entry.dueDate) : null,
+      completedAt: entry.completedAt ? new Date(entry.completedAt) : null
+    }))
+  };
+};
+
+// Short human readable summary, e.g. "Every 2 weeks on Mon, Thu". Each
+// step wraps the previous text so translations can reorder the parts.
+export const describeRule = (rule) => {
+  if (!rule) return '';
+  let text = t(`recurrence.every.${rule.frequency}`, { count: rule.interval });
+
+  if (rule.frequency === 'weekly' && rule.weekdays.length > 0) {
+    const days = rule.weekdays.map(day => formatWeekday(day, 'short')).join(', ');
+    text = t('recurrence.onWeekdays', { rule: text, days });
+  }
+  if (rule.frequency === 'monthly' && rule.dayOfMonth !== null && rule.dayOfMonth !== undefined) {
+    text = rule.dayOfMonth === -1
+      ? t('recurrence.onLastDay', { rule: text })
+      : t('recurrence.onDay', { rule: text, day: rule.dayOfMonth });
+  }
+  if (rule.endAfter) {
+    text = t('recurrence.times', { rule: text, count: rule.endAfter });
+  } else if (rule.endDate) {
+    text = t('recurrence.until', { rule: text, date: formatDay(rule.endDate) });
+  }
+  return text;
+};
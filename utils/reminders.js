@@ -0,0 +1,146 @@
+// Task reminders. The platform notification API is hidden behind a small
+// scheduler interface so this module stays free of native code:
+//
+// scheduler.schedule({ id, date, title, message, data, actions })
+// scheduler.cancel(id)
+//
+// `actions` are the snooze buttons as { id, label }. The scheduler reports a
+// pressed button by its id, whatever language it was shown in.
+//
+// A task opts in with `reminder: { type, offset, at }`:
+//   type 'due'    - fire at the due date
+//   type 'before' - fire `offset` minutes before the due date
+//   type 'custom' - fire at the absolute date `at`
+//
+// All-day tasks have no time of day, so relative reminders count back from
+// 9:00 on the due day instead of midnight.
+
+import { isAllDay } from './dates';
+import { t, getLocale } from './i18n';
+
+const ALL_DAY_REMINDER_HOUR = 9;
+
+// Notification buttons, keyed by a stable id, see handleAction
+export const SNOOZE_ACTIONS = [
+  { id: 'snooze10', labelKey: 'reminders.snooze10', minutes: 10 },
+  { id: 'snooze60', labelKey: 'reminders.snooze60', minutes: 60 }
+];
+
+// The buttons as the scheduler takes them, labelled in the current language
+export const getSnoozeActions = () =>
+  SNOOZE_ACTIONS.map(action => ({ id: action.id, label: t(action.labelKey) }));
+
+export const REMINDER_OPTIONS = [
+  { labelKey: 'reminders.option.due', reminder: { type: 'due' }, needsDueDate: true },
+  { labelKey: 'reminders.option.10', reminder: { type: 'before', offset: 10 }, needsDueDate: true },
+  { labelKey: 'reminders.option.30', reminder: { type: 'before', offset: 30 }, needsDueDate: true },
+  { labelKey: 'reminders.option.60', reminder: { type: 'before', offset: 60 }, needsDueDate: true },
+  { labelKey: 'reminders.option.1440', reminder: { type: 'before', offset: 60 * 24 }, needsDueDate: true }
+];
+
+// Android notification ids must fit in a 32-bit int
+export const getNotificationId = (taskId) => String(Number(taskId) % 2147483647);
+
+// When the reminder for a task should fire, or null if it has none
+export const getReminderTime = (task) => {
+  const { reminder } = task;
+  if (!reminder) return null;
+
+  if (reminder.type === 'custom') {
+    return reminder.at ? new Date(reminder.at) : null;
+  }
+  if (!task.dueDate) return null;
+
+  const due = new Date(task.dueDate);
+  if (isAllDay(task)) due.setHours(ALL_DAY_REMINDER_HOUR, 0, 0, 0);
+  if (reminder.type === 'before') {
+    return new Date(due.getTime() - (reminder.offset || 0) * 60 * 1000);
+  }
+  return due;
+};
+
+// Short label for the reminder, e.g. "30 min before"
+export const describeReminder = (reminder) => {
+  if (!reminder) return '';
+  if (reminder.type === 'due') return t('reminders.atDueTime');
+  if (reminder.type === 'custom') {
+    return new Date(reminder.at).toLocaleString(getLocale(), {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+  const { offset } = reminder;
+  if (offset % (60 * 24) === 0) return t('reminders.daysBefore', { count: offset / (60 * 24) });
+  if (offset % 60 === 0) return t('reminders.hoursBefore', { count: offset / 60 });
+  return t('reminders.minutesBefore', { count: offset });
+};
+
+// Compare the fields that affect a scheduled reminder
+const reminderKey = (task) => {
+  const time = getReminderTime(task);
+  return [task.completed, !!task.deletedAt, time ? time.getTime() : null, task.text].join('|');
+};
+
+export const createReminderService = (scheduler) => {
+  // Cancel and, if still relevant, schedule the reminder for one task
+  const sync = (task, now = new Date()) => {
+    const id = getNotificationId(task.id);
+    scheduler.cancel(id);
+
+    const time = getReminderTime(task);
+    if (task.completed || task.deletedAt || !time || time <= now) return null;
+
+    scheduler.schedule({
+      id,
+      date: time,
+      title: task.dueDate ? t('reminders.taskDue') : t('reminders.reminder'),
+      message: task.text,
+      data: { taskId: task.id },
+      actions: getSnoozeActions()
+    });
+    return time;
+  };
+
+  const cancel = (taskId) => {
+    scheduler.cancel(getNotificationId(taskId));
+  };
+
+  // Reconcile scheduled reminders after the task list changed
+  const syncAll = (prevTasks, nextTasks, now = new Date()) => {
+    const previous = new Map(prevTasks.map(task => [task.id, task]));
+    const current = new Set();
+
+    nextTasks.forEach(task => {
+      current.add(task.id);
+      const before = previous.get(task.id);
+      if (!before || reminderKey(before) !== reminderKey(task)) {
+        sync(task, now);
+      }
+    });
+
+    prevTasks.forEach(task => {
+      if (!current.has(task.id) && task.reminder) cancel(task.id);
+    });
+  };
+
+  // Re-deliver the notification later when a snooze action is pressed
+  const handleAction = ({ action, title, message, data }, now = new Date()) => {
+    const snooze = SNOOZE_ACTIONS.find(item => item.id === action);
+    if (!snooze || !data || data.taskId === undefined) return null;
+
+    const date = new Date(now.getTime() + snooze.minutes * 60 * 1000);
+    scheduler.schedule({
+      id: getNotificationId(data.taskId),
+      date,
+      title,
+      message,
+      data,
+      actions: getSnoozeActions()
+    });
+    return date;
+  };
+
+  return { sync, cancel, syncAll, handleAction };
+};
@@ -0,0 +1,73 @@
+// Drag-and-drop reordering. Rows are identified by task id rather than by
+// index, so a drag inside a filtered or searched list moves the right task
+// in the full array. Drop positions come from measured row heights.
+
+export const AUTO_SCROLL_EDGE = 60;
+export const AUTO_SCROLL_MAX_SPEED = 18;
+
+// Move `fromId` next to `toId` in the full task list: after it when moving
+// down the list, before it when moving up. Tasks hidden by the current
+// filter keep their place relative to each other.
+export const moveTaskById = (tasks, fromId, toId) => {
+  const from = tasks.findIndex(task => task.id === fromId);
+  const to = tasks.findIndex(task => task.id === toId);
+  if (from === -1 || to === -1 || from === to) return tasks;
+
+  const next = [...tasks];
+  const [moved] = next.splice(from, 1);
+  const target = next.findIndex(task => task.id === toId);
+  next.splice(from < to ? target + 1 : target, 0, moved);
+  return next;
+};
+
+// Average of the measured heights, used for rows that have not rendered yet
+export const getAverageHeight = (heights, fallback) => {
+  const values = Object.values(heights);
+  if (values.length === 0) return fallback;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+// Top offset of every row, in list order
+export const getRowOffsets = (ids, heights, fallback) => {
+  const estimate = getAverageHeight(heights, fallback);
+  const offsets = [];
+  let y = 0;
+  ids.forEach(id => {
+    offsets.push(y);
+    y += heights[id] || estimate;
+  });
+  return offsets;
+};
+
+// Index the dragged row would land on once it has moved by `translation`.
+// A row is passed once the centre of the dragged row crosses its midpoint.
+export const getDropIndex = (ids, heights, fromIndex, translation, fallback) => {
+  const estimate = getAverageHeight(heights, fallback);
+  const heightOf = (index) => heights[ids[index]] || estimate;
+  const offsets = getRowOffsets(ids, heights, fallback);
+  const centre = offsets[fromIndex] + heightOf(fromIndex) / 2 + translation;
+
+  let index = fromIndex;
+  while (index < ids.length - 1 && centre > offsets[index + 1] + heightOf(index + 1) / 2) {
+    index += 1;
+  }
+  while (index > 0 && centre < offsets[index - 1] + heightOf(index - 1) / 2) {
+    index -= 1;
+  }
+  return index;
+};
+
+// How far a row has to move to open a gap for the dragged row
+export const getRowShift = (index, fromIndex, toIndex, draggedHeight) => {
+  if (fromIndex < toIndex && index > fromIndex && index <= toIndex) return -draggedHeight;
+  if (fromIndex > toIndex && index >= toIndex && index < fromIndex) return draggedHeight;
+  return 0;
+};
+
+// Scroll speed while the finger is near the top or bottom of the list;
+// negative scrolls up, faster the closer it gets to the edge
+export const getAutoScrollSpeed = (y, listHeight, edge = AUTO_SCROLL_EDGE, maxSpeed = AUTO_SCROLL_MAX_SPEED) => {
+  if (y < edge) return -maxSpeed * Math.min(1, (edge - y) / edge);
+  if (y > listHeight - edge) return maxSpeed * Math.min(1, (y - (listHeight - edge)) / edge);
+  return 0;
+};
@@ -0,0 +1,136 @@
+// Search query syntax for the task list:
+//
+//   milk bread         tasks whose title or notes contain both words
+//   "call back"        exact phrase
+//   priority:high      also p:high
+//   due:today          today | tomorrow | week | overdue | none | any
+//   overdue            shorthand for due:overdue
+//   is:done            done | active
+//   #work              tasks in the "work" category, #"client a" for spaces
+//   -word, -#work      prefix any term with - to exclude matches
+
+import { isOverdue, calendarDaysBetween } from './dates';
+
+export const MAX_RECENT_SEARCHES = 8;
+
+const TOKEN_PATTERN = /(-)?(#|[a-z]+:)?(?:"([^"]*)"?|(\S+))/gi;
+
+const FIELD_ALIASES = {
+  'priority:': 'priority',
+  'p:': 'priority',
+  'due:': 'due',
+  'is:': 'is'
+};
+
+export const parseQuery = (query) => {
+  const terms = [];
+  if (!query || !query.trim()) return terms;
+
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(query)) !== null) {
+    const [, minus, prefix, quoted, bare] = match;
+    const negate = !!minus;
+    const value = (quoted !== undefined ? quoted : bare || '').toLowerCase();
+    if (!value) continue;
+
+    const lowerPrefix = prefix ? prefix.toLowerCase() : null;
+    if (lowerPrefix === '#') {
+      terms.push({ type: 'category', value, negate });
+    } else if (lowerPrefix && FIELD_ALIASES[lowerPrefix]) {
+      terms.push({ type: FIELD_ALIASES[lowerPrefix], value, negate });
+    } else if (!lowerPrefix && quoted === undefined && value === 'overdue') {
+      terms.push({ type: 'due', value: 'overdue', negate });
+    } else {
+      // Unknown prefixes are searched as plain text
+      terms.push({ type: 'text', value: `${lowerPrefix || ''}${value}`, negate });
+    }
+  }
+  return terms;
+};
+
+const matchesDue = (task, value, now) => {
+  if (value === 'none') return !task.dueDate;
+  if (value === 'any') return !!task.dueDate;
+  if (!task.dueDate) return false;
+  if (value === 'overdue') return isOverdue(task, now);
+
+  const days = calendarDaysBetween(now, task.dueDate);
+  if (value === 'today') return days === 0;
+  if (value === 'tomorrow') return days === 1;
+  if (value === 'week') return days >= 0 && days < 7;
+  return false;
+};
+
+const matchesTerm = (task, term, { categories, now }) => {
+  switch (term.type) {
+    case 'priority':
+      return (task.priority || 'medium').startsWith(term.value);
+    case 'due':
+      return matchesDue(task, term.value, now);
+    case 'is':
+      if (term.value === 'done' || term.value === 'completed') return task.completed;
+      if (term.value === 'active' || term.value === 'open') return !task.completed;
+      return false;
+    case 'category': {
+      const category = categories.find(c => c.id === task.category);
+      return !!category && category.name.toLowerCase() === term.value;
+    }
+    default:
+      return task.text.toLowerCase().includes(term.value) ||
+        (!!task.notes && task.notes.toLowerCase().includes(term.value));
+  }
+};
+
+// Whether a task satisfies every term of a parsed query
+export const matchesQuery = (task, terms, { categories = [], now = new Date() } = {}) =>
+  terms.every(term => matchesTerm(task, term, { categories, now }) !== term.negate);
+
+// Positive text terms, used to highlight matches
+export const getHighlightTerms = (terms) =>
+  terms.filter(term => term.type === 'text' && !term.negate).map(term => term.value);
+
+// Split text into [{ text, match }] segments around highlight terms
+export const splitHighlights = (text, highlightTerms) => {
+  if (!highlightTerms || highlightTerms.length === 0) return [{ text, match: false }];
+
+  const lower = text.toLowerCase();
+  const ranges = [];
+  highlightTerms.forEach(term => {
+    let index = lower.indexOf(term);
+    while (term && index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + term.length);
+    }
+  });
+  if (ranges.length === 0) return [{ text, match: false }];
+
+  // Merge overlapping ranges
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  ranges.slice(1).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  const segments = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) segments.push({ text: text.slice(cursor, start), match: false });
+    segments.push({ text: text.slice(start, end), match: true });
+    cursor = end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+  return segments;
+};
+
+// Add a query to the front of the recent searches list
+export const addRecentSearch = (recent, query) => {
+  const trimmed = query.trim();
+  if (!trimmed) return recent;
+  return [trimmed, ...recent.filter(item => item !== trimmed)].slice(0, MAX_RECENT_SEARCHES);
+};
@@ -0,0 +1,34 @@
+import { isOverdue, calendarDaysBetween } from './dates';
+
+// Due date groups for the sectioned task list, in display order
+export const DUE_SECTIONS = [
+  { key: 'overdue', titleKey: 'sections.overdue' },
+  { key: 'today', titleKey: 'sections.today' },
+  { key: 'tomorrow', titleKey: 'sections.tomorrow' },
+  { key: 'later', titleKey: 'sections.later' },
+  { key: 'none', titleKey: 'sections.none' }
+];
+
+// Past days count as overdue even once completed, so a task stays in the
+// group of its date rather than jumping to Today when it is ticked off
+export const getDueSectionKey = (task, now = new Date()) => {
+  if (!task.dueDate) return 'none';
+  const days = calendarDaysBetween(now, task.dueDate);
+  if (days < 0 || isOverdue(task, now)) return 'overdue';
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return 'later';
+};
+
+// Split tasks into non-empty sections, keeping their order inside each one
+export const groupByDue = (tasks, now = new Date()) => {
+  const groups = {};
+  tasks.forEach(task => {
+    const key = getDueSectionKey(task, now);
+    (groups[key] = groups[key] || []).push(task);
+  });
+
+  return DUE_SECTIONS
+    .filter(section => groups[section.key])
+    .map(section => ({ ...section, data: groups[section.key] }));
+};
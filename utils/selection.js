@@ -0,0 +1,24 @@
+// Multi-select helpers. The selection is a list of task ids so it survives
+// re-sorting and filtering of the list it was made in.
+
+export const toggleSelection = (selectedIds, id) =>
+  selectedIds.includes(id)
+    ? selectedIds.filter(selectedId => selectedId !== id)
+    : [...selectedIds, id];
+
+// Selected ids that still belong to one of `tasks`
+export const pruneSelection = (selectedIds, tasks) => {
+  const ids = new Set(tasks.map(task => task.id));
+  return selectedIds.filter(id => ids.has(id));
+};
+
+export const isAllSelected = (selectedIds, tasks) => {
+  const selected = new Set(selectedIds);
+  return tasks.length > 0 && tasks.every(task => selected.has(task.id));
+};
+
+// Apply `update` to every selected task, leaving the others untouched
+export const updateSelected = (tasks, selectedIds, update) => {
+  const selected = new Set(selectedIds);
+  return tasks.map(task => (selected.has(task.id) ? update(task) : task));
+};
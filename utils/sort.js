@@ -0,0 +1,58 @@
+// Sorting for the task list. Sorting never reorders the stored array, so
+// the manual (drag) order is always there to return to, and it is used as
+// the final tie-breaker of every other mode.
+
+import { t, getLocale } from './i18n';
+
+export const SORT_MODES = [
+  { key: 'manual', labelKey: 'sort.manual', icon: 'reorder-three-outline' },
+  { key: 'dueDate', labelKey: 'sort.dueDate', icon: 'calendar-outline' },
+  { key: 'priority', labelKey: 'sort.priority', icon: 'flag-outline' },
+  { key: 'createdAt', labelKey: 'sort.createdAt', icon: 'time-outline' },
+  { key: 'alphabetical', labelKey: 'sort.alphabetical', icon: 'text-outline' }
+];
+
+export const DEFAULT_SORT = { mode: 'manual', direction: 'asc', secondary: 'priority', groupByDue: false };
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+const time = (value) => (value ? new Date(value).getTime() : null);
+
+// Ascending comparators
+const COMPARATORS = {
+  dueDate: (a, b) => time(a.dueDate) - time(b.dueDate),
+  priority: (a, b) => PRIORITY_RANK[a.priority || 'medium'] - PRIORITY_RANK[b.priority || 'medium'],
+  createdAt: (a, b) => time(a.createdAt) - time(b.createdAt),
+  alphabetical: (a, b) => a.text.localeCompare(b.text, getLocale(), { sensitivity: 'base' })
+};
+
+const compareBy = (key, direction, a, b) => {
+  const compare = COMPARATORS[key];
+  if (!compare) return 0;
+
+  // Missing due dates stay at the bottom in both directions
+  if (key === 'dueDate' && (!a.dueDate || !b.dueDate)) {
+    if (!a.dueDate && !b.dueDate) return 0;
+    return a.dueDate ? -1 : 1;
+  }
+
+  const result = compare(a, b);
+  return direction === 'desc' ? -result : result;
+};
+
+// Sorted copy of `tasks` for the given { mode, direction, secondary }
+export const sortTasks = (tasks, sort = DEFAULT_SORT) => {
+  if (!sort || sort.mode === 'manual') return tasks;
+
+  const positions = new Map(tasks.map((task, index) => [task.id, index]));
+  return [...tasks].sort((a, b) =>
+    compareBy(sort.mode, sort.direction, a, b) ||
+    (sort.secondary !== sort.mode ? compareBy(sort.secondary, 'asc', a, b) : 0) ||
+    positions.get(a.id) - positions.get(b.id)
+  );
+};
+
+export const getSortLabel = (sort) => {
+  const mode = SORT_MODES.find(m => m.key === sort.mode);
+  return t(mode ? mode.labelKey : SORT_MODES[0].labelKey);
+};
@@ -0,0 +1,144 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { reviveRecurrence } from './recurrence';
+
+// Persistence for everything the app keeps in AsyncStorage.
+//
+// Tasks are stored as a versioned envelope `{ version, tasks }`. Payloads
+// written by older versions are upgraded by running every migration newer
+// than their version, in order. A payload that cannot be read is copied to
+// a separate key before anything else touches it, so a bad write or a
+// downgrade never silently costs the user their list.
+
+export const STORAGE_KEYS = {
+  tasks: '@tasks',
+  theme: '@theme',
+  categories: '@categories',
+  history: '@history',
+  trashRetention: '@trashRetention',
+  recentSearches: '@recentSearches',
+  sort: '@sort',
+  completions: '@completions',
+  preferences: '@preferences',
+  sync: '@sync'
+};
+
+const CORRUPT_PREFIX = '@tasks_corrupt_';
+
+const getRecordedCompletion = (task) => {
+  const history = task.recurrence && task.recurrence.history;
+  const last = history && history[history.length - 1];
+  return last && !last.skipped ? last.completedAt : null;
+};
+
+// Ordered list of migrations. Each one receives the tasks of the previous
+// version and returns them in the shape of `version`.
+export const MIGRATIONS = [
+  {
+    // Bare array from before the envelope existed. Due dates were picked
+    // without a time, so they become all-day.
+    version: 1,
+    migrate: (tasks) => tasks.map(task => ({
+      ...task,
+      priority: task.priority || 'medium',
+      allDay: task.allDay === undefined ? true : task.allDay
+    }))
+  },
+  {
+    // Completion times weren't recorded before. A completed instance of a
+    // recurring series can recover its time from the series history.
+    version: 2,
+    migrate: (tasks) => tasks.map(task => ({
+      ...task,
+      completedAt: task.completed ? getRecordedCompletion(task) : null
+    }))
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class StorageError extends Error {
+  constructor(message, backupKey) {
+    super(message);
+    this.name = 'StorageError';
+    this.backupKey = backupKey;
+  }
+}
+
+// Convert string dates in a stored task back to Date objects
+export const reviveTask = (task) => ({
+  ...task,
+  createdAt: new Date(task.createdAt),
+  dueDate: task.dueDate ? new Date(task.dueDate) : null,
+  completedAt: task.completedAt ? new Date(task.completedAt) : null,
+  recurrence: reviveRecurrence(task.recurrence),
+  deletedAt: task.deletedAt ? new Date(task.deletedAt) : undefined
+});
+
+// Convert the string date in a stored category back to a Date object
+export const reviveCategory = (category) => ({
+  ...category,
+  createdAt: new Date(category.createdAt)
+});
+
+// Upgrade a parsed payload to the current schema. Throws on unknown shapes.
+export const migrate = (payload) => {
+  let version;
+  let tasks;
+
+  if (Array.isArray(payload)) {
+    version = 0;
+    tasks = payload;
+  } else if (payload && typeof payload.version === 'number' && Array.isArray(payload.tasks)) {
+    ({ version, tasks } = payload);
+  } else {
+    throw new Error('Unrecognized task data');
+  }
+
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Task data is from a newer version (${version})`);
+  }
+
+  return MIGRATIONS
+    .filter(migration => migration.version > version)
+    .reduce((current, migration) => migration.migrate(current), tasks);
+};
+
+// Parse raw stored text into revived tasks. Throws on corrupt data.
+export const parseTasks = (raw) => migrate(JSON.parse(raw)).map(reviveTask);
+
+export const serializeTasks = (tasks) => JSON.stringify({ version: SCHEMA_VERSION, tasks });
+
+// Load tasks, setting unreadable data aside under its own key first
+export const loadTasks = async () => {
+  const raw = await AsyncStorage.getItem(STORAGE_KEYS.tasks);
+  if (!raw) return [];
+
+  try {
+    return parseTasks(raw);
+  } catch (error) {
+    const backupKey = `${CORRUPT_PREFIX}${Date.now()}`;
+    await AsyncStorage.setItem(backupKey, raw);
+    throw new StorageError(error.message, backupKey);
+  }
+};
+
+export const saveTasks = (tasks) => AsyncStorage.setItem(STORAGE_KEYS.tasks, serializeTasks(tasks));
+
+// Plain JSON values for the other keys
+export const loadJSON = async (key, fallback = null) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (raw === null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error(`Error parsing ${key}:`, error);
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => AsyncStorage.setItem(key, JSON.stringify(value));
+
+// Raw string values, such as the theme name
+export const loadItem = (key) => AsyncStorage.getItem(key);
+
+export const saveItem = (key, value) => AsyncStorage.setItem(key, value);
@@ -0,0 +1,47 @@
+// Helpers for the checklist items stored in task.subtasks.
+// Every helper returns a new array and leaves the input untouched.
+
+export const addSubtask = (subtasks = [], text) => [
+  ...subtasks,
+  { id: Date.now(), text: text.trim(), completed: false }
+];
+
+export const toggleSubtask = (subtasks, subtaskId) =>
+  subtasks.map(subtask =>
+    subtask.id === subtaskId ? { ...subtask, completed: !subtask.completed } : subtask
+  );
+
+export const editSubtask = (subtasks, subtaskId, text) =>
+  subtasks.map(subtask =>
+    subtask.id === subtaskId ? { ...subtask, text: text.trim() } : subtask
+  );
+
+export const removeSubtask = (subtasks, subtaskId) =>
+  subtasks.filter(subtask => subtask.id !== subtaskId);
+
+// Move a subtask up (-1) or down (+1)
+export const moveSubtask = (subtasks, subtaskId, direction) => {
+  const fromIndex = subtasks.findIndex(subtask => subtask.id === subtaskId);
+  const toIndex = fromIndex + direction;
+  if (fromIndex === -1 || toIndex < 0 || toIndex >= subtasks.length) return subtasks;
+
+  const result = [...subtasks];
+  const [moved] = result.splice(fromIndex, 1);
+  result.splice(toIndex, 0, moved);
+  return result;
+};
+
+// Uncheck every item, used when a recurring task spawns its next instance
+export const resetSubtasks = (subtasks) =>
+  subtasks ? subtasks.map(subtask => ({ ...subtask, completed: false })) : subtasks;
+
+export const getSubtaskProgress = (subtasks = []) => {
+  const total = subtasks.length;
+  const done = subtasks.filter(subtask => subtask.completed).length;
+  return {
+    done,
+    total,
+    ratio: total > 0 ? done / total : 0,
+    allDone: total > 0 && done === total
+  };
+};
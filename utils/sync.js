@@ -0,0 +1,430 @@
+import { useEffect, useRef, useState } from 'react';
+import { AppState } from 'react-native';
+import { STORAGE_KEYS, loadJSON, saveJSON, reviveTask } from './storage';
+
+// Offline-first sync of the task list with a self-hosted REST server.
+//
+// Every local change is recorded in an outbox, keyed by task id, with the
+// time each field changed. A sync pulls the server's changes since the last
+// cursor, merges them field by field (the later write wins, the server on
+// ties), then pushes whatever is still pending. Edits made while offline
+// wait in the outbox until the next sync that gets through.
+//
+// Protocol, relative to the configured endpoint:
+//
+//   GET  /changes?since=<cursor>
+//     -> { cursor, changes: [{ id, updatedAt, deleted, task, fieldTimes }] }
+//   POST /changes
+//     { changes: [{ id, updatedAt, deleted, fields, fieldTimes }] } -> { ok }
+//
+// `task` is the full record, `fields` only the ones being pushed, and
+// `fieldTimes` maps each field to when it last changed. Tasks deleted for
+// good stay on the server as tombstones ({ id, deleted: true, updatedAt })
+// so the deletion reaches other devices. Lists such as subtasks merge as
+// one field, and the manual order stays per device. Times come from device
+// clocks. scripts/sync-server.js is a mock server speaking this protocol.
+
+export const SYNC_STATUS = {
+  off: 'off',
+  idle: 'idle',
+  syncing: 'syncing',
+  offline: 'offline',
+  error: 'error'
+};
+
+// Quiet period after a local edit before it is pushed
+export const SYNC_DELAY = 3000;
+
+// Background sync while the app is open
+export const SYNC_INTERVAL = 60 * 1000;
+
+const REQUEST_TIMEOUT = 15 * 1000;
+
+// Persisted under STORAGE_KEYS.sync. The endpoint is kept so that pointing
+// the app at another server starts over with a full upload.
+export const EMPTY_SYNC_STATE = {
+  endpoint: '',
+  cursor: null,
+  lastSyncedAt: null,
+  outbox: {}
+};
+
+export class SyncError extends Error {
+  constructor(message, offline = false) {
+    super(message);
+    this.name = 'SyncError';
+    this.offline = offline;
+  }
+}
+
+export const reviveSyncState = (stored) => {
+  if (!stored || typeof stored !== 'object') return EMPTY_SYNC_STATE;
+  return {
+    ...EMPTY_SYNC_STATE,
+    ...stored,
+    outbox: stored.outbox && typeof stored.outbox === 'object' ? stored.outbox : {}
+  };
+};
+
+// Accepts a bare host too, and drops trailing slashes
+export const normalizeEndpoint = (text) => {
+  const trimmed = (text || '').trim().replace(/\/+$/, '');
+  if (!trimmed) return '';
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+};
+
+const timeOf = (iso) => (iso ? new Date(iso).getTime() : 0);
+
+const isAfter = (a, b) => timeOf(a) > timeOf(b);
+
+const latest = (times) => times.reduce((max, time) => (isAfter(time, max) ? time : max), null);
+
+// JSON shape of a task as sent to the server, with dates as ISO strings
+const toWire = (task) => JSON.parse(JSON.stringify(task));
+
+const fieldsOf = (...records) => {
+  const fields = new Set();
+  records.forEach(record => Object.keys(record).forEach(field => fields.add(field)));
+  fields.delete('id');
+  return [...fields];
+};
+
+// Fields whose value differs between two versions of a task
+export const changedFields = (before, after) => {
+  const a = toWire(before);
+  const b = toWire(after);
+  return fieldsOf(a, b).filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]));
+};
+
+const markFields = (entry, id, fields, time) => ({
+  id,
+  fields: {
+    ...(entry && !entry.tombstone ? entry.fields : {}),
+    ...Object.fromEntries(fields.map(field => [field, time]))
+  }
+});
+
+// Add the changes from prevTasks to nextTasks to the outbox
+export const recordChanges = (outbox, prevTasks, nextTasks, now = new Date()) => {
+  const time = now.toISOString();
+  const before = new Map(prevTasks.map(task => [task.id, task]));
+  const after = new Set();
+  const next = { ...outbox };
+  let changed = false;
+
+  nextTasks.forEach(task => {
+    after.add(task.id);
+    const previous = before.get(task.id);
+    if (previous === task) return;
+    const fields = previous ? changedFields(previous, task) : fieldsOf(toWire(task));
+    if (fields.length === 0) return;
+    next[task.id] = markFields(next[task.id], task.id, fields, time);
+    changed = true;
+  });
+
+  prevTasks.forEach(task => {
+    if (!after.has(task.id)) {
+      next[task.id] = { id: task.id, fields: {}, tombstone: time };
+      changed = true;
+    }
+  });
+
+  return changed ? next : outbox;
+};
+
+// Queue every task in full, for the first sync with a server
+export const queueAll = (tasks, now = new Date()) => {
+  const time = now.toISOString();
+  return Object.fromEntries(tasks.map(task => [task.id, markFields(null, task.id, fieldsOf(toWire(task)), time)]));
+};
+
+export const countPending = (outbox) => Object.keys(outbox).length;
+
+// Outbox entries as the changes to POST, with the current field values
+export const buildPush = (tasks, outbox) => {
+  const byId = new Map(tasks.map(task => [String(task.id), task]));
+  return Object.values(outbox).reduce((changes, entry) => {
+    if (entry.tombstone) {
+      changes.push({ id: entry.id, deleted: true, updatedAt: entry.tombstone });
+      return changes;
+    }
+    const task = byId.get(String(entry.id));
+    if (!task) return changes;
+    const wire = toWire(task);
+    const fields = Object.fromEntries(Object.keys(entry.fields).map(field => [
+      field,
+      wire[field] === undefined ? null : wire[field]
+    ]));
+    changes.push({
+      id: entry.id,
+      deleted: false,
+      updatedAt: latest(Object.values(entry.fields)),
+      fields,
+      fieldTimes: entry.fields
+    });
+    return changes;
+  }, []);
+};
+
+// Merge pulled changes into the local tasks. Pending local fields written
+// after the remote ones are kept; everything else takes the server's value.
+// Returns { tasks, outbox } with the outbox trimmed of fields that lost.
+export const applyRemote = (tasks, outbox, changes) => {
+  let result = tasks;
+  const next = { ...outbox };
+
+  const replace = (id, task) => {
+    const exists = result.some(item => item.id === id);
+    if (!task) {
+      result = result.filter(item => item.id !== id);
+    } else if (exists) {
+      result = result.map(item => (item.id === id ? task : item));
+    } else {
+      // New tasks arrive at the top, like ones added here
+      result = [task, ...result];
+    }
+  };
+
+  changes.forEach(change => {
+    const local = result.find(task => String(task.id) === String(change.id));
+    const pending = next[change.id];
+
+    if (change.deleted) {
+      if (!local) {
+        delete next[change.id];
+        return;
+      }
+      const editedAt = pending && !pending.tombstone ? latest(Object.values(pending.fields)) : null;
+      if (editedAt && isAfter(editedAt, change.updatedAt)) {
+        // Edited here after it was deleted elsewhere: keep it and send it
+        // whole, so the server can bring it back
+        next[change.id] = markFields(null, local.id, fieldsOf(toWire(local)), editedAt);
+      } else {
+        replace(local.id, null);
+        delete next[change.id];
+      }
+      return;
+    }
+
+    if (!local) {
+      if (pending && pending.tombstone && !isAfter(change.updatedAt, pending.tombstone)) return;
+      delete next[change.id];
+      replace(change.task.id, reviveTask(change.task));
+      return;
+    }
+
+    const current = toWire(local);
+    const merged = { ...current };
+    const keep = {};
+    fieldsOf(current, change.task).forEach(field => {
+      const localTime = pending && !pending.tombstone ? pending.fields[field] : null;
+      const remoteTime = (change.fieldTimes && change.fieldTimes[field]) || change.updatedAt;
+      if (localTime && isAfter(localTime, remoteTime)) {
+        keep[field] = localTime;
+      } else {
+        merged[field] = change.task[field];
+      }
+    });
+
+    if (Object.keys(keep).length > 0) {
+      next[change.id] = { id: local.id, fields: keep };
+    } else {
+      delete next[change.id];
+    }
+    if (changedFields(current, merged).length > 0) {
+      replace(local.id, reviveTask(merged));
+    }
+  });
+
+  return { tasks: result, outbox: next };
+};
+
+// Drop what a successful push sent, keeping anything changed since
+export const acknowledge = (outbox, pushed) => {
+  const next = { ...outbox };
+  Object.keys(pushed).forEach(key => {
+    const sent = pushed[key];
+    const entry = next[key];
+    if (!entry) return;
+    if (sent.tombstone || entry.tombstone) {
+      if (entry.tombstone === sent.tombstone) delete next[key];
+      return;
+    }
+    const fields = Object.fromEntries(
+      Object.entries(entry.fields).filter(([field, time]) => sent.fields[field] !== time)
+    );
+    if (Object.keys(fields).length > 0) {
+      next[key] = { ...entry, fields };
+    } else {
+      delete next[key];
+    }
+  });
+  return next;
+};
+
+// HTTP client for one endpoint. A request that never reaches the server
+// throws a SyncError with `offline` set.
+export const createSyncClient = (endpoint, fetchImpl = fetch) => {
+  const request = async (path, options = {}) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    let response;
+    try {
+      response = await fetchImpl(`${endpoint}${path}`, {
+        ...options,
+        headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new SyncError(error.message, true);
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!response.ok) throw new SyncError(`Sync server responded ${response.status}`);
+    return response.json();
+  };
+
+  const pull = async (cursor) => {
+    const result = await request(cursor ? `/changes?since=${encodeURIComponent(cursor)}` : '/changes');
+    if (!result || !Array.isArray(result.changes)) throw new SyncError('Unexpected response from sync server');
+    return result;
+  };
+
+  const push = (changes) => request('/changes', {
+    method: 'POST',
+    body: JSON.stringify({ changes })
+  });
+
+  return { pull, push };
+};
+
+// Keeps `tasks` in sync with `endpoint` while mounted. Sync is off when the
+// endpoint is empty. Remote changes go through `setTasks` directly, so they
+// are not part of the undo history.
+export const useSync = ({ endpoint, tasks, setTasks, isLoading }) => {
+  const [state, setState] = useState(EMPTY_SYNC_STATE);
+  const [ready, setReady] = useState(false);
+  const [status, setStatus] = useState(SYNC_STATUS.idle);
+  const recordedRef = useRef(null);
+  const syncingRef = useRef(false);
+  const latestRef = useRef();
+  latestRef.current = { endpoint, tasks, state, active: ready && !isLoading };
+
+  // Load the outbox and cursor
+  useEffect(() => {
+    const loadState = async () => {
+      try {
+        setState(reviveSyncState(await loadJSON(STORAGE_KEYS.sync)));
+      } catch (error) {
+        console.error('Error loading sync state:', error);
+      } finally {
+        setReady(true);
+      }
+    };
+
+    loadState();
+  }, []);
+
+  // Save the outbox and cursor when they change
+  useEffect(() => {
+    if (ready) {
+      const saveState = async () => {
+        try {
+          await saveJSON(STORAGE_KEYS.sync, state);
+        } catch (error) {
+          console.error('Error saving sync state:', error);
+        }
+      };
+
+      saveState();
+    }
+  }, [state, ready]);
+
+  // A new endpoint starts over: upload everything, pull everything
+  useEffect(() => {
+    if (ready && !isLoading && state.endpoint !== endpoint) {
+      setState({
+        ...EMPTY_SYNC_STATE,
+        endpoint,
+        outbox: endpoint ? queueAll(latestRef.current.tasks) : {}
+      });
+    }
+  }, [endpoint, ready, isLoading]);
+
+  // Record local edits in the outbox
+  useEffect(() => {
+    if (ready && !isLoading) {
+      const previous = recordedRef.current;
+      if (previous && endpoint) {
+        setState(current => ({ ...current, outbox: recordChanges(current.outbox, previous, tasks) }));
+      }
+      recordedRef.current = tasks;
+    }
+  }, [tasks, ready, isLoading]);
+
+  const syncNow = async () => {
+    const { endpoint: target, active } = latestRef.current;
+    if (!target || !active || syncingRef.current || latestRef.current.state.endpoint !== target) return;
+
+    syncingRef.current = true;
+    setStatus(SYNC_STATUS.syncing);
+    const client = createSyncClient(target);
+    try {
+      const pulled = await client.pull(latestRef.current.state.cursor);
+      const { tasks: local, state: current } = latestRef.current;
+      const merged = applyRemote(local, current.outbox, pulled.changes);
+      if (merged.tasks !== local) {
+        // Already merged, so the outbox must not record it as a local edit
+        recordedRef.current = merged.tasks;
+        setTasks(merged.tasks);
+      }
+      setState(previous => ({ ...previous, cursor: pulled.cursor, outbox: merged.outbox }));
+
+      const changes = buildPush(merged.tasks, merged.outbox);
+      if (changes.length > 0) await client.push(changes);
+      setState(previous => ({
+        ...previous,
+        lastSyncedAt: new Date().toISOString(),
+        outbox: acknowledge(previous.outbox, merged.outbox)
+      }));
+      setStatus(SYNC_STATUS.idle);
+    } catch (error) {
+      if (!error.offline) console.error('Error syncing tasks:', error);
+      setStatus(error.offline ? SYNC_STATUS.offline : SYNC_STATUS.error);
+    } finally {
+      syncingRef.current = false;
+    }
+  };
+
+  const pending = countPending(state.outbox);
+  const enabled = !!endpoint && state.endpoint === endpoint;
+
+  // Push local edits shortly after they are made
+  useEffect(() => {
+    if (enabled && ready && !isLoading && pending > 0) {
+      const timer = setTimeout(syncNow, SYNC_DELAY);
+      return () => clearTimeout(timer);
+    }
+  }, [state.outbox, enabled, ready, isLoading]);
+
+  // Pull on launch, when the app comes back and every so often
+  useEffect(() => {
+    if (!enabled || !ready || isLoading) return;
+    syncNow();
+    const interval = setInterval(syncNow, SYNC_INTERVAL);
+    const subscription = AppState.addEventListener('change', (appState) => {
+      if (appState === 'active') syncNow();
+    });
+    return () => {
+      clearInterval(interval);
+      subscription.remove();
+    };
+  }, [enabled, ready, isLoading]);
+
+  return {
+    status: enabled ? status : SYNC_STATUS.off,
+    pending,
+    lastSyncedAt: state.lastSyncedAt,
+    syncNow
+  };
+};
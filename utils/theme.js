@@ -0,0 +1,104 @@
+// Color schemes. A theme is a light or dark base, optionally in high
+// contrast, with the primary color taken from the chosen accent palette.
+
+export const THEME_MODES = [
+  { value: 'system', labelKey: 'theme.system' },
+  { value: 'light', labelKey: 'theme.light' },
+  { value: 'dark', labelKey: 'theme.dark' }
+];
+
+export const DEFAULT_THEME_MODE = 'system';
+
+// Each accent has a shade tuned for every base so text on it stays readable
+export const ACCENTS = [
+  { value: 'indigo', labelKey: 'theme.accent.indigo', light: '#6366f1', dark: '#6366f1', lightContrast: '#3730a3', darkContrast: '#a5b4fc' },
+  { value: 'blue', labelKey: 'theme.accent.blue', light: '#2563eb', dark: '#3b82f6', lightContrast: '#1e3a8a', darkContrast: '#93c5fd' },
+  { value: 'teal', labelKey: 'theme.accent.teal', light: '#0d9488', dark: '#14b8a6', lightContrast: '#134e4a', darkContrast: '#5eead4' },
+  { value: 'rose', labelKey: 'theme.accent.rose', light: '#e11d48', dark: '#f43f5e', lightContrast: '#881337', darkContrast: '#fda4af' },
+  { value: 'amber', labelKey: 'theme.accent.amber', light: '#d97706', dark: '#f59e0b', lightContrast: '#78350f', darkContrast: '#fcd34d' }
+];
+
+export const DEFAULT_ACCENT = 'indigo';
+
+const BASES = {
+  dark: {
+    background: '#0f172a',
+    card: '#1e293b',
+    text: 'white',
+    subtext: '#94a3b8',
+    border: '#334155',
+    highPriority: '#ef4444',
+    mediumPriority: '#f59e0b',
+    lowPriority: '#10b981',
+    warning: '#f97316',
+    danger: '#dc2626'
+  },
+  light: {
+    background: '#f8fafc',
+    card: 'white',
+    text: '#0f172a',
+    subtext: '#64748b',
+    border: '#e2e8f0',
+    highPriority: '#dc2626',
+    mediumPriority: '#d97706',
+    lowPriority: '#059669',
+    warning: '#ea580c',
+    danger: '#b91c1c'
+  },
+  // Pure black and white surfaces, stronger borders and brighter status colors
+  darkContrast: {
+    background: 'black',
+    card: '#111111',
+    text: 'white',
+    subtext: '#e5e5e5',
+    border: '#a3a3a3',
+    highPriority: '#ff6b6b',
+    mediumPriority: '#ffd43b',
+    lowPriority: '#69db7c',
+    warning: '#ffa94d',
+    danger: '#ff6b6b'
+  },
+  lightContrast: {
+    background: 'white',
+    card: 'white',
+    text: 'black',
+    subtext: '#262626',
+    border: '#525252',
+    highPriority: '#991b1b',
+    mediumPriority: '#92400e',
+    lowPriority: '#065f46',
+    warning: '#9a3412',
+    danger: '#991b1b'
+  }
+};
+
+// Light or dark, following the OS when the mode is 'system'. The system
+// scheme can be null (no preference), which counts as light.
+export const resolveScheme = (mode, systemScheme) => {
+  if (mode === 'light' || mode === 'dark') return mode;
+  return systemScheme === 'dark' ? 'dark' : 'light';
+};
+
+export const buildColors = (scheme, accent = DEFAULT_ACCENT, highContrast = false) => {
+  const base = `${scheme}${highContrast ? 'Contrast' : ''}`;
+  const palette = ACCENTS.find(item => item.value === accent) || ACCENTS[0];
+  // Dark high contrast fills are pale, so text on them switches to black
+  return {
+    ...BASES[base],
+    primary: palette[base],
+    onPrimary: base === 'darkContrast' ? 'black' : 'white'
+  };
+};
+
+// Everything the theme context hands out. reduceMotion mirrors the OS
+// setting so animated components can skip their animations.
+export const buildTheme = ({ mode, systemScheme, accent, highContrast, reduceMotion = false }) => {
+  const scheme = resolveScheme(mode, systemScheme);
+  return {
+    mode,
+    scheme,
+    isDark: scheme === 'dark',
+    colors: buildColors(scheme, accent, highContrast),
+    reduceMotion
+  };
+};
@@ -0,0 +1,50 @@
+// Deleted tasks stay in the task list with a `deletedAt` date until they are
+// restored or purged. Keeping them in place means a restored task returns
+// to its original position and undo/redo covers trash moves for free.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const DEFAULT_TRASH_RETENTION = 30;
+
+// Days a trashed task is kept; 0 keeps it until removed by hand
+export const TRASH_RETENTION_OPTIONS = [7, 14, 30, 0];
+
+export const isTrashed = (task) => !!task.deletedAt;
+
+export const moveToTrash = (task, now = new Date()) =>
+  task.deletedAt ? task : { ...task, deletedAt: new Date(now) };
+
+export const restoreFromTrash = (task) => {
+  const { deletedAt, ...restored } = task;
+  return restored;
+};
+
+// Whole days left before a trashed task is purged, or null when kept forever
+export const daysUntilPurge = (task, retentionDays, now = new Date()) => {
+  if (!retentionDays || !task.deletedAt) return null;
+  const expires = new Date(task.deletedAt).getTime() + retentionDays * DAY_MS;
+  return Math.max(0, Math.ceil((expires - now.getTime()) / DAY_MS));
+};
+
+// Drop trashed tasks older than the retention period
+export const purgeExpired = (tasks, retentionDays, now = new Date()) => {
+  if (!retentionDays) return tasks;
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  const kept = tasks.filter(task => !task.deletedAt || new Date(task.deletedAt).getTime() > cutoff);
+  return kept.length === tasks.length ? tasks : kept;
+};
+
+// Move tasks completed more than `days` ago to the trash; 0 never does.
+// Tasks completed before completion times were recorded are left alone.
+export const autoClearCompleted = (tasks, days, now = new Date()) => {
+  if (!days) return tasks;
+  const cutoff = now.getTime() - days * DAY_MS;
+  let changed = false;
+  const result = tasks.map(task => {
+    if (task.deletedAt || !task.completed || !task.completedAt) return task;
+    if (new Date(task.completedAt).getTime() > cutoff) return task;
+    changed = true;
+    return moveToTrash(task, now);
+  });
+  return changed ? result : tasks;
+};